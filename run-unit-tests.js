@@ -255,7 +255,7 @@ async function runBasicTests() {
       
       expect(files).toContain('BaseTransformer.js');
       expect(files).toContain('formattingTransformer.js');
-      expect(files).toContain('openApiTransformer.js');
+      expect(files).toContain('openapiTransformer.js');
       expect(files).toContain('testingTransformer.js');
       expect(files).toContain('seoTransformer.js');
     });
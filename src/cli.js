@@ -5,12 +5,18 @@
  * Provides command-line access to the prompt generation system
  */
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
+import fs from 'fs-extra';
+import yaml from 'yaml';
 import { UniversalPromptGenerator } from './index.js';
+import { ConfigLoader } from './config/ConfigLoader.js';
+import { REPORT_FORMATS } from './validation/ValidationReporter.js';
 import { Logger } from './utils/Logger.js';
+import { OUTPUT_FORMATS } from './output/FileGenerator.js';
+import { EXPORT_FORMATS } from './exporters/BaseExporter.js';
 
 const program = new Command();
 const logger = new Logger('CLI');
@@ -20,17 +26,41 @@ let generator;
 
 async function initializeGenerator() {
   if (!generator) {
-    generator = new UniversalPromptGenerator();
+    generator = new UniversalPromptGenerator(getConfigOptions());
     await generator.initialize();
   }
   return generator;
 }
 
+// Configuration layers from the global --config and --set options
+function getConfigOptions() {
+  const { config, set = [] } = program.opts();
+
+  return {
+    ...(config && { projectConfigPath: config }),
+    configOverrides: new ConfigLoader().parseAssignments(set)
+  };
+}
+
+// Keep stdout parseable for machine-readable output: informational logs also go to stdout,
+// so they are silenced unless LOG_LEVEL asks for them
+function quietLogs() {
+  if (!process.env.LOG_LEVEL) {
+    process.env.LOG_LEVEL = 'warn';
+  }
+}
+
+function collect(value, previous) {
+  return [...previous, value];
+}
+
 // Configure CLI program
 program
   .name('qoder-prompt')
   .description('Universal Prompt Generator for Qoder IDE')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--config <file>', 'Project config file (default: ./.qoderrc.yaml)')
+  .option('--set <key=value>', 'Override a config value, e.g. --set validation.maxFileCount=50 (repeatable)', collect, []);
 
 // Generate command
 program
@@ -45,21 +75,48 @@ program
   .option('-o, --output <path>', 'Output path', './generated')
   .option('--constraints <constraints>', 'Project constraints (comma-separated)')
   .option('--features <features>', 'Feature flags (comma-separated)')
+  .option('--composition <id>', 'Compose the prompt from a template composition instead of the selected templates (e.g. web-application, advanced-api)')
+  .option('--dry-run', 'Show what would be created, overwritten, backed up or skipped without writing')
+  .option('--diff', 'Show unified diffs against files already in the output directory (implies --dry-run)')
+  .option('--export <formats>', `Also export the prompts as assistant instructions (comma-separated: ${EXPORT_FORMATS.join(', ')})`)
+  .addOption(new Option('--format <format>', 'Output format: a directory, an archive of it, or one markdown bundle').choices(OUTPUT_FORMATS).default('dir'))
+  .option('--inputs <file>', 'Read inputs from a JSON or YAML document (- for stdin); flags given on the command line override it')
+  .option('--stdout', 'Write the suite to stdout as JSON Lines (one object per file) instead of to --output')
+  .option('--explain', 'Explain why each template was selected or left out')
   .option('--interactive', 'Use interactive mode')
-  .action(async (options) => {
+  .action(async (options, command) => {
     try {
+      if (options.stdout) {
+        if (options.dryRun || options.diff || options.format !== 'dir') {
+          throw new Error('--stdout cannot be combined with --dry-run, --diff or --format');
+        }
+        quietLogs();
+      }
+
+      // Read the inputs document first; the spinner would discard stdin
+      const document = options.inputs ? await readInputsDocument(options.inputs) : null;
+
       const spinner = ora('Initializing prompt generator...').start();
       const gen = await initializeGenerator();
       spinner.succeed('Generator initialized');
 
       let inputs;
 
-      if (options.interactive || !options.category || !options.name) {
+      if (document) {
+        inputs = mergeInputsDocument(document, options, command);
+      } else if (options.interactive || !options.category || !options.name) {
+        if (options.stdout) {
+          throw new Error('--stdout needs --category and --name, or --inputs');
+        }
         inputs = await runInteractiveMode(gen, options);
       } else {
         inputs = parseCommandLineOptions(options);
       }
 
+      if (options.stdout) {
+        delete inputs.outputPath;
+      }
+
       // Validate inputs
       if (!inputs.category || !inputs.projectName) {
         console.error(chalk.red('Error: Category and project name are required'));
@@ -71,9 +128,25 @@ program
       const promptSuite = await gen.generatePromptSuite(inputs);
       generateSpinner.succeed('AI prompt files generated successfully');
 
+      if (options.explain) {
+        // Keep stdout parseable with --stdout
+        displaySelection(await gen.explainTemplateSelection(inputs), options.stdout ? console.error : console.log);
+      }
+
+      if (options.stdout) {
+        await gen.streamPromptSuite(promptSuite, process.stdout);
+        process.exit(0);
+      }
+
       // Display results
+      if (promptSuite.plan) {
+        displayWritePlan(promptSuite.plan);
+        process.exit(promptSuite.plan.errors.length > 0 ? 1 : 0);
+      }
       displayResults(promptSuite, inputs);
 
+      process.exit(promptSuite.output?.success === false ? 1 : 0);
+
     } catch (error) {
       console.error(chalk.red('Generation failed:'), error.message);
       if (process.env.DEBUG) {
@@ -141,26 +214,147 @@ program
 program
   .command('validate <path>')
   .description('Validate a generated prompt suite')
-  .option('--json', 'Output as JSON')
+  .addOption(new Option('-f, --format <format>', 'Report format').choices(REPORT_FORMATS).default('text'))
+  .option('--json', 'Output as JSON (same as --format json)')
+  .option('-r, --report <file>', 'Write the report to a file instead of stdout')
+  .option('--require-signature <pubkey>', 'Refuse suites that are not signed with this Ed25519 public key')
   .action(async (path, options) => {
     try {
+      const format = options.json ? 'json' : options.format;
+
+      if (format !== 'text' && !options.report) {
+        quietLogs();
+      }
+
       const spinner = ora(`Validating ${path}...`).start();
       const gen = await initializeGenerator();
-      const validation = await gen.validateGeneratedSuite(path);
+      const publicKey = options.requireSignature ? await fs.readFile(options.requireSignature, 'utf8') : undefined;
+      const validation = await gen.validateGeneratedSuite(path, { publicKey });
       spinner.stop();
 
-      if (options.json) {
-        console.log(JSON.stringify(validation, null, 2));
-      } else {
+      if (format === 'text') {
         displayValidationResults(validation);
+      } else if (options.report) {
+        await fs.outputFile(options.report, gen.formatValidationReport(validation, format));
+        console.log(chalk.green(`✅ ${format.toUpperCase()} report written to ${options.report}`));
+        displayValidationResults(validation);
+      } else {
+        console.log(gen.formatValidationReport(validation, format).trimEnd());
       }
 
+      // Exit explicitly so the status can gate CI (worker pools keep the event loop alive)
+      process.exit(validation.valid ? 0 : 1);
+
     } catch (error) {
       console.error(chalk.red('Validation failed:'), error.message);
       process.exit(1);
     }
   });
 
+// Verify command
+program
+  .command('verify <output>')
+  .description('Check a generated suite for tampered, missing or stale files against its manifest')
+  .option('--pubkey <file>', 'Also check the suite signature with this Ed25519 public key')
+  .option('--json', 'Output as JSON')
+  .action(async (output, options) => {
+    try {
+      if (options.json) {
+        quietLogs();
+      }
+
+      const spinner = ora(`Verifying ${output}...`).start();
+      const gen = await initializeGenerator();
+      const publicKey = options.pubkey ? await fs.readFile(options.pubkey, 'utf8') : undefined;
+      const verification = await gen.verifyPromptSuite(output, { publicKey });
+      spinner.stop();
+
+      if (options.json) {
+        console.log(JSON.stringify(verification, null, 2));
+      } else {
+        displayVerificationResults(verification);
+      }
+
+      process.exit(verification.valid ? 0 : 1);
+
+    } catch (error) {
+      console.error(chalk.red('Verification failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Sign command
+program
+  .command('sign <output>')
+  .description('Sign a generated suite with an Ed25519 private key')
+  .requiredOption('--key <file>', 'Ed25519 private key (PEM)')
+  .action(async (output, options) => {
+    try {
+      const spinner = ora(`Signing ${output}...`).start();
+      const gen = await initializeGenerator();
+      const { signaturePath, keyFingerprint, fileCount } = await gen.signPromptSuite(output, await fs.readFile(options.key, 'utf8'));
+      spinner.stop();
+
+      console.log(chalk.green(`✅ Signed ${fileCount} files with key ${keyFingerprint}`));
+      console.log(chalk.gray(`  Signature: ${signaturePath}`));
+      process.exit(0);
+
+    } catch (error) {
+      console.error(chalk.red('Signing failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Rollback command
+program
+  .command('rollback <output>')
+  .description('Restore an output directory as it was before the last generation')
+  .action(async (output) => {
+    try {
+      const spinner = ora(`Rolling back ${output}...`).start();
+      const gen = await initializeGenerator();
+      const { outputPath, restoredFrom } = await gen.rollbackPromptSuite(output);
+      spinner.stop();
+
+      console.log(chalk.green(`✅ Restored ${outputPath} from ${restoredFrom}`));
+      process.exit(0);
+
+    } catch (error) {
+      console.error(chalk.red('Rollback failed:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Config commands
+const configCommand = program
+  .command('config')
+  .description('Inspect the effective configuration');
+
+configCommand
+  .command('show')
+  .description('Print the merged configuration (defaults, config.yaml, .qoderrc.yaml, QODER_* env, --set)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    try {
+      quietLogs();
+
+      const { projectConfigPath, configOverrides } = getConfigOptions();
+      const loader = new ConfigLoader({ projectConfigPath });
+      const { config, sources } = await loader.load(configOverrides);
+
+      if (options.json) {
+        console.log(JSON.stringify(config, null, 2));
+      } else {
+        console.log(`# Sources: ${sources.join(' < ')}`);
+        console.log(yaml.stringify(config).trimEnd());
+      }
+
+    } catch (error) {
+      console.error(chalk.red('Failed to load configuration:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Interactive mode
 async function runInteractiveMode(generator, initialOptions = {}) {
   console.log(chalk.blue.bold('\n🤖 Universal Prompt Generator - AI Prompt Creation\n'));
@@ -265,6 +459,14 @@ async function runInteractiveMode(generator, initialOptions = {}) {
     process.exit(0);
   }
 
+  if (initialOptions.composition) {
+    answers.composition = initialOptions.composition;
+  }
+  answers.dryRun = Boolean(initialOptions.dryRun);
+  answers.diff = Boolean(initialOptions.diff);
+  answers.format = initialOptions.format || 'dir';
+  answers.exports = parseExportFormats(initialOptions.export);
+
   return answers;
 }
 
@@ -278,8 +480,160 @@ function parseCommandLineOptions(options) {
     deploymentTarget: options.deployment || 'Web',
     outputPath: options.output || './generated',
     constraints: options.constraints ? options.constraints.split(',').map(s => s.trim()) : [],
-    featureFlags: options.features ? options.features.split(',').map(s => s.trim()) : []
+    featureFlags: options.features ? options.features.split(',').map(s => s.trim()) : [],
+    ...(options.composition && { composition: options.composition }),
+    dryRun: Boolean(options.dryRun),
+    diff: Boolean(options.diff),
+    format: options.format || 'dir',
+    exports: parseExportFormats(options.export)
+  };
+}
+
+// Read an inputs document (JSON or YAML) from a file, or from stdin for "-"
+async function readInputsDocument(source) {
+  let text;
+  if (source === '-') {
+    if (process.stdin.isTTY) {
+      throw new Error('--inputs - reads the inputs document from stdin, but stdin is a terminal');
+    }
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    text = Buffer.concat(chunks).toString('utf8');
+  } else {
+    text = await fs.readFile(source, 'utf8');
+  }
+
+  const name = source === '-' ? 'stdin' : source;
+  let document;
+  try {
+    // YAML is a superset of JSON, so this reads both
+    document = yaml.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid inputs document (${name}): ${error.message}`);
+  }
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`Inputs document (${name}) must be a JSON or YAML object`);
+  }
+
+  return document;
+}
+
+// Merge an inputs document with the command line; options given on the command line win
+function mergeInputsDocument(document, options, command) {
+  const fromOptions = parseCommandLineOptions(options);
+  const optionNames = {
+    category: 'category',
+    projectName: 'name',
+    techStack: 'techStack',
+    targetAudience: 'audience',
+    deploymentTarget: 'deployment',
+    outputPath: 'output',
+    constraints: 'constraints',
+    featureFlags: 'features',
+    composition: 'composition',
+    dryRun: 'dryRun',
+    diff: 'diff',
+    format: 'format',
+    exports: 'export'
   };
+
+  const inputs = { ...fromOptions, ...document };
+  for (const [key, option] of Object.entries(optionNames)) {
+    if (command.getOptionValueSource(option) === 'cli') {
+      inputs[key] = fromOptions[key];
+    }
+  }
+
+  return inputs;
+}
+
+// Parse the comma-separated --export option
+function parseExportFormats(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+// Display why templates were selected or left out
+function displaySelection(selection, print = console.log) {
+  const signalLabels = {
+    listed: 'listed by',
+    named: 'named after',
+    subcategory: 'subcategory',
+    category: 'category',
+    techStack: 'tech stack',
+    feature: 'feature flag'
+  };
+  const describe = (entry) => entry.reasons
+    .map(({ signal, match, points }) => `${signalLabels[signal]} ${match} (+${points})`)
+    .join(', ');
+  const width = Math.max(0, ...[...selection.selected, ...selection.rejected].map(entry => entry.id.length));
+
+  print(chalk.blue.bold(`\n🔎 Template Selection (threshold ${selection.threshold}, at most ${selection.maxTemplates} templates)\n`));
+
+  for (const entry of selection.selected) {
+    print(`  ${chalk.green('✔')} ${entry.id.padEnd(width)} ${String(entry.score).padStart(3)}  ${describe(entry)}`);
+  }
+  for (const entry of selection.rejected) {
+    print(chalk.gray(`  ✖ ${entry.id.padEnd(width)} ${String(entry.score).padStart(3)}  ${describe(entry)}; ${entry.because}`));
+  }
+  for (const id of selection.missing) {
+    print(chalk.red(`  ✖ ${id} listed by the category but not found`));
+  }
+  if (selection.composition) {
+    print(`  ${chalk.green('+')} compositions/${selection.composition} composed for the category, replacing the selected templates`);
+  }
+}
+
+// Display the write plan of a dry run, with diffs when requested
+function displayWritePlan(plan) {
+  const actionColors = {
+    create: chalk.green,
+    overwrite: chalk.yellow,
+    merge: chalk.magenta,
+    backup: chalk.cyan,
+    skip: chalk.gray
+  };
+
+  console.log(chalk.blue.bold(`\n📝 Dry Run: ${plan.outputPath}\n`));
+
+  for (const entry of plan.files) {
+    const unchanged = entry.exists && !entry.changed ? chalk.gray(' (unchanged)') : '';
+    const conflicts = entry.conflicts > 0 ? chalk.red(` (${entry.conflicts} conflicts)`) : '';
+    console.log(`  ${actionColors[entry.action](entry.action.padEnd(9))} ${entry.path}${unchanged}${conflicts}`);
+  }
+
+  const { create, overwrite, merge, backup, skip } = plan.summary;
+  console.log(chalk.blue('\n📊 Summary:'));
+  console.log(`  Create: ${create}  Overwrite: ${overwrite}  Merge: ${merge}  Backup and overwrite: ${backup}  Skip: ${skip}`);
+
+  if (plan.errors.length > 0) {
+    console.log(chalk.red(`\n❌ ${plan.errors.length} file(s) could not be written:`));
+    plan.errors.forEach(({ file, error }) => {
+      console.log(chalk.red(`  ${file}: ${error}`));
+    });
+  }
+
+  const diffs = plan.files.filter(entry => entry.diff);
+  for (const entry of diffs) {
+    console.log();
+    for (const line of entry.diff.trimEnd().split('\n')) {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        console.log(chalk.bold(line));
+      } else if (line.startsWith('@@')) {
+        console.log(chalk.cyan(line));
+      } else if (line.startsWith('+')) {
+        console.log(chalk.green(line));
+      } else if (line.startsWith('-')) {
+        console.log(chalk.red(line));
+      } else {
+        console.log(line);
+      }
+    }
+  }
+
+  console.log(chalk.gray('\nNo files were written.'));
 }
 
 // Display generation results
@@ -289,19 +643,53 @@ function displayResults(promptSuite, inputs) {
   console.log(chalk.blue('📊 Summary:'));
   console.log(`  Files Generated: ${chalk.white(promptSuite.fileCount)}`);
   console.log(`  Total Size: ${chalk.white(formatBytes(promptSuite.totalSize))}`);
-  console.log(`  Output Path: ${chalk.white(inputs.outputPath)}`);
+  console.log(`  Output Path: ${chalk.white(promptSuite.output?.outputPath || inputs.outputPath)}`);
+
+  const output = promptSuite.output;
+  if (output) {
+    if (output.format === 'bundle') {
+      console.log(`  Bundle Written: ${chalk.white(output.generatedFiles[0] || 'none')} (${output.filesGenerated} files)`);
+    } else if (output.format && output.format !== 'dir') {
+      console.log(`  Archive Written: ${chalk.white(output.generatedFiles[0] || 'none')} (${output.filesGenerated} files, including qoder-manifest.json and USAGE.md)`);
+    } else {
+      console.log(`  Files Written: ${chalk.white(output.filesGenerated)} (including qoder-manifest.json and USAGE.md)`);
+    }
+    if (output.filesSkipped > 0) {
+      console.log(`  Files Skipped: ${chalk.yellow(output.filesSkipped)} (already exist)`);
+    }
+    if (output.mergedFiles?.length > 0) {
+      console.log(`  Files Merged: ${chalk.white(output.mergedFiles.length)} (hand edits kept)`);
+    }
+    if (output.conflictedFiles?.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  ${output.conflictedFiles.length} file(s) have merge conflicts; resolve the <<<<<<< markers:`));
+      output.conflictedFiles.forEach(file => {
+        console.log(chalk.yellow(`  ${file}`));
+      });
+    }
+    if (output.errors.length > 0) {
+      console.log(chalk.red(`\n❌ ${output.errors.length} file(s) could not be written:`));
+      output.errors.forEach(({ file, error }) => {
+        console.log(chalk.red(`  ${file}: ${error}`));
+      });
+    }
+    if (output.rolledBack) {
+      console.log(chalk.red(`  No files were written; ${output.format && output.format !== 'dir' ? output.outputPath : 'the output directory'} was left unchanged.`));
+    }
+  }
   
   if (promptSuite.files) {
     console.log(chalk.blue('\n📁 File Structure:'));
     for (const [dir, info] of Object.entries(promptSuite.files)) {
+      if (!info.files || info.files.length === 0) {
+        continue;
+      }
+
       console.log(`  ${chalk.cyan(dir)}/`);
-      if (info.files) {
-        info.files.slice(0, 5).forEach(file => {
-          console.log(`    ${chalk.gray('├─')} ${file.path}`);
-        });
-        if (info.files.length > 5) {
-          console.log(`    ${chalk.gray('└─')} ... and ${info.files.length - 5} more files`);
-        }
+      info.files.slice(0, 5).forEach(file => {
+        console.log(`    ${chalk.gray('├─')} ${file.path}`);
+      });
+      if (info.files.length > 5) {
+        console.log(`    ${chalk.gray('└─')} ... and ${info.files.length - 5} more files`);
       }
     }
   }
@@ -354,6 +742,17 @@ function displayCategoryInfo(categoryInfo) {
 // Display validation results
 function displayValidationResults(validation) {
   console.log(chalk.blue.bold('\n🔍 Validation Results:\n'));
+
+  if (validation.fileCount !== undefined) {
+    console.log(`Files checked: ${chalk.cyan(validation.fileCount)}`);
+  }
+
+  const manifestChanges = ['missing', 'modified', 'extra']
+    .filter(key => validation[key] && validation[key].length > 0)
+    .map(key => `${validation[key].length} ${key}`);
+  if (manifestChanges.length > 0) {
+    console.log(`Manifest differences: ${chalk.yellow(manifestChanges.join(', '))}`);
+  }
   
   if (validation.valid) {
     console.log(chalk.green('✅ Validation passed'));
@@ -375,6 +774,34 @@ function displayValidationResults(validation) {
   }
 }
 
+// Display suite verification results
+function displayVerificationResults(verification) {
+  console.log(chalk.blue.bold('\n🔏 Verification Results:\n'));
+
+  const unchanged = verification.files.filter(file => file.status === 'ok').length;
+  console.log(`Files in manifest: ${chalk.cyan(verification.files.length)} (${unchanged} verified)`);
+
+  if (verification.signature?.valid) {
+    console.log(`Signature: ${chalk.green('valid')} (key ${verification.signature.keyFingerprint}, signed ${verification.signature.signedAt})`);
+  }
+
+  if (verification.valid) {
+    console.log(chalk.green('✅ All files match their checksums'));
+  } else {
+    console.log(chalk.red('❌ Verification failed'));
+    verification.errors.forEach(error => {
+      console.log(chalk.red(`  • ${error}`));
+    });
+  }
+
+  if (verification.warnings.length > 0) {
+    console.log(chalk.yellow('\nWarnings:'));
+    verification.warnings.forEach(warning => {
+      console.log(chalk.yellow(`  • ${warning}`));
+    });
+  }
+}
+
 // Utility function to format bytes
 function formatBytes(bytes, decimals = 2) {
   if (bytes === 0) return '0 Bytes';
@@ -8,6 +8,9 @@ import fs from 'fs-extra';
 import path from 'path';
 import yaml from 'js-yaml';
 
+// Operators supported in { property, operator, value } conditions
+const CONDITION_OPERATORS = ['equals', 'notEquals', 'contains', 'in', 'exists', 'matches', 'gt', 'gte', 'lt', 'lte'];
+
 export class TemplateComposer {
   constructor(options = {}) {
     this.logger = new Logger('TemplateComposer');
@@ -272,7 +275,8 @@ export class TemplateComposer {
       }
 
       this.logger.debug(`Template composition completed: ${templateId}`);
-      return composedContent;
+      // Front matter leaves blank lines above the title
+      return composedContent.trimStart();
 
     } catch (error) {
       this.logger.error(`Failed to compose template: ${templateId}`, error);
@@ -360,17 +364,26 @@ export class TemplateComposer {
   }
 
   /**
-   * Replace block placeholders with actual content
+   * Replace block definitions and placeholders with actual content
+   * A block renders at its {{> name}} placeholder when the layout has one, otherwise where it is defined.
    * @param {string} content - Template content
    * @param {Map} blocks - Available blocks
    * @param {Object} context - Template context
    * @returns {string} Content with blocks replaced
    */
   replaceBlocks(content, blocks, context) {
-    return content.replace(/\{\{>\s*([^}]+)\}\}/g, (match, blockName) => {
-      const trimmedBlockName = blockName.trim();
-      return blocks.get(trimmedBlockName) || match;
-    });
+    const placeholderPattern = /\{\{>\s*([^}]+)\}\}/g;
+    const placeholders = new Set([...content.matchAll(placeholderPattern)].map(match => match[1].trim()));
+
+    return content
+      .replace(/\{\{#block\s+([^}]+)\}\}[\s\S]*?\{\{\/block\}\}/g, (match, blockName) => {
+        const trimmedBlockName = blockName.trim();
+        return placeholders.has(trimmedBlockName) ? '' : blocks.get(trimmedBlockName);
+      })
+      .replace(placeholderPattern, (match, blockName) => {
+        const trimmedBlockName = blockName.trim();
+        return blocks.has(trimmedBlockName) ? blocks.get(trimmedBlockName) : match;
+      });
   }
 
   /**
@@ -503,37 +516,169 @@ export class TemplateComposer {
 
   /**
    * Evaluate condition for conditional transformations
+   * A condition is a property path (truthy check), a comparison
+   * ({ property, operator, value }) or a combinator ({ and: [...] }, { or: [...] }, { not: condition }).
    * @param {string|Object} condition - Condition to evaluate
    * @param {Object} context - Template context
    * @returns {boolean} Condition result
+   * @throws {Error} If the condition is malformed or uses an unknown operator
    */
   evaluateCondition(condition, context) {
+    const errors = this.validateCondition(condition);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    return this.testCondition(condition, context);
+  }
+
+  /**
+   * Evaluate a validated condition
+   * @param {string|Object} condition - Condition
+   * @param {Object} context - Template context
+   * @returns {boolean} Condition result
+   */
+  testCondition(condition, context) {
+    if (typeof condition === 'string') {
+      return Boolean(this.getNestedProperty(context, condition));
+    }
+
+    if (condition.and) {
+      return condition.and.every(item => this.testCondition(item, context));
+    }
+
+    if (condition.or) {
+      return condition.or.some(item => this.testCondition(item, context));
+    }
+
+    if ('not' in condition) {
+      return !this.testCondition(condition.not, context);
+    }
+
+    const propValue = this.getNestedProperty(context, condition.property);
+
+    switch (condition.operator || 'equals') {
+    case 'equals':
+      return propValue === condition.value;
+    case 'notEquals':
+      return propValue !== condition.value;
+    case 'contains':
+      return this.containsValue(propValue, condition.value);
+    case 'in':
+      return condition.value.includes(propValue);
+    case 'exists':
+      return propValue !== undefined && propValue !== null;
+    case 'matches':
+      return typeof propValue === 'string' && new RegExp(condition.value, condition.flags).test(propValue);
+    default:
+      return this.compareNumbers(propValue, condition.operator, condition.value);
+    }
+  }
+
+  /**
+   * Check a condition for structural errors
+   * @param {string|Object} condition - Condition
+   * @returns {Array} Error messages
+   */
+  validateCondition(condition) {
     if (typeof condition === 'string') {
-      // Simple property check
-      return this.getNestedProperty(context, condition);
-    }
-
-    if (typeof condition === 'object') {
-      // Complex condition object
-      if (condition.property && condition.value) {
-        const propValue = this.getNestedProperty(context, condition.property);
-        
-        switch (condition.operator || 'equals') {
-          case 'equals':
-            return propValue === condition.value;
-          case 'contains':
-            return Array.isArray(propValue) && propValue.includes(condition.value);
-          case 'exists':
-            return propValue !== undefined && propValue !== null;
-          default:
-            return false;
+      return condition ? [] : ['Condition property path must not be empty'];
+    }
+
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      return [`Invalid condition: ${JSON.stringify(condition)}`];
+    }
+
+    for (const combinator of ['and', 'or']) {
+      if (combinator in condition) {
+        const list = condition[combinator];
+        if (!Array.isArray(list) || list.length === 0) {
+          return [`Condition "${combinator}" requires a non-empty list of conditions`];
         }
+        return list.flatMap(item => this.validateCondition(item));
       }
     }
 
+    if ('not' in condition) {
+      return this.validateCondition(condition.not);
+    }
+
+    if (!condition.property) {
+      return [`Condition requires a property or an and/or/not combinator: ${JSON.stringify(condition)}`];
+    }
+
+    const operator = condition.operator || 'equals';
+
+    if (!CONDITION_OPERATORS.includes(operator)) {
+      return [`Unknown condition operator: ${operator}. Use one of: ${CONDITION_OPERATORS.join(', ')}`];
+    }
+
+    if (operator !== 'exists' && condition.value === undefined) {
+      return [`Condition operator "${operator}" requires a value (property: ${condition.property})`];
+    }
+
+    if (operator === 'in' && !Array.isArray(condition.value)) {
+      return [`Condition operator "in" requires a list value (property: ${condition.property})`];
+    }
+
+    if (operator === 'matches') {
+      try {
+        new RegExp(condition.value, condition.flags);
+      } catch (error) {
+        return [`Invalid "matches" pattern for ${condition.property}: ${error.message}`];
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Case-insensitive containment for arrays (any item) and strings (substring)
+   * @param {*} propValue - Context value
+   * @param {*} value - Value to look for
+   * @returns {boolean} Whether the value is contained
+   */
+  containsValue(propValue, value) {
+    const normalize = (item) => typeof item === 'string' ? item.toLowerCase() : item;
+
+    if (Array.isArray(propValue)) {
+      return propValue.some(item => normalize(item) === normalize(value));
+    }
+
+    if (typeof propValue === 'string') {
+      return propValue.toLowerCase().includes(String(value).toLowerCase());
+    }
+
     return false;
   }
 
+  /**
+   * Numeric comparison; non-numeric values never match
+   * @param {*} propValue - Context value
+   * @param {string} operator - 'gt', 'gte', 'lt' or 'lte'
+   * @param {*} value - Value to compare against
+   * @returns {boolean} Comparison result
+   */
+  compareNumbers(propValue, operator, value) {
+    const left = typeof propValue === 'number' ? propValue : parseFloat(propValue);
+    const right = typeof value === 'number' ? value : parseFloat(value);
+
+    if (Number.isNaN(left) || Number.isNaN(right)) {
+      return false;
+    }
+
+    switch (operator) {
+    case 'gt':
+      return left > right;
+    case 'gte':
+      return left >= right;
+    case 'lt':
+      return left < right;
+    default:
+      return left <= right;
+    }
+  }
+
   /**
    * Get nested property from object
    * @param {Object} obj - Object to search
@@ -546,6 +691,15 @@ export class TemplateComposer {
     }, obj);
   }
 
+  /**
+   * Check whether a composition or base template can be composed
+   * @param {string} compositionId - Composition or base template identifier
+   * @returns {boolean} Whether composeTemplate can resolve the identifier
+   */
+  hasComposition(compositionId) {
+    return this.compositions.has(compositionId) || this.baseTemplates.has(compositionId);
+  }
+
   /**
    * Create a new composition
    * @param {string} compositionId - Composition identifier
@@ -641,6 +795,16 @@ export class TemplateComposer {
       }
     }
 
+    const checkTransformations = (transformations = []) => {
+      for (const transformation of transformations) {
+        if (transformation.type === 'conditional') {
+          errors.push(...this.validateCondition(transformation.condition));
+          checkTransformations(transformation.transformations);
+        }
+      }
+    };
+    checkTransformations(config.transformations);
+
     return {
       valid: errors.length === 0,
       errors,
@@ -0,0 +1,356 @@
+/**
+ * Config Loader
+ * Merges built-in defaults, config/config.yaml, a project .qoderrc.yaml,
+ * QODER_* environment variables and CLI overrides into one validated configuration
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'yaml';
+import Joi from 'joi';
+import { Logger } from '../utils/Logger.js';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ENV_PREFIX = 'QODER_';
+
+// Separates nesting levels in environment variable names, e.g. QODER_VALIDATION__MAX_FILE_COUNT
+const ENV_PATH_SEPARATOR = '__';
+
+// Keys that would write through to Object.prototype instead of into the configuration
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Settings the generator enforces; every other config.yaml section passes through unchanged
+export const DEFAULT_CONFIG = {
+  system: {
+    version: '1.0.0',
+    name: 'Qoder Universal Prompt Generator',
+    maxFileSize: 5242880, // 5MB
+    maxGenerationTime: 30000, // 30 seconds
+    outputEncoding: 'utf8'
+  },
+  templateEngine: {
+    delimiter: '{{|}}',
+    escapeHtml: false,
+    allowProtoAccess: false,
+    strict: false,
+    selection: {
+      threshold: 4,
+      maxTemplates: 5
+    }
+  },
+  fileGeneration: {
+    defaultPermissions: '0644',
+    createDirectories: true,
+    overwriteFiles: false,
+    backupExisting: true
+  },
+  validation: {
+    enableSyntaxCheck: true,
+    enableSecurityScan: true,
+    enablePerformanceCheck: true,
+    maxFileCount: 100,
+    allowedFileExtensions: [],
+    rules: {}
+  },
+  categories: {},
+  logging: {
+    level: 'info'
+  }
+};
+
+const CONFIG_SCHEMA = Joi.object({
+  system: Joi.object({
+    version: Joi.string(),
+    name: Joi.string(),
+    maxFileSize: Joi.number().integer().positive(),
+    maxGenerationTime: Joi.number().integer().positive(),
+    outputEncoding: Joi.string().valid('utf8', 'utf-8', 'utf16le', 'latin1', 'ascii')
+  }).unknown(true),
+  templateEngine: Joi.object({
+    delimiter: Joi.string().pattern(/^[^\s|]+\|[^\s|]+$/)
+      .messages({ 'string.pattern.base': '"templateEngine.delimiter" must be an opening and closing tag separated by "|"' }),
+    escapeHtml: Joi.boolean(),
+    allowProtoAccess: Joi.boolean(),
+    strict: Joi.boolean(),
+    selection: Joi.object({
+      threshold: Joi.number().min(0),
+      maxTemplates: Joi.number().integer().positive()
+    })
+  }).unknown(true),
+  fileGeneration: Joi.object({
+    defaultPermissions: Joi.string().pattern(/^0?[0-7]{3}$/)
+      .messages({ 'string.pattern.base': '"fileGeneration.defaultPermissions" must be an octal mode such as "0644"' }),
+    createDirectories: Joi.boolean(),
+    overwriteFiles: Joi.boolean(),
+    backupExisting: Joi.boolean()
+  }).unknown(true),
+  validation: Joi.object({
+    enableSyntaxCheck: Joi.boolean(),
+    enableSecurityScan: Joi.boolean(),
+    enablePerformanceCheck: Joi.boolean(),
+    maxFileCount: Joi.number().integer().positive(),
+    allowedFileExtensions: Joi.array().items(Joi.string().pattern(/^\./)),
+    rules: Joi.object().pattern(Joi.string(), Joi.object().unknown(true))
+  }).unknown(true),
+  categories: Joi.object().pattern(/^[a-z0-9-]+$/, Joi.object({
+    enabled: Joi.boolean(),
+    subcategories: Joi.array().items(Joi.string())
+  }).unknown(true)),
+  logging: Joi.object({
+    level: Joi.string().valid('debug', 'info', 'warn', 'error')
+  }).unknown(true)
+}).unknown(true);
+
+export class ConfigLoader {
+  constructor(options = {}) {
+    this.logger = new Logger('ConfigLoader');
+    this.configPath = options.configPath || path.join(__dirname, '../../config/config.yaml');
+    this.projectConfigPath = options.projectConfigPath || path.join(process.cwd(), '.qoderrc.yaml');
+    this.env = options.env || process.env;
+  }
+
+  /**
+   * Load the effective configuration
+   * Later layers win: defaults < config.yaml < .qoderrc.yaml < QODER_* env < overrides
+   * @param {Object} [overrides] - CLI overrides, nested like config.yaml
+   * @returns {Object} Validated configuration and the layers that contributed to it
+   */
+  async load(overrides = {}) {
+    const sources = ['defaults'];
+    let config = structuredClone(DEFAULT_CONFIG);
+
+    for (const filePath of [this.configPath, this.projectConfigPath]) {
+      const fileConfig = await this.readConfigFile(filePath);
+      if (fileConfig) {
+        config = this.merge(config, fileConfig);
+        sources.push(filePath);
+      }
+    }
+
+    const envConfig = this.readEnvironment(config);
+    if (Object.keys(envConfig).length > 0) {
+      config = this.merge(config, envConfig);
+      sources.push('environment');
+    }
+
+    if (overrides && Object.keys(overrides).length > 0) {
+      config = this.merge(config, overrides);
+      sources.push('cli');
+    }
+
+    return { config: this.validate(config), sources };
+  }
+
+  /**
+   * Read a YAML config file
+   * @param {string} filePath - Path to the file
+   * @returns {Object|null} Parsed config, or null when the file does not exist
+   */
+  async readConfigFile(filePath) {
+    if (!(await fs.pathExists(filePath))) {
+      return null;
+    }
+
+    let parsed;
+    try {
+      parsed = yaml.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid configuration in ${filePath}: ${error.message}`);
+    }
+
+    if (parsed === null || parsed === undefined) {
+      return {};
+    }
+
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error(`Invalid configuration in ${filePath}: expected a mapping of sections`);
+    }
+
+    this.logger.debug(`Loaded configuration from ${filePath}`);
+    return parsed;
+  }
+
+  /**
+   * Collect QODER_* environment variables as a nested config object
+   * QODER_VALIDATION__MAX_FILE_COUNT=50 sets validation.maxFileCount. Segments are
+   * matched against existing keys ignoring case, "_" and "-", so
+   * QODER_CATEGORIES__AI_ML__ENABLED=false addresses categories.ai-ml.enabled.
+   * @param {Object} config - Configuration merged so far, used to resolve key names
+   * @returns {Object} Config overrides from the environment
+   */
+  readEnvironment(config) {
+    const envConfig = {};
+
+    for (const [name, rawValue] of Object.entries(this.env)) {
+      if (!name.startsWith(ENV_PREFIX) || rawValue === undefined) {
+        continue;
+      }
+
+      const segments = name.slice(ENV_PREFIX.length).split(ENV_PATH_SEPARATOR);
+      if (segments.length < 2 || segments.some(segment => !segment)) {
+        continue;
+      }
+
+      const keyPath = this.resolveKeyPath(config, segments);
+      this.setPath(envConfig, keyPath, this.parseValue(rawValue, this.getPath(config, keyPath)));
+    }
+
+    return envConfig;
+  }
+
+  /**
+   * Parse `key.path=value` assignments, as passed with `--set`
+   * @param {Array<string>} assignments - Assignments
+   * @param {Object} [config] - Configuration used to type the values
+   * @returns {Object} Nested config overrides
+   */
+  parseAssignments(assignments = [], config = DEFAULT_CONFIG) {
+    const overrides = {};
+
+    for (const assignment of assignments) {
+      const separator = assignment.indexOf('=');
+      const key = separator > 0 ? assignment.slice(0, separator).trim() : '';
+
+      if (!key) {
+        throw new Error(`Invalid config override "${assignment}": expected key.path=value`);
+      }
+
+      const keyPath = key.split('.');
+      this.setPath(overrides, keyPath, this.parseValue(assignment.slice(separator + 1), this.getPath(config, keyPath)));
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Parse a string value from the environment or command line
+   * Values replacing strings stay strings (so "0644" keeps its leading zero);
+   * anything else is read as YAML, e.g. `false`, `50` or `[".md", ".json"]`.
+   * @param {string} rawValue - Raw value
+   * @param {*} currentValue - Value being replaced
+   * @returns {*} Parsed value
+   */
+  parseValue(rawValue, currentValue) {
+    if (typeof currentValue === 'string') {
+      return rawValue;
+    }
+
+    try {
+      return yaml.parse(rawValue) ?? rawValue;
+    } catch {
+      return rawValue;
+    }
+  }
+
+  /**
+   * Map SCREAMING_SNAKE segments onto existing config keys, or camelCase for new keys
+   * @param {Object} config - Configuration to resolve against
+   * @param {Array<string>} segments - Environment variable segments
+   * @returns {Array<string>} Key path
+   */
+  resolveKeyPath(config, segments) {
+    const normalize = (key) => key.toLowerCase().replace(/[-_]/g, '');
+    const keyPath = [];
+    let node = config;
+
+    for (const segment of segments) {
+      const existing = node && typeof node === 'object'
+        ? Object.keys(node).find(key => normalize(key) === normalize(segment))
+        : undefined;
+      const key = existing ?? segment.toLowerCase().replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+
+      keyPath.push(key);
+      node = node?.[key];
+    }
+
+    return keyPath;
+  }
+
+  /**
+   * Deep-merge plain objects; arrays and scalars are replaced
+   * @param {Object} base - Base object
+   * @param {Object} override - Overriding object
+   * @returns {Object} Merged copy
+   */
+  merge(base, override) {
+    const merged = { ...base };
+
+    for (const [key, value] of Object.entries(override)) {
+      this.assertSafeKeyPath([key]);
+      merged[key] = this.isPlainObject(value) && this.isPlainObject(base[key])
+        ? this.merge(base[key], value)
+        : value;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Validate a merged configuration
+   * @param {Object} config - Merged configuration
+   * @returns {Object} Validated configuration
+   */
+  validate(config) {
+    const { error, value } = CONFIG_SCHEMA.validate(config, { abortEarly: false });
+
+    if (error) {
+      throw new Error(`Invalid configuration: ${error.details.map(d => d.message).join(', ')}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Read a nested value
+   * @param {Object} object - Object to read from
+   * @param {Array<string>} keyPath - Key path
+   * @returns {*} Value, or undefined when missing
+   */
+  getPath(object, keyPath) {
+    return keyPath.reduce((node, key) => node?.[key], object);
+  }
+
+  /**
+   * Set a nested value, creating intermediate objects
+   * @param {Object} object - Object to modify
+   * @param {Array<string>} keyPath - Key path
+   * @param {*} value - Value to set
+   */
+  setPath(object, keyPath, value) {
+    this.assertSafeKeyPath(keyPath);
+    let node = object;
+
+    for (const key of keyPath.slice(0, -1)) {
+      if (!this.isPlainObject(node[key])) {
+        node[key] = {};
+      }
+      node = node[key];
+    }
+
+    node[keyPath[keyPath.length - 1]] = value;
+  }
+
+  /**
+   * Reject key paths that would modify Object.prototype
+   * @param {Array<string>} keyPath - Key path
+   */
+  assertSafeKeyPath(keyPath) {
+    const unsafeKey = keyPath.find(key => UNSAFE_KEYS.includes(key));
+
+    if (unsafeKey) {
+      throw new Error(`Invalid config key "${keyPath.join('.')}": "${unsafeKey}" is not allowed`);
+    }
+  }
+
+  /**
+   * Check whether a value is a mergeable object
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is a non-array object
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
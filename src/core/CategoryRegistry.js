@@ -6,6 +6,8 @@
 import fs from 'fs-extra';
 import path from 'path';
 import yaml from 'yaml';
+import Joi from 'joi';
+import { glob } from 'glob';
 import { Logger } from '../utils/Logger.js';
 import { fileURLToPath } from 'url';
 
@@ -13,11 +15,72 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class CategoryRegistry {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('CategoryRegistry');
     this.categories = new Map();
     this.subcategories = new Map();
-    this.configPath = path.join(__dirname, '../../config/categories');
+    this.configPath = options.configPath || path.join(__dirname, '../../config/categories');
+    this.projectConfigPath = options.projectConfigPath || path.join(process.cwd(), '.qoder', 'categories');
+    this.categorySettings = {};
+    this.setupValidationSchemas();
+  }
+
+  /**
+   * Setup schemas for file-based category definitions
+   */
+  setupValidationSchemas() {
+    const idPattern = /^[a-z0-9-]+$/;
+    const stringList = Joi.array().items(Joi.string());
+
+    const categoryKeys = {
+      id: Joi.string().pattern(idPattern).required(),
+      name: Joi.string(),
+      description: Joi.string(),
+      subcategories: stringList,
+      outputStructure: Joi.object().pattern(Joi.string(), Joi.string()),
+      enabled: Joi.boolean()
+    };
+
+    const subcategoryKeys = {
+      name: Joi.string(),
+      description: Joi.string(),
+      category: Joi.string().pattern(idPattern),
+      techStacks: Joi.object().pattern(Joi.string(), stringList),
+      features: Joi.object({
+        core: stringList,
+        optional: stringList
+      }),
+      templates: stringList,
+      composition: Joi.string().pattern(idPattern),
+      validationRules: stringList,
+      transformations: Joi.array().items(Joi.object({
+        type: Joi.string().required(),
+        config: Joi.object().default({})
+      })),
+      context: Joi.object().unknown(true)
+    };
+
+    // New entries must be complete; entries overriding a known ID may be partial
+    this.schemas = {
+      category: Joi.object({
+        ...categoryKeys,
+        name: categoryKeys.name.required(),
+        description: categoryKeys.description.required(),
+        subcategories: stringList.default([]),
+        outputStructure: categoryKeys.outputStructure.default({})
+      }),
+      categoryOverride: Joi.object(categoryKeys),
+      subcategory: Joi.object({
+        ...subcategoryKeys,
+        name: subcategoryKeys.name.required(),
+        description: subcategoryKeys.description.required()
+      }),
+      subcategoryOverride: Joi.object(subcategoryKeys),
+      file: Joi.object({
+        categories: Joi.array().items(Joi.object().unknown(true)).default([]),
+        subcategories: Joi.object().pattern(Joi.string().pattern(idPattern), Joi.object().unknown(true)).default({})
+      })
+    };
   }
 
   /**
@@ -36,6 +99,12 @@ export class CategoryRegistry {
       // Load subcategory configurations
       await this.loadSubcategories();
 
+      // Merge file-based definitions on top of the built-ins
+      await this.loadCategoryFiles();
+
+      // Enabled flags from the categories section of the loaded configuration
+      this.applyCategorySettings();
+
       this.logger.success(`Loaded ${this.categories.size} categories with ${this.subcategories.size} subcategories`);
 
     } catch (error) {
@@ -123,6 +192,7 @@ export class CategoryRegistry {
       this.categories.set(category.id, {
         ...category,
         enabled: true,
+        source: 'built-in',
         loadedAt: new Date().toISOString()
       });
     }
@@ -146,6 +216,7 @@ export class CategoryRegistry {
           optional: ['PWA capabilities', 'Real-time updates', 'Offline support', 'Analytics']
         },
         templates: ['prompts/react-web-app', 'prompts/landing-page'],
+        composition: 'web-application',
         validationRules: ['syntax-check', 'security-scan', 'performance-check'],
         transformations: [
           { type: 'dependency', config: { autoInstall: true } },
@@ -184,6 +255,7 @@ export class CategoryRegistry {
           optional: ['Rate limiting', 'Caching', 'Monitoring', 'API versioning']
         },
         templates: ['prompts/express-api'],
+        composition: 'advanced-api',
         validationRules: ['api-spec-check', 'security-scan', 'performance-check'],
         transformations: [
           { type: 'openapi', config: { generateSpec: true, includeExamples: true } },
@@ -253,11 +325,199 @@ export class CategoryRegistry {
       this.subcategories.set(id, {
         id,
         ...config,
+        source: 'built-in',
         loadedAt: new Date().toISOString()
       });
     }
   }
 
+  /**
+   * Load category definitions from YAML/JSON files
+   * The shipped config directory is applied first, then the project-local
+   * directory, so project files override both the built-ins and shipped files.
+   */
+  async loadCategoryFiles() {
+    const documents = [];
+
+    for (const directory of [this.configPath, this.projectConfigPath]) {
+      documents.push(...await this.readCategoryDirectory(directory));
+    }
+
+    // Register every category before any subcategory so that subcategories
+    // can attach themselves to parents defined in any file
+    for (const { source, definition } of documents) {
+      for (const category of definition.categories) {
+        this.registerCategory(category, source);
+      }
+    }
+
+    for (const { source, definition } of documents) {
+      for (const [id, subcategory] of Object.entries(definition.subcategories)) {
+        this.registerSubcategory(id, subcategory, source);
+      }
+    }
+
+    if (documents.length > 0) {
+      this.logger.debug(`Merged ${documents.length} category definition files`);
+    }
+  }
+
+  /**
+   * Read and validate all category files in a directory
+   * @param {string} directory - Directory to scan
+   * @returns {Array} Parsed definitions with their source paths
+   */
+  async readCategoryDirectory(directory) {
+    if (!await fs.pathExists(directory)) {
+      return [];
+    }
+
+    const files = (await glob('*.{yaml,yml,json}', { cwd: directory })).sort();
+    const documents = [];
+
+    for (const file of files) {
+      const source = path.join(directory, file);
+
+      try {
+        const definition = await this.readCategoryFile(source);
+        if (definition) {
+          documents.push({ source, definition });
+        }
+      } catch (error) {
+        this.logger.warn(`Failed to load category file: ${source}`, error.message);
+      }
+    }
+
+    return documents;
+  }
+
+  /**
+   * Parse a single category definition file
+   * @param {string} filePath - Path to a YAML or JSON file
+   * @returns {Object|null} Validated file definition
+   */
+  async readCategoryFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const data = filePath.endsWith('.json') ? JSON.parse(content) : yaml.parse(content);
+
+    // Empty files are allowed and simply contribute nothing
+    if (data === null || data === undefined) {
+      return null;
+    }
+
+    const { error, value } = this.schemas.file.validate(data, { abortEarly: false });
+    if (error) {
+      throw new Error(`Invalid category file: ${error.details.map(d => d.message).join(', ')}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Register or override a main category
+   * @param {Object} definition - Category definition
+   * @param {string} source - Where the definition came from
+   * @returns {boolean} Whether the definition was accepted
+   */
+  registerCategory(definition, source) {
+    const existing = this.categories.get(definition.id);
+    const schema = existing ? this.schemas.categoryOverride : this.schemas.category;
+    const { error, value } = schema.validate(definition, { abortEarly: false });
+
+    if (error) {
+      this.logger.warn(`Skipping invalid category '${definition.id}' in ${source}: ${error.details.map(d => d.message).join(', ')}`);
+      return false;
+    }
+
+    this.categories.set(value.id, {
+      ...existing,
+      ...value,
+      enabled: value.enabled ?? existing?.enabled ?? true,
+      source,
+      loadedAt: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Register or override a subcategory
+   * @param {string} id - Subcategory identifier
+   * @param {Object} definition - Subcategory definition
+   * @param {string} source - Where the definition came from
+   * @returns {boolean} Whether the definition was accepted
+   */
+  registerSubcategory(id, definition, source) {
+    const existing = this.subcategories.get(id);
+    const schema = existing ? this.schemas.subcategoryOverride : this.schemas.subcategory;
+    const { error, value } = schema.validate(definition, { abortEarly: false });
+
+    if (error) {
+      this.logger.warn(`Skipping invalid subcategory '${id}' in ${source}: ${error.details.map(d => d.message).join(', ')}`);
+      return false;
+    }
+
+    // Attach to the declared parent so new subcategories don't require
+    // restating the parent's whole subcategory list
+    if (value.category) {
+      const parent = this.categories.get(value.category);
+      if (!parent) {
+        this.logger.warn(`Subcategory '${id}' in ${source} references unknown category: ${value.category}`);
+      } else if (!parent.subcategories.includes(id)) {
+        parent.subcategories = [...parent.subcategories, id];
+      }
+    }
+
+    this.subcategories.set(id, {
+      ...existing,
+      ...value,
+      id,
+      source,
+      loadedAt: new Date().toISOString()
+    });
+
+    return true;
+  }
+
+  /**
+   * Apply per-category settings from the categories section of the loaded configuration
+   * @param {Object} settings - Category ID to { enabled }
+   */
+  configure(settings = {}) {
+    this.categorySettings = settings;
+    this.applyCategorySettings();
+  }
+
+  /**
+   * Apply configured enabled flags to loaded categories
+   * Configuration takes precedence over the category definitions themselves.
+   */
+  applyCategorySettings() {
+    for (const [id, settings] of Object.entries(this.categorySettings)) {
+      const category = this.categories.get(id);
+
+      if (category && typeof settings?.enabled === 'boolean') {
+        category.enabled = settings.enabled;
+      }
+    }
+  }
+
+  /**
+   * Check whether a category, or the parent of a subcategory, is enabled
+   * @param {string} categoryId - Category or subcategory ID
+   * @returns {boolean} Whether the category can be generated
+   */
+  isCategoryEnabled(categoryId) {
+    if (this.categories.has(categoryId)) {
+      return this.categories.get(categoryId).enabled !== false;
+    }
+
+    const parent = Array.from(this.categories.values())
+      .find(cat => cat.subcategories.includes(categoryId));
+
+    return parent ? parent.enabled !== false : this.subcategories.has(categoryId);
+  }
+
   /**
    * Get all available categories
    * @returns {Array} List of categories
@@ -332,7 +592,8 @@ export class CategoryRegistry {
    * @returns {boolean} Whether category is valid
    */
   isValidCategory(categoryId) {
-    return this.categories.has(categoryId) || this.subcategories.has(categoryId);
+    return (this.categories.has(categoryId) || this.subcategories.has(categoryId)) &&
+      this.isCategoryEnabled(categoryId);
   }
 
   /**
@@ -4,7 +4,13 @@
  */
 
 import Joi from 'joi';
+import { createHash } from 'crypto';
 import { Logger } from '../utils/Logger.js';
+import { OUTPUT_FORMATS } from '../output/FileGenerator.js';
+import { EXPORT_FORMATS } from '../exporters/BaseExporter.js';
+
+// Inputs that control where and how a suite is written, not what it contains
+const WRITE_OPTION_KEYS = ['outputPath', 'dryRun', 'diff', 'format'];
 
 export class InputValidator {
   constructor() {
@@ -49,6 +55,27 @@ export class InputValidator {
       
       outputPath: Joi.string()
         .default('./generated'),
+
+      dryRun: Joi.boolean()
+        .default(false),
+
+      diff: Joi.boolean()
+        .default(false),
+
+      format: Joi.string()
+        .valid(...OUTPUT_FORMATS)
+        .default('dir'),
+
+      exports: Joi.array()
+        .items(Joi.string().valid(...EXPORT_FORMATS))
+        .unique()
+        .default([]),
+
+      composition: Joi.string()
+        .pattern(/^[a-z0-9-]+$/)
+        .messages({
+          'string.pattern.base': 'Composition must contain only lowercase letters, numbers and hyphens'
+        }),
       
       stylePreferences: Joi.object()
         .default({}),
@@ -91,6 +118,149 @@ export class InputValidator {
         authentication: Joi.string().valid('JWT', 'OAuth', 'Basic', 'None').default('JWT'),
         documentation: Joi.boolean().default(true),
         testing: Joi.boolean().default(true)
+      }),
+
+      'cli-tool': Joi.object({
+        language: Joi.string().valid('Node.js', 'Python', 'Go', 'Rust').default('Node.js'),
+        distribution: Joi.string().valid('npm', 'PyPI', 'Homebrew', 'Binary').default('npm'),
+        configFormat: Joi.string().valid('JSON', 'YAML', 'TOML').default('YAML'),
+        interactive: Joi.boolean().default(false)
+      }),
+
+      'browser-extension': Joi.object({
+        browsers: Joi.array().items(Joi.string().valid('Chrome', 'Firefox', 'Safari', 'Edge')).default(['Chrome', 'Firefox']),
+        manifestVersion: Joi.number().valid(2, 3).default(3),
+        uiFramework: Joi.string().valid('React', 'Vue', 'Svelte', 'Vanilla').default('React')
+      }),
+
+      'pwa': Joi.object({
+        framework: Joi.string().valid('React', 'Vue', 'Svelte', 'Angular').default('React'),
+        offlineStrategy: Joi.string().valid('Cache First', 'Network First', 'Stale While Revalidate').default('Stale While Revalidate'),
+        pushNotifications: Joi.boolean().default(false)
+      }),
+
+      'portfolio-site': Joi.object({
+        siteGenerator: Joi.string().valid('Next.js', 'Astro', 'Gatsby', 'Static HTML').default('Astro'),
+        contactMethod: Joi.string().valid('Form', 'Email', 'Calendar').default('Form'),
+        includeBlog: Joi.boolean().default(false)
+      }),
+
+      'blog-platform': Joi.object({
+        contentSource: Joi.string().valid('Markdown', 'MDX', 'Headless CMS', 'Database').default('Markdown'),
+        comments: Joi.boolean().default(false),
+        newsletter: Joi.boolean().default(false)
+      }),
+
+      'e-commerce': Joi.object({
+        paymentProvider: Joi.string().valid('Stripe', 'PayPal', 'Adyen').default('Stripe'),
+        catalogSize: Joi.string().valid('Small', 'Medium', 'Large').default('Small'),
+        currency: Joi.string().length(3).uppercase().default('USD'),
+        guestCheckout: Joi.boolean().default(true)
+      }),
+
+      'documentation-site': Joi.object({
+        docsFramework: Joi.string().valid('Docusaurus', 'VitePress', 'MkDocs', 'Nextra').default('Docusaurus'),
+        searchProvider: Joi.string().valid('Algolia', 'Pagefind', 'Lunr').default('Pagefind'),
+        versioned: Joi.boolean().default(true)
+      }),
+
+      'corporate-website': Joi.object({
+        cms: Joi.string().valid('Contentful', 'Sanity', 'Strapi', 'WordPress', 'None').default('None'),
+        languages: Joi.array().items(Joi.string()).default(['English']),
+        accessibilityLevel: Joi.string().valid('A', 'AA', 'AAA').default('AA')
+      }),
+
+      'graphql-api': Joi.object({
+        graphqlImplementation: Joi.string().valid('Apollo Server', 'GraphQL Yoga', 'Mercurius', 'Strawberry', 'gqlgen').default('Apollo Server'),
+        database: Joi.string().valid('PostgreSQL', 'MongoDB', 'MySQL', 'SQLite').default('PostgreSQL'),
+        subscriptions: Joi.boolean().default(false)
+      }),
+
+      'websocket-service': Joi.object({
+        framework: Joi.string().valid('Socket.IO', 'ws', 'Phoenix Channels', 'FastAPI').default('Socket.IO'),
+        scalingAdapter: Joi.string().valid('Redis', 'NATS', 'None').default('Redis'),
+        authentication: Joi.string().valid('JWT', 'Session', 'None').default('JWT')
+      }),
+
+      'webhook-handler': Joi.object({
+        providers: Joi.array().items(Joi.string()).default(['Generic']),
+        queue: Joi.string().valid('BullMQ', 'SQS', 'RabbitMQ', 'None').default('BullMQ'),
+        signatureAlgorithm: Joi.string().valid('HMAC-SHA256', 'HMAC-SHA1', 'Ed25519').default('HMAC-SHA256')
+      }),
+
+      'auth-service': Joi.object({
+        protocol: Joi.string().valid('OAuth 2.0', 'OpenID Connect', 'SAML').default('OpenID Connect'),
+        tokenFormat: Joi.string().valid('JWT', 'Opaque').default('JWT'),
+        socialProviders: Joi.array().items(Joi.string()).default([]),
+        mfa: Joi.boolean().default(false)
+      }),
+
+      'data-pipeline': Joi.object({
+        orchestrator: Joi.string().valid('Airflow', 'Dagster', 'Prefect', 'Cron').default('Dagster'),
+        warehouse: Joi.string().valid('Snowflake', 'BigQuery', 'Redshift', 'PostgreSQL', 'DuckDB').default('PostgreSQL'),
+        schedule: Joi.string().default('0 2 * * *')
+      }),
+
+      'mobile-game': Joi.object({
+        engine: Joi.string().valid('Unity', 'Godot', 'Flutter Flame', 'React Native').default('Godot'),
+        platform: Joi.string().valid('iOS', 'Android', 'Both').default('Both'),
+        monetization: Joi.string().valid('Premium', 'Ads', 'In-app purchases', 'None').default('None')
+      }),
+
+      'interactive-story': Joi.object({
+        narrativeEngine: Joi.string().valid('Ink', 'Twine', 'Ren\'Py', 'Yarn Spinner').default('Ink'),
+        runtime: Joi.string().valid('Web', 'Desktop', 'Mobile').default('Web'),
+        saveSlots: Joi.number().integer().min(1).max(20).default(3)
+      }),
+
+      'simulation': Joi.object({
+        domain: Joi.string().max(100).default('Physics'),
+        renderer: Joi.string().valid('Three.js', 'p5.js', 'Canvas 2D', 'Matplotlib').default('Canvas 2D'),
+        timestep: Joi.number().positive().default(0.016)
+      }),
+
+      'ar-vr-experience': Joi.object({
+        xrPlatform: Joi.string().valid('WebXR', 'Unity', 'Unreal Engine').default('WebXR'),
+        mode: Joi.string().valid('AR', 'VR', 'Mixed').default('VR'),
+        targetFrameRate: Joi.number().valid(60, 72, 90, 120).default(72)
+      }),
+
+      'chatbot': Joi.object({
+        llmProvider: Joi.string().valid('OpenAI', 'Anthropic', 'Local', 'None').default('Anthropic'),
+        channels: Joi.array().items(Joi.string()).default(['Web']),
+        retrieval: Joi.boolean().default(false)
+      }),
+
+      'ml-model': Joi.object({
+        mlFramework: Joi.string().valid('PyTorch', 'TensorFlow', 'scikit-learn', 'XGBoost').default('PyTorch'),
+        task: Joi.string().valid('Classification', 'Regression', 'Clustering', 'Forecasting').default('Classification'),
+        experimentTracking: Joi.string().valid('MLflow', 'Weights & Biases', 'None').default('MLflow')
+      }),
+
+      'computer-vision': Joi.object({
+        visionTask: Joi.string().valid('Classification', 'Object Detection', 'Segmentation', 'OCR').default('Object Detection'),
+        inferenceTarget: Joi.string().valid('Server', 'Edge', 'Browser').default('Server'),
+        modelFormat: Joi.string().valid('PyTorch', 'ONNX', 'TensorRT', 'TFLite').default('ONNX')
+      }),
+
+      'nlp-service': Joi.object({
+        nlpTasks: Joi.array()
+          .items(Joi.string().valid('Classification', 'Entity Extraction', 'Summarization', 'Sentiment Analysis', 'Translation'))
+          .default(['Classification']),
+        languages: Joi.array().items(Joi.string()).default(['English']),
+        modelSource: Joi.string().valid('Hugging Face', 'spaCy', 'Hosted API').default('Hugging Face')
+      }),
+
+      'recommendation-engine': Joi.object({
+        approach: Joi.string().valid('Collaborative Filtering', 'Content-Based', 'Hybrid').default('Hybrid'),
+        servingLatencyMs: Joi.number().integer().positive().default(100),
+        realtime: Joi.boolean().default(false)
+      }),
+
+      'data-analysis-tool': Joi.object({
+        interface: Joi.string().valid('Dashboard', 'Notebook', 'CLI').default('Dashboard'),
+        dataFormats: Joi.array().items(Joi.string()).default(['CSV', 'Parquet']),
+        visualizationLibrary: Joi.string().valid('Plotly', 'Matplotlib', 'Vega-Lite', 'ggplot2').default('Plotly')
       })
     };
   }
@@ -104,8 +274,8 @@ export class InputValidator {
     try {
       this.logger.debug('Validating user inputs');
 
-      // Basic validation
-      const { error: baseError, value: baseValues } = this.baseSchema.validate(inputs, {
+      // Basic validation (category-specific keys are checked separately below)
+      const { error: baseError, value: baseValues } = this.getBaseSchema(inputs?.category).validate(inputs, {
         abortEarly: false,
         stripUnknown: false
       });
@@ -147,6 +317,71 @@ export class InputValidator {
     }
   }
 
+  /**
+   * Get the base schema, allowing the option keys of a category-specific schema
+   * @param {string} category - Category or subcategory ID
+   * @returns {Object} Joi schema
+   */
+  getBaseSchema(category) {
+    const optionKeys = this.getCategoryOptionKeys(category);
+    if (optionKeys.length === 0) {
+      return this.baseSchema;
+    }
+
+    return this.baseSchema.keys(Object.fromEntries(optionKeys.map(key => [key, Joi.any()])));
+  }
+
+  /**
+   * Get the option keys defined by a category-specific schema
+   * @param {string} category - Category or subcategory ID
+   * @returns {Array} Option keys
+   */
+  getCategoryOptionKeys(category) {
+    const schema = this.categorySpecificSchemas[category];
+    return schema ? Object.keys(schema.describe().keys || {}) : [];
+  }
+
+  /**
+   * Extract category-specific options from validated inputs
+   * @param {Object} inputs - Validated inputs
+   * @returns {Object} Category options
+   */
+  extractCategoryOptions(inputs) {
+    const options = {};
+
+    for (const key of this.getCategoryOptionKeys(inputs.category)) {
+      if (inputs[key] !== undefined) {
+        options[key] = inputs[key];
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Hash the inputs that determine a suite's content
+   * Keys are sorted so equal inputs hash equally regardless of order.
+   * @param {Object} inputs - Validated inputs
+   * @returns {string} SHA-256 hex digest
+   */
+  hashInputs(inputs) {
+    const stable = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(stable);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, stable(value[key])]));
+      }
+      return value;
+    };
+
+    const contentInputs = Object.fromEntries(
+      Object.entries(inputs).filter(([key]) => !WRITE_OPTION_KEYS.includes(key))
+    );
+
+    return createHash('sha256').update(JSON.stringify(stable(contentInputs))).digest('hex');
+  }
+
   /**
    * Normalize technology stack
    * @param {Array} techStack - Raw tech stack array
@@ -396,6 +631,7 @@ export class OutputFormatter {
       category: metadata.category,
       projectName: metadata.projectName,
       generatedAt: metadata.generatedAt,
+      inputHash: metadata.inputHash ?? null,
       structure: {}
     };
 
@@ -406,7 +642,13 @@ export class OutputFormatter {
         files: info.files.map(file => ({
           path: file.path,
           size: file.size,
-          template: file.templateId
+          // Hash of the content as generated, used to merge hand edits and to verify the suite
+          sha256: createHash('sha256').update(file.content ?? '', 'utf8').digest('hex'),
+          template: file.templateId,
+          templateVersion: file.templateVersion ?? null,
+          templateHash: file.templateHash ?? null,
+          transformers: file.transformers || [],
+          inputHash: metadata.inputHash ?? null
         }))
       };
     }
@@ -11,6 +11,7 @@ export class PromptGenerator {
     this.logger = new Logger('PromptGenerator');
     this.categoryRegistry = dependencies.categoryRegistry;
     this.templateEngine = dependencies.templateEngine;
+    this.templateComposer = dependencies.templateComposer;
     this.validationEngine = dependencies.validationEngine;
     this.fileGenerator = dependencies.fileGenerator;
     this.inputValidator = new InputValidator();
@@ -35,14 +36,25 @@ export class PromptGenerator {
       if (!categoryConfig) {
         throw new Error(`Category not found: ${validatedInputs.category}`);
       }
+      if (!this.categoryRegistry.isCategoryEnabled(validatedInputs.category)) {
+        throw new Error(`Category is disabled: ${validatedInputs.category}`);
+      }
 
       // 3. Select appropriate templates
-      const templates = await this.templateEngine.selectTemplates(categoryConfig, validatedInputs);
+      let templates = await this.templateEngine.selectTemplates(categoryConfig, validatedInputs);
       this.logger.debug(`Selected ${templates.length} templates`);
 
       // 4. Generate context object
       const context = this.createGenerationContext(validatedInputs, categoryConfig);
 
+      // The category's (or requested) composition covers the whole prompt, so it replaces
+      // the selected templates instead of repeating them
+      const compositionId = validatedInputs.composition || categoryConfig.composition;
+      if (compositionId) {
+        templates = [await this.composeTemplate(compositionId, context)];
+        this.logger.debug(`Composition ${compositionId} replaces the selected templates`);
+      }
+
       // 5. Render templates with context
       const renderedFiles = await this.templateEngine.renderTemplates(templates, context);
       this.logger.debug(`Rendered ${renderedFiles.length} files`);
@@ -55,17 +67,28 @@ export class PromptGenerator {
       );
 
       // 7. Validate generated content
-      const validatedFiles = await this.validationEngine.validateGeneratedContent(transformedFiles);
+      const validatedFiles = await this.validationEngine.validateGeneratedContent(
+        transformedFiles,
+        categoryConfig.validationRules || []
+      );
+
+      // Export the prompts to other assistants' instruction formats
+      const exportedFiles = await this.exportFiles(validatedFiles, validatedInputs.exports, {
+        projectName: validatedInputs.projectName,
+        category: validatedInputs.category,
+        techStack: validatedInputs.techStack
+      });
 
       // 8. Format output structure
       const promptSuite = await this.outputFormatter.formatSuite({
-        files: validatedFiles,
+        files: [...validatedFiles, ...exportedFiles],
         metadata: {
           category: validatedInputs.category,
           projectName: validatedInputs.projectName,
           techStack: validatedInputs.techStack,
           generatedAt: new Date().toISOString(),
-          version: '1.0.0'
+          version: '1.0.0',
+          inputHash: this.inputValidator.hashInputs(validatedInputs)
         },
         structure: categoryConfig.outputStructure
       });
@@ -83,6 +106,24 @@ export class PromptGenerator {
     }
   }
 
+  /**
+   * Explain the template selection generate() makes for these inputs
+   * @param {Object} inputs - User inputs
+   * @returns {Object} TemplateEngine.explainSelection() result and the composition that replaces the selection
+   */
+  async explainSelection(inputs) {
+    const validatedInputs = await this.inputValidator.validate(inputs);
+    const categoryConfig = await this.categoryRegistry.getCategoryConfig(validatedInputs.category);
+    if (!categoryConfig) {
+      throw new Error(`Category not found: ${validatedInputs.category}`);
+    }
+
+    return {
+      ...this.templateEngine.explainSelection(categoryConfig, validatedInputs),
+      composition: validatedInputs.composition || categoryConfig.composition || null
+    };
+  }
+
   /**
    * Create generation context from inputs and category config
    * @param {Object} inputs - Validated user inputs
@@ -91,8 +132,16 @@ export class PromptGenerator {
    */
   createGenerationContext(inputs, categoryConfig) {
     const currentDate = new Date();
+    const categoryOptions = this.inputValidator.extractCategoryOptions(inputs);
+    // Match the tech stack, or the category's framework option, by name
+    const usesTech = (...names) => [...(inputs.techStack || []), categoryOptions.framework]
+      .some(tech => typeof tech === 'string' && names.some(name => tech.toLowerCase().includes(name)));
+    const hasFeature = (...flags) => flags.some(flag => (inputs.featureFlags || []).includes(flag));
     
     return {
+      // Category-specific options (e.g. framework, database) from InputValidator
+      ...categoryOptions,
+
       // Core inputs
       category: inputs.category,
       projectName: inputs.projectName,
@@ -138,20 +187,14 @@ export class PromptGenerator {
       categoryContext: categoryConfig.context || {},
 
       // Utility functions for templates
-      utils: {
-        camelCase: this.toCamelCase,
-        pascalCase: this.toPascalCase,
-        kebabCase: this.toKebabCase,
-        snakeCase: this.toSnakeCase,
-        capitalize: this.capitalize,
-        pluralize: this.pluralize,
-        includes: this.createIncludesHelper(inputs)
-      },
+      utils: this.createTemplateUtils(inputs),
 
       // Template helpers for conditionals
       hasReact: inputs.techStack && inputs.techStack.some(tech => tech.toLowerCase().includes('react')),
       hasVue: inputs.techStack && inputs.techStack.some(tech => tech.toLowerCase().includes('vue')),
       hasAngular: inputs.techStack && inputs.techStack.some(tech => tech.toLowerCase().includes('angular')),
+      hasRedux: inputs.techStack && inputs.techStack.some(tech => tech.toLowerCase().includes('redux')),
+      hasZustand: inputs.techStack && inputs.techStack.some(tech => tech.toLowerCase().includes('zustand')),
       hasTypeScript: inputs.techStack && inputs.techStack.some(tech => tech.toLowerCase().includes('typescript')),
       hasNodeJs: inputs.techStack && inputs.techStack.some(tech => tech.toLowerCase().includes('node')),
       hasPython: inputs.techStack && inputs.techStack.some(tech => tech.toLowerCase().includes('python')),
@@ -166,6 +209,41 @@ export class PromptGenerator {
       hasTesting: inputs.featureFlags && inputs.featureFlags.includes('testing'),
       hasDatabase: inputs.featureFlags && (inputs.featureFlags.includes('database') || inputs.featureFlags.includes('mongodb') || inputs.featureFlags.includes('postgresql')),
       hasApiIntegration: inputs.featureFlags && inputs.featureFlags.includes('api-integration'),
+      hasAuthentication: hasFeature('auth', 'authentication') || (Boolean(categoryOptions.authentication) && categoryOptions.authentication !== 'None'),
+      hasJWT: usesTech('jwt') || categoryOptions.authentication === 'JWT',
+      hasOAuth: usesTech('oauth') || categoryOptions.authentication === 'OAuth',
+      hasTypeSafety: usesTech('typescript') || hasFeature('type-safety'),
+      hasSubscriptions: hasFeature('subscriptions') || categoryOptions.subscriptions === true,
+      hasCaching: hasFeature('caching'),
+      hasValidation: hasFeature('validation'),
+      hasErrorHandling: hasFeature('error-handling'),
+      hasContactForm: hasFeature('contact-form'),
+      hasAnalytics: hasFeature('analytics'),
+      hasPWA: hasFeature('pwa') || categoryOptions.pwa === true,
+      hasRealTime: hasFeature('real-time', 'websockets'),
+      hasContext: hasFeature('context') || usesTech('context api'),
+      hasNotifications: hasFeature('notifications', 'push-notifications'),
+      hasCamera: hasFeature('camera'),
+      hasLocation: hasFeature('location'),
+      hasPrinting: hasFeature('printing'),
+      hasMultiplayer: hasFeature('multiplayer'),
+      hasMonetization: hasFeature('monetization'),
+      // Mobile, desktop and game platform helpers
+      hasReactNative: usesTech('react native', 'react-native'),
+      hasFlutter: usesTech('flutter'),
+      hasNative: usesTech('native', 'swift', 'kotlin') && !usesTech('react native', 'react-native'),
+      hasElectron: usesTech('electron'),
+      hasTauri: usesTech('tauri'),
+      hasVanillaJS: usesTech('vanilla'),
+      hasPhaser: usesTech('phaser'),
+      hasThreeJS: usesTech('three'),
+      hasPixiJS: usesTech('pixi'),
+      hasCanvasAPI: usesTech('canvas'),
+      hasTabNavigation: categoryOptions.navigation === 'Tab',
+      hasDrawerNavigation: categoryOptions.navigation === 'Drawer',
+      hasWindowsStore: hasFeature('windows-store'),
+      hasMacAppStore: hasFeature('mac-app-store'),
+      hasLinuxPackages: hasFeature('linux-packages'),
       // Category helpers
       hasWebApp: inputs.category && inputs.category.toLowerCase().includes('web-app'),
       hasApi: inputs.category && (inputs.category.toLowerCase().includes('api') || inputs.category.toLowerCase().includes('rest')),
@@ -176,8 +254,39 @@ export class PromptGenerator {
     };
   }
 
+  /**
+   * Build a renderable template from a composition
+   * @param {string} compositionId - Composition or base template identifier
+   * @param {Object} context - Generation context
+   * @returns {Object} Template object for TemplateEngine.renderTemplates
+   */
+  async composeTemplate(compositionId, context) {
+    if (!this.templateComposer) {
+      throw new Error(`Template composition is not available: ${compositionId}`);
+    }
+
+    if (!this.templateComposer.hasComposition(compositionId)) {
+      throw new Error(`Composition not found: ${compositionId}`);
+    }
+
+    const content = await this.templateComposer.composeTemplate(compositionId, context);
+    this.logger.debug(`Composed template: ${compositionId}`);
+
+    return {
+      id: `compositions/${compositionId}`,
+      path: `compositions/${compositionId}.md`,
+      content,
+      metadata: {
+        ...this.templateEngine.parseTemplateMetadata(content),
+        composition: compositionId
+      },
+      loadedAt: new Date().toISOString()
+    };
+  }
+
   /**
    * Apply category-specific transformations to generated files
+   * Files a transformer creates or changes record its type in `transformers`.
    * @param {Array} files - Rendered file objects
    * @param {Object} categoryConfig - Category configuration
    * @param {Object} context - Generation context
@@ -193,7 +302,12 @@ export class PromptGenerator {
     for (const transformation of categoryConfig.transformations) {
       try {
         const transformer = await this.loadTransformer(transformation.type);
-        transformedFiles = await transformer.transform(transformedFiles, transformation.config, context);
+        const previousContent = new Map(transformedFiles.map(file => [file.path, file.content]));
+        const results = await transformer.transform(transformedFiles, transformation.config, context);
+
+        transformedFiles = results.map(file => (previousContent.get(file.path) === file.content
+          ? file
+          : { ...file, transformers: [...(file.transformers || []), transformation.type] }));
         this.logger.debug(`Applied transformation: ${transformation.type}`);
       } catch (error) {
         this.logger.warn(`Failed to apply transformation: ${transformation.type}`, error);
@@ -217,6 +331,61 @@ export class PromptGenerator {
     }
   }
 
+  /**
+   * Export prompt files to assistant instruction formats
+   * @param {Array} files - Generated files
+   * @param {Array<string>} formats - Exporter types (see EXPORT_FORMATS)
+   * @param {Object} context - Suite metadata (projectName, category, techStack)
+   * @returns {Array} Exported files
+   */
+  async exportFiles(files, formats = [], context = {}) {
+    const exportedFiles = [];
+
+    for (const format of formats) {
+      try {
+        const exporter = await this.loadExporter(format);
+        exportedFiles.push(exporter.export(files, context));
+        this.logger.debug(`Exported ${format} instructions`);
+      } catch (error) {
+        this.logger.warn(`Failed to export: ${format}`, error);
+      }
+    }
+
+    return exportedFiles;
+  }
+
+  /**
+   * Load a specific exporter by type
+   * @param {string} type - Exporter type
+   * @returns {Object} Exporter instance
+   */
+  async loadExporter(type) {
+    try {
+      const { default: Exporter } = await import(`../exporters/${type}Exporter.js`);
+      return new Exporter();
+    } catch (error) {
+      throw new Error(`Failed to load exporter: ${type}`);
+    }
+  }
+
+  /**
+   * Create the utility functions templates get as `utils`
+   * Functions cannot be sent to worker threads, so ProcessingWorker recreates them with this.
+   * @param {Object} inputs - User inputs
+   * @returns {Object} Utility functions
+   */
+  createTemplateUtils(inputs) {
+    return {
+      camelCase: this.toCamelCase,
+      pascalCase: this.toPascalCase,
+      kebabCase: this.toKebabCase,
+      snakeCase: this.toSnakeCase,
+      capitalize: this.capitalize,
+      pluralize: this.pluralize,
+      includes: this.createIncludesHelper(inputs)
+    };
+  }
+
   /**
    * Create includes helper function for templates
    * @param {Object} inputs - User inputs
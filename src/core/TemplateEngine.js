@@ -5,25 +5,114 @@
 
 import fs from 'fs-extra';
 import path from 'path';
+import { createHash } from 'crypto';
 import Mustache from 'mustache';
 import { glob } from 'glob';
+import yaml from 'yaml';
+import Joi from 'joi';
 import { Logger } from '../utils/Logger.js';
+import { TemplateSelector } from './TemplateSelector.js';
+import { ENGINE_EXTENSIONS } from '../engines/BaseEngine.js';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Template file extensions, without the dot
+const TEMPLATE_EXTENSIONS = Object.keys(ENGINE_EXTENSIONS).map(extension => extension.slice(1));
+const TEMPLATE_EXTENSION = new RegExp(`\\.(${TEMPLATE_EXTENSIONS.join('|')})$`);
+
+// YAML front matter at the top of a template, between two --- lines
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+// Joi schema for each type a front-matter variable can declare
+const VARIABLE_TYPES = {
+  string: Joi.string(),
+  number: Joi.number(),
+  boolean: Joi.boolean(),
+  array: Joi.array(),
+  object: Joi.object()
+};
+
+const stringList = Joi.array().items(Joi.string());
+
+// Keys the composer reads (extends, mixin, insertAt, ...) are allowed alongside these
+const FRONT_MATTER_SCHEMA = Joi.object({
+  title: Joi.string(),
+  description: Joi.string(),
+  category: Joi.string(),
+  subcategories: stringList,
+  techStack: stringList,
+  features: stringList,
+  engine: Joi.string(),
+  version: Joi.alternatives(Joi.string(), Joi.number()).custom(value => String(value)),
+  outputPath: Joi.string(),
+  dependencies: stringList,
+  variables: Joi.object().pattern(/^[A-Za-z_$][\w$]*$/, Joi.object({
+    type: Joi.string().valid(...Object.keys(VARIABLE_TYPES)).default('string'),
+    required: Joi.boolean().default(false),
+    default: Joi.any(),
+    enum: Joi.array().min(1),
+    description: Joi.string()
+  }))
+}).unknown(true);
+
+// Used when templateEngine.escapeHtml is enabled
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+};
+
 export class TemplateEngine {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('TemplateEngine');
     this.templates = new Map();
     this.partials = new Map();
+    // Partials written for engines other than Mustache, by engine type
+    this.enginePartials = new Map();
+    this.engines = new Map();
     this.templatePath = path.join(__dirname, '../../templates');
+    this.templateSelector = new TemplateSelector();
+    this.options = {
+      delimiter: '{{|}}',
+      escapeHtml: false,
+      strict: false,
+      selection: {}
+    };
+    this.setOptions(options);
     
     // Configure Mustache
     Mustache.escape = (text) => text; // Disable HTML escaping for code templates
   }
 
+  /**
+   * Update rendering options (templateEngine section of config.yaml)
+   * @param {Object} options - delimiter ("open|close", Mustache only), escapeHtml, strict
+   *   (fail the generation when a template cannot be rendered or uses undefined variables,
+   *   instead of skipping or warning), and selection (TemplateSelector options)
+   */
+  setOptions(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.templateSelector.setOptions(this.options.selection);
+    this.logger.debug('Template engine options updated', this.options);
+  }
+
+  /**
+   * Mustache render configuration for the current options
+   * @returns {Object} Tags and escape function
+   */
+  getRenderConfig() {
+    return {
+      tags: this.options.delimiter.split('|'),
+      escape: this.options.escapeHtml
+        ? (text) => String(text).replace(/[&<>"']/g, char => HTML_ENTITIES[char])
+        : (text) => text
+    };
+  }
+
   /**
    * Load all templates from the templates directory
    */
@@ -34,8 +123,8 @@ export class TemplateEngine {
       // Ensure templates directory exists
       await fs.ensureDir(this.templatePath);
 
-      // Load all template files (both .mustache for code and .md for prompts)
-      const templateFiles = await glob('**/*.{mustache,md}', { 
+      // Load all template files (.mustache for code, .md for prompts, and the other engines' files)
+      const templateFiles = await glob(`**/*.{${TEMPLATE_EXTENSIONS.join(',')}}`, {
         cwd: this.templatePath,
         ignore: ['**/partials/**'] 
       });
@@ -62,19 +151,23 @@ export class TemplateEngine {
   async loadTemplate(templateFile) {
     try {
       const fullPath = path.join(this.templatePath, templateFile);
-      const content = await fs.readFile(fullPath, 'utf8');
-      
-      // Parse template metadata from comments
-      const metadata = this.parseTemplateMetadata(content);
+      const source = await fs.readFile(fullPath, 'utf8');
       
       // Create template ID from file path
-      const templateId = templateFile.replace(/\.(mustache|md)$/, '').replace(/\\/g, '/');
+      const templateId = templateFile.replace(TEMPLATE_EXTENSION, '').replace(/\\/g, '/');
+
+      // Parse template metadata from front matter (or comments), then render the rest
+      const metadata = this.parseTemplateMetadata(source, templateId);
+      const { body, lineOffset } = this.splitFrontMatter(source);
       
       this.templates.set(templateId, {
         id: templateId,
         path: templateFile,
-        content,
+        content: body,
+        source,
+        lineOffset,
         metadata,
+        engine: metadata.engine || ENGINE_EXTENSIONS[path.extname(templateFile)],
         loadedAt: new Date().toISOString()
       });
 
@@ -89,7 +182,7 @@ export class TemplateEngine {
    * Load partial templates
    */
   async loadPartials() {
-    const partialFiles = await glob('**/partials/**/*.mustache', { 
+    const partialFiles = await glob(`**/partials/**/*.{${TEMPLATE_EXTENSIONS.join(',')}}`, {
       cwd: this.templatePath 
     });
 
@@ -98,10 +191,18 @@ export class TemplateEngine {
         const fullPath = path.join(this.templatePath, partialFile);
         const content = await fs.readFile(fullPath, 'utf8');
         
-        // Create partial ID from file path
-        const partialId = path.basename(partialFile, '.mustache');
+        // Create partial ID from file path; the extension names the engine that renders it
+        const partialId = path.basename(partialFile, path.extname(partialFile));
         
-        this.partials.set(partialId, content);
+        const engine = ENGINE_EXTENSIONS[path.extname(partialFile)];
+        if (engine === 'mustache') {
+          this.partials.set(partialId, content);
+        } else {
+          if (!this.enginePartials.has(engine)) {
+            this.enginePartials.set(engine, new Map());
+          }
+          this.enginePartials.get(engine).set(partialId, content);
+        }
         
         this.logger.debug(`Loaded partial: ${partialId}`);
 
@@ -112,21 +213,38 @@ export class TemplateEngine {
   }
 
   /**
-   * Parse template metadata from comments
-   * @param {string} content - Template content
-   * @returns {Object} Parsed metadata
+   * Parse template metadata
+   * Templates declare metadata in YAML front matter; templates without it may use
+   * `{{!-- @key: value --}}` comments instead. Invalid front matter is reported and ignored.
+   * @param {string} content - Template source
+   * @param {string} templateId - Template identifier, for warnings
+   * @returns {Object} Parsed metadata (title, description, category, subcategories, techStack,
+   *   features, engine, version, outputPath, dependencies, variables, and any composition keys)
    */
-  parseTemplateMetadata(content) {
+  parseTemplateMetadata(content, templateId = 'template') {
     const metadata = {
       title: '',
       description: '',
       category: '',
       subcategory: '',
+      subcategories: [],
       techStack: [],
+      features: [],
       outputPath: '',
-      dependencies: []
+      dependencies: [],
+      variables: {}
     };
 
+    const { frontMatter } = this.splitFrontMatter(content);
+    if (frontMatter !== null) {
+      try {
+        return { ...metadata, ...this.validateFrontMatter(yaml.parse(frontMatter) ?? {}) };
+      } catch (error) {
+        this.logger.warn(`Ignoring front matter of ${templateId}: ${error.message}`);
+        return metadata;
+      }
+    }
+
     // Extract metadata from template comments
     const metadataRegex = /{{!-- @(\w+): (.+?) --}}/g;
     let match;
@@ -144,6 +262,105 @@ export class TemplateEngine {
     return metadata;
   }
 
+  /**
+   * Split YAML front matter from a template
+   * @param {string} content - Template source
+   * @returns {Object} { frontMatter (null when absent), body, lineOffset (lines before the body) }
+   */
+  splitFrontMatter(content) {
+    const match = content.match(FRONT_MATTER);
+    if (!match) {
+      return { frontMatter: null, body: content, lineOffset: 0 };
+    }
+
+    return {
+      frontMatter: match[1],
+      body: content.slice(match[0].length),
+      lineOffset: match[0].split('\n').length - 1
+    };
+  }
+
+  /**
+   * Validate parsed front matter, including that variable defaults match their declaration
+   * @param {Object} frontMatter - Parsed YAML
+   * @returns {Object} Validated front matter
+   */
+  validateFrontMatter(frontMatter) {
+    const { error, value } = FRONT_MATTER_SCHEMA.validate(frontMatter, { abortEarly: false });
+    if (error) {
+      throw new Error(error.details.map(d => d.message).join(', '));
+    }
+
+    const errors = Object.entries(value.variables || {})
+      .filter(([, variable]) => variable.default !== undefined)
+      .map(([name, variable]) => [name, this.createVariableSchema(variable).validate(variable.default).error])
+      .filter(([, defaultError]) => defaultError)
+      .map(([name, defaultError]) => `default of "${name}" ${defaultError.message.replace(/^"value" /, '')}`);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    return value;
+  }
+
+  /**
+   * Build the Joi schema for a declared template variable
+   * @param {Object} variable - Declaration ({ type, required, default, enum })
+   * @returns {Object} Joi schema
+   */
+  createVariableSchema(variable) {
+    const type = variable.type || 'string';
+    let schema = VARIABLE_TYPES[type];
+
+    if (variable.enum) {
+      schema = schema.valid(...variable.enum);
+    } else if (type === 'string') {
+      schema = schema.allow('');
+    }
+    if (variable.required) {
+      schema = schema.required();
+    }
+    if (variable.default !== undefined) {
+      schema = schema.default(variable.default);
+    }
+
+    return schema;
+  }
+
+  /**
+   * Apply a template's declared variables to the rendering context
+   * Missing variables take their defaults; values are checked against their type and enum.
+   * Declared variables without a value are set to undefined, so they count as defined.
+   * @param {Object} template - Template object
+   * @param {Object} context - Rendering context
+   * @returns {Object} Context for this template
+   */
+  applyTemplateVariables(template, context) {
+    const variables = template.metadata?.variables || {};
+    const names = Object.keys(variables);
+    if (names.length === 0) {
+      return context;
+    }
+
+    const schema = Joi.object(Object.fromEntries(
+      names.map(name => [name, this.createVariableSchema(variables[name])])
+    ));
+    const provided = Object.fromEntries(
+      names.filter(name => context[name] !== undefined).map(name => [name, context[name]])
+    );
+
+    const { error, value } = schema.validate(provided, { abortEarly: false });
+    if (error) {
+      throw new Error(`Template ${template.id} variables are invalid: ${error.details.map(d => d.message).join(', ')}`);
+    }
+
+    return {
+      ...context,
+      ...Object.fromEntries(names.map(name => [name, undefined])),
+      ...value
+    };
+  }
+
   /**
    * Select appropriate templates for a category and inputs
    * @param {Object} categoryConfig - Category configuration
@@ -151,83 +368,50 @@ export class TemplateEngine {
    * @returns {Array} Selected templates
    */
   async selectTemplates(categoryConfig, inputs) {
-    const selectedTemplates = [];
-
-    // Get templates specified in category config
-    if (categoryConfig.templates) {
-      for (const templateId of categoryConfig.templates) {
-        const template = this.templates.get(templateId);
-        if (template) {
-          selectedTemplates.push(template);
-        } else {
-          this.logger.warn(`Template not found: ${templateId}`);
-        }
-      }
-    }
+    const selection = this.explainSelection(categoryConfig, inputs);
 
-    // Auto-select templates based on tech stack
-    if (inputs.techStack && inputs.techStack.length > 0) {
-      const techStackTemplates = this.findTemplatesByTechStack(inputs.techStack);
-      selectedTemplates.push(...techStackTemplates);
-    }
+    this.logger.debug(`Selected ${selection.selected.length} templates for generation`);
+    return selection.selected.map(entry => entry.template);
+  }
 
-    // Auto-select base templates for the category
-    const baseTemplates = this.findBaseTemplates(categoryConfig.id || inputs.category);
-    selectedTemplates.push(...baseTemplates);
+  /**
+   * Score every library template for a category and inputs, and say why each was selected
+   * or rejected (see TemplateSelector.select)
+   * @param {Object} categoryConfig - Category configuration
+   * @param {Object} inputs - User inputs
+   * @returns {Object} { selected, rejected, missing, threshold, maxTemplates }
+   */
+  explainSelection(categoryConfig, inputs) {
+    const selection = this.templateSelector.select(this.templates.values(), categoryConfig, inputs);
 
-    // Remove duplicates
-    const uniqueTemplates = selectedTemplates.filter((template, index, self) => 
-      index === self.findIndex(t => t.id === template.id)
-    );
+    for (const templateId of selection.missing) {
+      this.logger.warn(`Template not found: ${templateId}`);
+    }
 
-    this.logger.debug(`Selected ${uniqueTemplates.length} templates for generation`);
-    return uniqueTemplates;
+    return selection;
   }
 
   /**
-   * Find templates by tech stack
+   * Find templates that declare any of the given technologies
+   * Names are compared as whole tokens, so "Java" does not match "JavaScript".
    * @param {Array} techStack - Technology stack
    * @returns {Array} Matching templates
    */
   findTemplatesByTechStack(techStack) {
-    const matchingTemplates = [];
-
-    for (const template of this.templates.values()) {
-      if (template.metadata.techStack && template.metadata.techStack.length > 0) {
-        const hasMatch = techStack.some(tech => 
-          template.metadata.techStack.some(templateTech => 
-            templateTech.toLowerCase().includes(tech.toLowerCase()) ||
-            tech.toLowerCase().includes(templateTech.toLowerCase())
-          )
-        );
-
-        if (hasMatch) {
-          matchingTemplates.push(template);
-        }
-      }
-    }
-
-    return matchingTemplates;
+    return [...this.templates.values()].filter(template =>
+      this.templateSelector.matchTokens(template.metadata.techStack, techStack).length > 0
+    );
   }
 
   /**
-   * Find base templates for a category
-   * @param {string} category - Category ID
+   * Find the templates written for a subcategory: named after it, or declaring it in their metadata
+   * @param {string} category - Subcategory ID
    * @returns {Array} Base templates
    */
   findBaseTemplates(category) {
-    const baseTemplates = [];
-
-    // Look for templates that match the category
-    for (const template of this.templates.values()) {
-      if (template.metadata.category === category || 
-          template.id.includes(category) ||
-          template.id.includes('base')) {
-        baseTemplates.push(template);
-      }
-    }
-
-    return baseTemplates;
+    return this.templateSelector.select(this.templates.values(), { id: category }, {}).selected
+      .filter(entry => entry.reasons.some(reason => reason.signal === 'named' || reason.signal === 'subcategory'))
+      .map(entry => entry.template);
   }
 
   /**
@@ -246,6 +430,9 @@ export class TemplateEngine {
           renderedFiles.push(renderedFile);
         }
       } catch (error) {
+        if (this.options.strict) {
+          throw new Error(`Failed to render template ${template.id}: ${error.message}`);
+        }
         this.logger.error(`Failed to render template: ${template.id}`, error);
       }
     }
@@ -263,32 +450,35 @@ export class TemplateEngine {
     try {
       this.logger.debug(`Rendering template: ${template.id}`);
 
-      let renderedContent;
-      
-      // For markdown prompt templates, render with Mustache
-      if (template.path.endsWith('.md')) {
-        renderedContent = Mustache.render(
-          template.content, 
-          context, 
-          Object.fromEntries(this.partials)
-        );
-      } else {
-        // For mustache templates, render normally
-        renderedContent = Mustache.render(
-          template.content, 
-          context, 
-          Object.fromEntries(this.partials)
-        );
+      const templateContext = this.applyTemplateVariables(template, context);
+
+      const engine = await this.getEngine(template.engine || 'mustache');
+
+      // Only Mustache templates are checked statically; the other engines report
+      // undefined variables while rendering, in strict mode
+      if (engine.getType() === 'mustache') {
+        this.checkUndefinedVariables(template, templateContext);
       }
 
+      const renderedContent = engine.render(template.content, templateContext, {
+        ...this.getRenderConfig(),
+        partials: this.getPartials(engine.getType()),
+        escapeHtml: this.options.escapeHtml,
+        strict: this.options.strict
+      });
+
       // Determine output path
-      const outputPath = this.resolveOutputPath(template, context);
+      const outputPath = this.resolveOutputPath(template, templateContext);
 
       // Extract any conditional sections
-      const conditionalSections = this.extractConditionalSections(renderedContent, context);
+      const conditionalSections = this.extractConditionalSections(renderedContent, templateContext);
 
       return {
         templateId: template.id,
+        // Provenance for the manifest; composed templates depend on the context, so only
+        // library templates get a hash that can be checked against the library later
+        templateVersion: template.metadata?.version ?? null,
+        templateHash: template.metadata?.composition ? null : this.getTemplateHash(template),
         path: outputPath,
         content: renderedContent,
         metadata: template.metadata,
@@ -303,6 +493,173 @@ export class TemplateEngine {
     }
   }
 
+  /**
+   * Get the partials a template engine can include
+   * Partials are only rendered by the engine they are written for, so a template
+   * cannot include a partial written for another engine.
+   * @param {string} type - Engine type
+   * @returns {Object} Partial content by name
+   */
+  getPartials(type) {
+    const partials = type === 'mustache' ? this.partials : this.enginePartials.get(type);
+    return Object.fromEntries(partials || []);
+  }
+
+  /**
+   * Get the adapter for a template engine, loading it on first use
+   * @param {string} type - Engine type (mustache, handlebars, ejs, nunjucks or a registered one)
+   * @returns {Object} Engine adapter
+   */
+  async getEngine(type) {
+    if (this.engines.has(type)) {
+      return this.engines.get(type);
+    }
+
+    let Engine;
+    try {
+      ({ default: Engine } = await import(`../engines/${type}Engine.js`));
+    } catch (error) {
+      throw new Error(`Unknown template engine: ${type}`);
+    }
+
+    const engine = new Engine();
+    await engine.load();
+    this.engines.set(type, engine);
+
+    return engine;
+  }
+
+  /**
+   * Register a template engine adapter, replacing any adapter of the same type
+   * @param {Object} engine - Adapter implementing getType() and render() (see BaseEngine)
+   */
+  registerEngine(engine) {
+    this.engines.set(engine.getType(), engine);
+    this.logger.debug(`Registered template engine: ${engine.getType()}`);
+  }
+
+  /**
+   * Report variables, sections and partials a template uses but the context does not define
+   * Mustache renders them as empty strings, so strict mode fails and otherwise this warns.
+   * @param {Object} template - Template object
+   * @param {Object} context - Rendering context
+   */
+  checkUndefinedVariables(template, context) {
+    const undefinedVariables = this.findUndefinedVariables(template, context);
+    if (undefinedVariables.length === 0) {
+      return;
+    }
+
+    const sigils = { variable: '', section: '#', partial: '>' };
+    const details = undefinedVariables
+      .map(({ name, type, line }) => `{{${sigils[type]}${name}}} (line ${line})`)
+      .join(', ');
+    const message = `Template ${template.id} uses undefined variables: ${details}`;
+
+    if (this.options.strict) {
+      throw new Error(message);
+    }
+    this.logger.warn(message);
+  }
+
+  /**
+   * Statically find the variables, sections and partials a template uses that the context does not define
+   * Names resolve as in Mustache: against the values of the enclosing sections, then outwards.
+   * The content of sections that do not render in this context (false, empty lists) is not checked.
+   * @param {Object} template - Template object
+   * @param {Object} context - Rendering context
+   * @returns {Array} Undefined names ({ name, type: 'variable' | 'section' | 'partial', line })
+   */
+  findUndefinedVariables(template, context) {
+    const { tags } = this.getRenderConfig();
+    const content = template.content ?? '';
+    const found = new Map();
+
+    // Line numbers count from the top of the file, front matter included
+    const lineAt = (offset) => content.slice(0, offset).split('\n').length + (template.lineOffset || 0);
+    const report = (name, type, line) => {
+      const key = `${type}:${name}:${line}`;
+      if (!found.has(key)) {
+        found.set(key, { name, type, line });
+      }
+    };
+
+    const visit = (tokens, frames, includeLine, partialStack) => {
+      for (const token of tokens) {
+        const [type, name, start] = token;
+        // Names used inside a partial are reported at the line that includes it
+        const line = includeLine ?? lineAt(start);
+
+        if (type === 'name' || type === '&') {
+          if (!this.lookupVariable(name, frames).found) {
+            report(name, 'variable', line);
+          }
+        } else if (type === '#' || type === '^') {
+          const { found: defined, values } = this.lookupVariable(name, frames);
+          if (!defined) {
+            report(name, 'section', line);
+          }
+
+          if (type === '^' || values.some(value => typeof value === 'function')) {
+            // Inverted sections and lambdas render their content with the current context
+            visit(token[4], frames, includeLine, partialStack);
+          } else {
+            const items = values.flatMap(value => (Array.isArray(value) ? value : (value ? [value] : [])));
+            if (items.length > 0) {
+              visit(token[4], [...frames, items], includeLine, partialStack);
+            }
+          }
+        } else if (type === '>') {
+          const partial = this.partials.get(name);
+          if (partial === undefined) {
+            report(name, 'partial', line);
+          } else if (!partialStack.includes(name)) {
+            visit(Mustache.parse(partial, tags), frames, line, [...partialStack, name]);
+          }
+        }
+      }
+    };
+
+    visit(Mustache.parse(content, tags), [[context]], null, []);
+
+    return [...found.values()];
+  }
+
+  /**
+   * Resolve a Mustache name against a stack of frames, innermost last
+   * Each frame lists the values a section may push; a name is defined in a frame when it
+   * resolves on any of them (any item of a list). A key the context sets, even to undefined,
+   * counts as defined.
+   * @param {string} name - Variable name, possibly dotted, or "."
+   * @param {Array<Array>} frames - Context frames
+   * @returns {Object} { found, values }
+   */
+  lookupVariable(name, frames) {
+    if (name === '.') {
+      return { found: true, values: frames[frames.length - 1] };
+    }
+
+    const missing = Symbol('missing');
+    const resolve = (current, part) => (
+      current !== missing && current !== null && current !== undefined && part in Object(current)
+        ? current[part]
+        : missing
+    );
+
+    const parts = name.split('.');
+    for (let i = frames.length - 1; i >= 0; i--) {
+      const values = frames[i]
+        .map(value => parts.reduce(resolve, value))
+        .filter(value => value !== missing);
+
+      if (values.length > 0) {
+        return { found: true, values };
+      }
+    }
+
+    return { found: false, values: [] };
+  }
+
   /**
    * Resolve the output path for a rendered template
    * @param {Object} template - Template object
@@ -436,6 +793,15 @@ export class TemplateEngine {
     return this.templates.get(templateId);
   }
 
+  /**
+   * Hash a template's source
+   * @param {Object} template - Template object
+   * @returns {string} SHA-256 hex digest
+   */
+  getTemplateHash(template) {
+    return createHash('sha256').update(template.source ?? template.content ?? '', 'utf8').digest('hex');
+  }
+
   /**
    * Search templates by metadata
    * @param {Object} criteria - Search criteria
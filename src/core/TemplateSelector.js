@@ -0,0 +1,169 @@
+/**
+ * Template Selector
+ * Scores library templates against a category and inputs and explains the choice
+ */
+
+// Points each kind of match adds to a template's score
+export const SELECTION_WEIGHTS = {
+  listed: 10,      // listed in the category's `templates`
+  named: 4,        // file named after the subcategory (prompts/graphql-api)
+  subcategory: 2,  // front matter `subcategories` include the subcategory
+  category: 1,     // front matter `category` is the parent category
+  techStack: 3,    // per tech-stack entry the template declares
+  feature: 1       // per feature flag the template declares
+};
+
+// Building blocks consumed by TemplateComposer rather than selected on their own
+const COMPOSITION_DIRECTORIES = ['base/', 'mixins/', 'fragments/'];
+
+export class TemplateSelector {
+  constructor(options = {}) {
+    this.options = {
+      threshold: 4,
+      maxTemplates: 5
+    };
+    this.setOptions(options);
+  }
+
+  /**
+   * Update selection options (templateEngine.selection section of config.yaml)
+   * @param {Object} options - threshold (minimum score) and maxTemplates (cap on the suite)
+   */
+  setOptions(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Score templates and select those at or above the threshold, best first, up to the cap
+   * Templates the category lists are always selected, even past the cap. Templates that
+   * declare a tech stack are only selected when the inputs use one of its entries.
+   * @param {Iterable} templates - Library templates
+   * @param {Object} categoryConfig - Category configuration
+   * @param {Object} inputs - User inputs
+   * @returns {Object} { selected, rejected, missing, threshold, maxTemplates }; selected and
+   *   rejected entries are { template, id, score, reasons }, rejected ones also carry `because`
+   */
+  select(templates, categoryConfig, inputs) {
+    const { threshold, maxTemplates } = this.options;
+    const listed = categoryConfig.templates || [];
+    const candidates = [...templates].filter(template =>
+      !COMPOSITION_DIRECTORIES.some(directory => template.id.startsWith(directory))
+    );
+
+    const scored = candidates
+      .map(template => this.scoreTemplate(template, categoryConfig, inputs))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+
+    const selected = [];
+    const rejected = [];
+
+    // Listed templates keep the order the category gives them
+    for (const id of listed) {
+      const entry = scored.find(candidate => candidate.id === id);
+      if (entry) {
+        selected.push(entry);
+      }
+    }
+
+    for (const entry of scored) {
+      if (listed.includes(entry.id)) {
+        continue;
+      }
+
+      const techStack = entry.template.metadata?.techStack || [];
+      if (techStack.length > 0 && !entry.reasons.some(reason => reason.signal === 'techStack')) {
+        rejected.push({ ...entry, because: `written for ${techStack.join(', ')}` });
+      } else if (entry.score < threshold) {
+        rejected.push({ ...entry, because: `below the threshold of ${threshold}` });
+      } else if (selected.length >= maxTemplates) {
+        rejected.push({ ...entry, because: `over the cap of ${maxTemplates} templates` });
+      } else {
+        selected.push(entry);
+      }
+    }
+
+    return {
+      selected,
+      rejected,
+      missing: listed.filter(id => !candidates.some(template => template.id === id)),
+      threshold,
+      maxTemplates
+    };
+  }
+
+  /**
+   * Score one template
+   * @param {Object} template - Template object
+   * @param {Object} categoryConfig - Category configuration
+   * @param {Object} inputs - User inputs
+   * @returns {Object} { template, id, score, reasons: [{ signal, match, points }] }
+   */
+  scoreTemplate(template, categoryConfig, inputs) {
+    const metadata = template.metadata || {};
+    const subcategory = categoryConfig.id || inputs.category;
+    const parentCategory = categoryConfig.parentCategory?.id || categoryConfig.category;
+    const reasons = [];
+    const add = (signal, match) => reasons.push({ signal, match, points: SELECTION_WEIGHTS[signal] });
+
+    if ((categoryConfig.templates || []).includes(template.id)) {
+      add('listed', subcategory || 'category');
+    }
+
+    if (subcategory) {
+      if (template.id.split('/').pop() === subcategory) {
+        add('named', subcategory);
+      }
+      // Comment metadata names the subcategory in @category or @subcategory
+      if ((metadata.subcategories || []).includes(subcategory) ||
+          metadata.subcategory === subcategory ||
+          metadata.category === subcategory) {
+        add('subcategory', subcategory);
+      }
+    }
+
+    if (parentCategory && metadata.category === parentCategory) {
+      add('category', parentCategory);
+    }
+
+    for (const tech of this.matchTokens(metadata.techStack, inputs.techStack)) {
+      add('techStack', tech);
+    }
+
+    for (const flag of this.matchTokens(metadata.features, inputs.featureFlags)) {
+      add('feature', flag);
+    }
+
+    return {
+      template,
+      id: template.id,
+      score: reasons.reduce((total, reason) => total + reason.points, 0),
+      reasons
+    };
+  }
+
+  /**
+   * Find requested entries that a template declares, comparing whole normalized names
+   * @param {Array<string>} declared - Names the template declares
+   * @param {Array<string>} requested - Names from the inputs
+   * @returns {Array<string>} Requested names the template declares
+   */
+  matchTokens(declared = [], requested = []) {
+    const tokens = new Set((declared || []).map(name => this.normalizeToken(name)));
+
+    return (requested || []).filter(name => tokens.has(this.normalizeToken(name)));
+  }
+
+  /**
+   * Normalize a technology or feature name for comparison
+   * Case, spaces, dots, hyphens and a trailing "js" are ignored, so "Next.js" and "nextjs"
+   * match while "Java" and "JavaScript" do not.
+   * @param {string} name - Name
+   * @returns {string} Token
+   */
+  normalizeToken(name) {
+    const token = String(name).toLowerCase().replace(/[\s._-]+/g, '');
+
+    return token.length > 2 && token.endsWith('js') ? token.slice(0, -2) : token;
+  }
+}
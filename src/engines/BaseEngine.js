@@ -0,0 +1,90 @@
+/**
+ * Base Engine
+ * Base class for the template engine adapters TemplateEngine renders templates with
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+// Engine each template file extension renders with; front matter `engine` overrides it
+export const ENGINE_EXTENSIONS = {
+  '.mustache': 'mustache',
+  '.md': 'mustache',
+  '.hbs': 'handlebars',
+  '.handlebars': 'handlebars',
+  '.ejs': 'ejs',
+  '.njk': 'nunjucks'
+};
+
+const normalize = (value) => String(value).toLowerCase();
+
+// Helpers the engines with logic expose to templates; Mustache templates use context flags instead
+export const TEMPLATE_HELPERS = {
+  includes: (list, value) => Array.isArray(list) && list.some(item => normalize(item) === normalize(value)),
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  and: (...values) => values.every(Boolean),
+  or: (...values) => values.some(Boolean),
+  not: (value) => !value
+};
+
+export class BaseEngine {
+  constructor() {
+    this.logger = new Logger(this.constructor.name);
+    this.library = null;
+  }
+
+  /**
+   * Engine type, as used by front matter `engine`
+   * @returns {string} Type
+   */
+  getType() {
+    throw new Error('getType method must be implemented by subclasses');
+  }
+
+  /**
+   * npm package the engine renders with
+   * @returns {string} Package name
+   */
+  getPackageName() {
+    throw new Error('getPackageName method must be implemented by subclasses');
+  }
+
+  /**
+   * Import the engine's package
+   * Packages are imported on first use, so only templates written for an engine
+   * that is not installed fail to render.
+   */
+  async load() {
+    if (this.library) {
+      return;
+    }
+
+    const packageName = this.getPackageName();
+    try {
+      const module = await import(packageName);
+      this.library = module.default ?? module;
+    } catch (error) {
+      throw new Error(`Template engine ${this.getType()} needs the ${packageName} package: npm install ${packageName}`);
+    }
+  }
+
+  /**
+   * Render template content
+   * @param {string} content - Template content, without front matter
+   * @param {Object} context - Rendering context
+   * @param {Object} options - partials (name => content), tags, escape (function),
+   *   escapeHtml and strict (fail on undefined variables, where the engine supports it)
+   * @returns {string} Rendered content
+   */
+  render(_content, _context, _options = {}) {
+    throw new Error('render method must be implemented by subclasses');
+  }
+
+  /**
+   * Helpers exposed to templates
+   * @returns {Object} Helper functions by name
+   */
+  getHelpers() {
+    return TEMPLATE_HELPERS;
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * EJS Engine
+ * Renders .ejs templates
+ */
+
+import { BaseEngine } from './BaseEngine.js';
+
+export default class EjsEngine extends BaseEngine {
+  /**
+   * Engine type
+   * @returns {string} Type
+   */
+  getType() {
+    return 'ejs';
+  }
+
+  /**
+   * npm package
+   * @returns {string} Package name
+   */
+  getPackageName() {
+    return 'ejs';
+  }
+
+  /**
+   * Render with EJS
+   * Helpers are plain functions in scope (`<% if (includes(techStack, 'React')) { %>`) and
+   * `include('name')` includes a partial. EJS fails on undefined names in any mode.
+   * @param {string} content - Template content
+   * @param {Object} context - Rendering context
+   * @param {Object} options - partials and escape
+   * @returns {string} Rendered content
+   */
+  render(content, context, { partials = {}, escape } = {}) {
+    return this.library.render(content, { ...this.getHelpers(), ...context }, {
+      escape,
+      includer: (name) => {
+        if (!(name in partials)) {
+          throw new Error(`Unknown ejs partial: ${name}`);
+        }
+        return { template: partials[name] };
+      }
+    });
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Handlebars Engine
+ * Renders .hbs and .handlebars templates
+ */
+
+import { BaseEngine } from './BaseEngine.js';
+
+export default class HandlebarsEngine extends BaseEngine {
+  /**
+   * Engine type
+   * @returns {string} Type
+   */
+  getType() {
+    return 'handlebars';
+  }
+
+  /**
+   * npm package
+   * @returns {string} Package name
+   */
+  getPackageName() {
+    return 'handlebars';
+  }
+
+  /**
+   * Render with an isolated Handlebars environment
+   * Helpers are used as `{{#if (includes techStack "React")}}`.
+   * @param {string} content - Template content
+   * @param {Object} context - Rendering context
+   * @param {Object} options - partials, escapeHtml and strict
+   * @returns {string} Rendered content
+   */
+  render(content, context, { partials = {}, escapeHtml = false, strict = false } = {}) {
+    const handlebars = this.library.create();
+
+    for (const [name, helper] of Object.entries(this.getHelpers())) {
+      // Handlebars passes its options object as the last argument
+      handlebars.registerHelper(name, (...args) => helper(...args.slice(0, -1)));
+    }
+    handlebars.registerPartial(partials);
+
+    return handlebars.compile(content, { noEscape: !escapeHtml, strict })(context);
+  }
+}
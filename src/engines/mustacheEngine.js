@@ -0,0 +1,35 @@
+/**
+ * Mustache Engine
+ * Renders .mustache and .md templates, the library's default
+ */
+
+import { BaseEngine } from './BaseEngine.js';
+
+export default class MustacheEngine extends BaseEngine {
+  /**
+   * Engine type
+   * @returns {string} Type
+   */
+  getType() {
+    return 'mustache';
+  }
+
+  /**
+   * npm package
+   * @returns {string} Package name
+   */
+  getPackageName() {
+    return 'mustache';
+  }
+
+  /**
+   * Render with Mustache; helpers are not available in logic-less templates
+   * @param {string} content - Template content
+   * @param {Object} context - Rendering context
+   * @param {Object} options - partials, tags and escape
+   * @returns {string} Rendered content
+   */
+  render(content, context, { partials = {}, tags, escape } = {}) {
+    return this.library.render(content, context, partials, { tags, escape });
+  }
+}
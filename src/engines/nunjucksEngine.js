@@ -0,0 +1,53 @@
+/**
+ * Nunjucks Engine
+ * Renders .njk templates
+ */
+
+import { BaseEngine } from './BaseEngine.js';
+
+export default class NunjucksEngine extends BaseEngine {
+  /**
+   * Engine type
+   * @returns {string} Type
+   */
+  getType() {
+    return 'nunjucks';
+  }
+
+  /**
+   * npm package
+   * @returns {string} Package name
+   */
+  getPackageName() {
+    return 'nunjucks';
+  }
+
+  /**
+   * Render with a Nunjucks environment that includes partials by name
+   * Helpers are globals (`{% if includes(techStack, "React") %}`).
+   * @param {string} content - Template content
+   * @param {Object} context - Rendering context
+   * @param {Object} options - partials, escapeHtml and strict
+   * @returns {string} Rendered content
+   */
+  render(content, context, { partials = {}, escapeHtml = false, strict = false } = {}) {
+    const PartialLoader = this.library.Loader.extend({
+      getSource: (name) => {
+        if (!(name in partials)) {
+          throw new Error(`Unknown nunjucks partial: ${name}`);
+        }
+        return { src: partials[name], path: name, noCache: true };
+      }
+    });
+    const environment = new this.library.Environment(new PartialLoader(), {
+      autoescape: escapeHtml,
+      throwOnUndefined: strict
+    });
+
+    for (const [name, helper] of Object.entries(this.getHelpers())) {
+      environment.addGlobal(name, helper);
+    }
+
+    return environment.renderString(content, context);
+  }
+}
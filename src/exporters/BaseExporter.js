@@ -0,0 +1,269 @@
+/**
+ * Base Exporter
+ * Base class for exporters that turn a prompt suite into another assistant's instruction file
+ */
+
+import { Logger } from '../utils/Logger.js';
+
+export const EXPORT_FORMATS = ['agents', 'cursor', 'copilot', 'chat'];
+
+const FENCE = /^\s*(```|~~~)/;
+
+export class BaseExporter {
+  constructor(options = {}) {
+    this.logger = new Logger(this.constructor.name);
+    this.limits = { ...this.getDefaultLimits(), ...options.limits };
+  }
+
+  /**
+   * Export prompt files to this exporter's format
+   * Level-two sections of every prompt are mapped onto the exporter's sections. When the
+   * result is over the size limits, sections are dropped from the end of the section map,
+   * then the last one left is truncated.
+   * @param {Array} files - Suite files; only markdown prompts are exported
+   * @param {Object} context - Suite metadata (projectName, category, techStack)
+   * @returns {Object} Exported file ({ path, content, size, exporter, sources, omittedSections, truncated })
+   */
+  export(files, context = {}) {
+    const prompts = files.filter(file => file.path.endsWith('.md') && file.templateId);
+    const sections = this.mapSections(prompts.flatMap(file => this.extractSections(file)));
+    const { content, omittedSections, truncated } = this.fitSections(sections, context);
+
+    if (omittedSections.length > 0) {
+      this.logger.warn(`Omitted ${omittedSections.join(', ')} from ${this.getOutputPath()} to stay within its size limits`);
+    } else if (truncated) {
+      this.logger.info(`Truncated sections of ${this.getOutputPath()} to stay within its size limits`);
+    }
+
+    return {
+      path: this.getOutputPath(),
+      content,
+      size: Buffer.byteLength(content, 'utf8'),
+      templateId: null,
+      exporter: this.getType(),
+      sources: prompts.map(file => file.path),
+      omittedSections,
+      truncated
+    };
+  }
+
+  /**
+   * Exporter type, as used by --export
+   * @returns {string} Type
+   */
+  getType() {
+    throw new Error('getType method must be implemented by subclasses');
+  }
+
+  /**
+   * Path of the exported file, relative to the suite root
+   * @returns {string} Path
+   */
+  getOutputPath() {
+    throw new Error('getOutputPath method must be implemented by subclasses');
+  }
+
+  /**
+   * Size limits; null disables a limit
+   * @returns {Object} { maxBytes, maxLines, maxSectionBytes }
+   */
+  getDefaultLimits() {
+    return { maxBytes: null, maxLines: null, maxSectionBytes: null };
+  }
+
+  /**
+   * Exported sections in priority order, each taking the prompt sections whose heading matches
+   * A section with `match: null` takes every prompt section no other section took.
+   * @returns {Array} Sections ({ title, match, ...exporter-specific fields })
+   */
+  getSectionMap() {
+    throw new Error('getSectionMap method must be implemented by subclasses');
+  }
+
+  /**
+   * Render the exported file
+   * @param {Array} sections - Mapped sections ({ title, body, ... })
+   * @param {Object} context - Suite metadata
+   * @returns {string} File content
+   */
+  render(_sections, _context) {
+    throw new Error('render method must be implemented by subclasses');
+  }
+
+  /**
+   * Split a prompt into its level-two sections, ignoring headings inside code fences
+   * @param {Object} file - Prompt file
+   * @returns {Array} Sections ({ heading, body, source })
+   */
+  extractSections(file) {
+    const sections = [];
+    let current = null;
+    let inFence = false;
+
+    for (const line of (file.content || '').split('\n')) {
+      if (FENCE.test(line)) {
+        inFence = !inFence;
+      }
+
+      const heading = !inFence && line.match(/^##\s+(.+?)\s*$/);
+      if (heading) {
+        current = { heading: heading[1], lines: [], source: file.path };
+        sections.push(current);
+      } else if (current) {
+        current.lines.push(line);
+      }
+    }
+
+    return sections.map(({ heading, lines, source }) => ({ heading, body: lines.join('\n').trim(), source }));
+  }
+
+  /**
+   * Map prompt sections onto the exporter's sections
+   * Each prompt section goes to the first matching exported section. Paragraphs repeated
+   * across prompts (a suite's prompts share their overview) are kept once.
+   * @param {Array} promptSections - Sections from extractSections()
+   * @returns {Array} Non-empty exported sections ({ ...mapEntry, body, sources })
+   */
+  mapSections(promptSections) {
+    const sectionMap = this.getSectionMap();
+    const mapped = sectionMap.map(entry => ({ ...entry, paragraphs: [], seen: new Set(), sources: new Set() }));
+    const fallback = mapped.find(entry => entry.match === null);
+
+    for (const section of promptSections) {
+      const target = mapped.find(entry => entry.match && entry.match.test(section.heading)) || fallback;
+      if (!target || !section.body) {
+        continue;
+      }
+
+      for (const paragraph of this.splitParagraphs(section.body)) {
+        if (!target.seen.has(paragraph)) {
+          target.seen.add(paragraph);
+          target.paragraphs.push(paragraph);
+        }
+      }
+      target.sources.add(section.source);
+    }
+
+    return mapped
+      .filter(entry => entry.paragraphs.length > 0)
+      .map(({ paragraphs, seen: _seen, sources, ...entry }) => ({ ...entry, body: paragraphs.join('\n\n'), sources: [...sources] }));
+  }
+
+  /**
+   * Split text into blank-line separated paragraphs, keeping code fences whole
+   * @param {string} text - Text
+   * @returns {Array<string>} Paragraphs
+   */
+  splitParagraphs(text) {
+    const paragraphs = [];
+    let lines = [];
+    let inFence = false;
+
+    for (const line of text.split('\n')) {
+      if (FENCE.test(line)) {
+        inFence = !inFence;
+      }
+
+      if (!inFence && line.trim() === '') {
+        if (lines.length > 0) {
+          paragraphs.push(lines.join('\n'));
+        }
+        lines = [];
+      } else {
+        lines.push(line);
+      }
+    }
+
+    if (lines.length > 0) {
+      paragraphs.push(lines.join('\n'));
+    }
+
+    return paragraphs;
+  }
+
+  /**
+   * Render sections within the size limits
+   * @param {Array} sections - Mapped sections
+   * @param {Object} context - Suite metadata
+   * @returns {Object} { content, omittedSections, truncated }
+   */
+  fitSections(sections, context) {
+    const kept = sections.map(section => {
+      const body = this.truncate(section.body, this.limits.maxSectionBytes, null);
+      return { ...section, body, truncated: body !== section.body };
+    });
+    const omittedSections = [];
+    let content = this.render(kept, context);
+
+    while (!this.withinLimits(content) && kept.length > 1) {
+      omittedSections.unshift(kept.pop().title);
+      content = this.render(kept, context);
+    }
+
+    // Shrink the last section left until the file fits
+    const last = kept[kept.length - 1];
+    while (last && !this.withinLimits(content) && last.body) {
+      const excessBytes = Math.max(0, Buffer.byteLength(content, 'utf8') - (this.limits.maxBytes ?? Infinity));
+      const excessLines = Math.max(0, content.split('\n').length - (this.limits.maxLines ?? Infinity));
+      const bodyLines = last.body.split('\n').length;
+
+      last.body = this.truncate(
+        last.body,
+        // Leave room for the truncation marker and a closing fence
+        excessBytes > 0 ? Math.max(0, Buffer.byteLength(last.body, 'utf8') - excessBytes - 24) : null,
+        excessLines > 0 ? Math.max(0, bodyLines - excessLines - 3) : null
+      );
+      last.truncated = true;
+      content = this.render(kept, context);
+    }
+
+    if (last && !last.body) {
+      omittedSections.unshift(kept.pop().title);
+      content = this.render(kept, context);
+    }
+
+    return { content, omittedSections, truncated: kept.some(section => section.truncated) };
+  }
+
+  /**
+   * Check rendered content against the file limits
+   * @param {string} content - Rendered content
+   * @returns {boolean} Whether the content fits
+   */
+  withinLimits(content) {
+    const { maxBytes, maxLines } = this.limits;
+
+    return (!maxBytes || Buffer.byteLength(content, 'utf8') <= maxBytes) &&
+      (!maxLines || content.split('\n').length <= maxLines);
+  }
+
+  /**
+   * Cut text at a line boundary, closing an open code fence and marking the cut
+   * @param {string} text - Text
+   * @param {number|null} maxBytes - Byte limit
+   * @param {number|null} maxLines - Line limit
+   * @returns {string} Text, unchanged when within both limits
+   */
+  truncate(text, maxBytes, maxLines) {
+    const lines = text.split('\n');
+    if ((maxBytes === null || Buffer.byteLength(text, 'utf8') <= maxBytes) && (maxLines === null || lines.length <= maxLines)) {
+      return text;
+    }
+
+    const kept = [];
+    let bytes = 0;
+    for (const line of lines) {
+      bytes += Buffer.byteLength(line, 'utf8') + 1;
+      if ((maxBytes !== null && bytes > maxBytes) || (maxLines !== null && kept.length >= maxLines)) {
+        break;
+      }
+      kept.push(line);
+    }
+
+    if (kept.filter(line => FENCE.test(line)).length % 2 === 1) {
+      kept.push('```');
+    }
+
+    return kept.length > 0 ? `${kept.join('\n').trimEnd()}\n\n[truncated]` : '';
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * AGENTS.md Exporter
+ * Exports a prompt suite as AGENTS.md, the instruction file read by Codex and other coding agents
+ */
+
+import { BaseExporter } from './BaseExporter.js';
+
+export default class AgentsExporter extends BaseExporter {
+  /**
+   * Exporter type
+   * @returns {string} Type
+   */
+  getType() {
+    return 'agents';
+  }
+
+  /**
+   * Path of the exported file
+   * @returns {string} Path
+   */
+  getOutputPath() {
+    return 'AGENTS.md';
+  }
+
+  /**
+   * Size limits; Codex reads the first 32 KiB of AGENTS.md by default
+   * @returns {Object} Limits
+   */
+  getDefaultLimits() {
+    return { maxBytes: 32768, maxLines: null, maxSectionBytes: 8192 };
+  }
+
+  /**
+   * AGENTS.md sections in priority order
+   * @returns {Array} Section map
+   */
+  getSectionMap() {
+    return [
+      { title: 'Project Overview', match: /overview|introduction/i },
+      { title: 'Tech Stack', match: /technical requirements|technology|prerequisites/i },
+      { title: 'Implementation Guidelines', match: /implementation|guideline|architecture|structure/i },
+      { title: 'Testing Instructions', match: /test/i },
+      { title: 'Constraints', match: /constraint|consideration|security|performance/i },
+      { title: 'Definition of Done', match: /success criteria|acceptance/i },
+      { title: 'Additional Notes', match: null }
+    ];
+  }
+
+  /**
+   * Render AGENTS.md
+   * @param {Array} sections - Mapped sections
+   * @param {Object} context - Suite metadata
+   * @returns {string} File content
+   */
+  render(sections, context) {
+    let content = '# AGENTS.md\n\n';
+    content += `Instructions for coding agents working on ${context.projectName || 'this project'}`;
+    content += context.category ? ` (${context.category}).\n` : '.\n';
+
+    for (const section of sections) {
+      content += `\n## ${section.title}\n\n${section.body}\n`;
+    }
+
+    return content;
+  }
+}
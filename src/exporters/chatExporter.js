@@ -0,0 +1,78 @@
+/**
+ * Chat Messages Exporter
+ * Exports a prompt suite as chat messages (a system turn and a user turn) in JSON
+ */
+
+import { BaseExporter } from './BaseExporter.js';
+
+const CHAT_FORMAT = 'qoder-chat/v1';
+
+export default class ChatExporter extends BaseExporter {
+  /**
+   * Exporter type
+   * @returns {string} Type
+   */
+  getType() {
+    return 'chat';
+  }
+
+  /**
+   * Path of the exported file
+   * @returns {string} Path
+   */
+  getOutputPath() {
+    return 'qoder-chat.json';
+  }
+
+  /**
+   * Size limits, keeping the conversation well inside common context windows
+   * @returns {Object} Limits
+   */
+  getDefaultLimits() {
+    return { maxBytes: 131072, maxLines: null, maxSectionBytes: 49152 };
+  }
+
+  /**
+   * Message sections in priority order; `role` picks the turn each one goes to
+   * @returns {Array} Section map
+   */
+  getSectionMap() {
+    return [
+      { title: 'Project Overview', match: /overview|introduction/i, role: 'system' },
+      { title: 'Technical Requirements', match: /technical requirements|technology|prerequisites/i, role: 'system' },
+      { title: 'Implementation Instructions', match: /implementation|guideline|architecture|structure/i, role: 'user' },
+      { title: 'Success Criteria', match: /success criteria|acceptance/i, role: 'user' },
+      { title: 'Constraints', match: /constraint|consideration|security|performance/i, role: 'system' },
+      { title: 'Additional Notes', match: null, role: 'user' }
+    ];
+  }
+
+  /**
+   * Render the chat messages
+   * @param {Array} sections - Mapped sections
+   * @param {Object} context - Suite metadata
+   * @returns {string} JSON document
+   */
+  render(sections, context) {
+    const projectName = context.projectName || 'this project';
+    const turn = (role) => sections
+      .filter(section => section.role === role)
+      .map(section => `## ${section.title}\n\n${section.body}`)
+      .join('\n\n');
+
+    const system = `You are an expert software engineer building ${projectName}${context.category ? `, a ${context.category} project` : ''}.`;
+    const user = `Build ${projectName} as described below.`;
+
+    const document = {
+      format: CHAT_FORMAT,
+      projectName: context.projectName ?? null,
+      category: context.category ?? null,
+      messages: [
+        { role: 'system', content: [system, turn('system')].filter(Boolean).join('\n\n') },
+        { role: 'user', content: [user, turn('user')].filter(Boolean).join('\n\n') }
+      ]
+    };
+
+    return `${JSON.stringify(document, null, 2)}\n`;
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Copilot Instructions Exporter
+ * Exports a prompt suite as .github/copilot-instructions.md for GitHub Copilot
+ */
+
+import { BaseExporter } from './BaseExporter.js';
+
+export default class CopilotExporter extends BaseExporter {
+  /**
+   * Exporter type
+   * @returns {string} Type
+   */
+  getType() {
+    return 'copilot';
+  }
+
+  /**
+   * Path of the exported file
+   * @returns {string} Path
+   */
+  getOutputPath() {
+    return '.github/copilot-instructions.md';
+  }
+
+  /**
+   * Size limits; Copilot code review reads only the first 4,000 characters
+   * @returns {Object} Limits
+   */
+  getDefaultLimits() {
+    return { maxBytes: 4000, maxLines: null, maxSectionBytes: 1500 };
+  }
+
+  /**
+   * Instruction sections in priority order; Copilot instructions should stay short,
+   * so testing notes and success criteria are left out
+   * @returns {Array} Section map
+   */
+  getSectionMap() {
+    return [
+      { title: 'Project Overview', match: /overview|introduction/i },
+      { title: 'Tech Stack', match: /technical requirements|technology|prerequisites/i },
+      { title: 'Coding Standards', match: /implementation|guideline|architecture|structure/i },
+      { title: 'Constraints', match: /constraint|consideration|security|performance/i }
+    ];
+  }
+
+  /**
+   * Render copilot-instructions.md
+   * @param {Array} sections - Mapped sections
+   * @param {Object} context - Suite metadata
+   * @returns {string} File content
+   */
+  render(sections, context) {
+    let content = `# Copilot Instructions for ${context.projectName || 'this project'}\n`;
+
+    for (const section of sections) {
+      content += `\n## ${section.title}\n\n${section.body}\n`;
+    }
+
+    return content;
+  }
+}
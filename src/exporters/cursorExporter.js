@@ -0,0 +1,65 @@
+/**
+ * Cursor Rules Exporter
+ * Exports a prompt suite as a .cursorrules file
+ */
+
+import { BaseExporter } from './BaseExporter.js';
+
+export default class CursorExporter extends BaseExporter {
+  /**
+   * Exporter type
+   * @returns {string} Type
+   */
+  getType() {
+    return 'cursor';
+  }
+
+  /**
+   * Path of the exported file
+   * @returns {string} Path
+   */
+  getOutputPath() {
+    return '.cursorrules';
+  }
+
+  /**
+   * Size limits; Cursor recommends keeping rules under 500 lines
+   * @returns {Object} Limits
+   */
+  getDefaultLimits() {
+    return { maxBytes: null, maxLines: 500, maxSectionBytes: 4096 };
+  }
+
+  /**
+   * Rule sections in priority order; sections matching nothing are left out
+   * @returns {Array} Section map
+   */
+  getSectionMap() {
+    return [
+      { title: 'Project Context', match: /overview|introduction/i },
+      { title: 'Tech Stack', match: /technical requirements|technology|prerequisites/i },
+      { title: 'Coding Guidelines', match: /implementation|guideline|architecture|structure/i },
+      { title: 'Constraints', match: /constraint|consideration|security|performance/i },
+      { title: 'Testing', match: /test/i },
+      { title: 'Quality Bar', match: /success criteria|acceptance/i }
+    ];
+  }
+
+  /**
+   * Render .cursorrules
+   * @param {Array} sections - Mapped sections
+   * @param {Object} context - Suite metadata
+   * @returns {string} File content
+   */
+  render(sections, context) {
+    const techStack = context.techStack?.length > 0 ? ` using ${context.techStack.join(', ')}` : '';
+    let content = `You are an expert developer working on ${context.projectName || 'this project'}${techStack}.\n`;
+    content += 'Follow these rules when writing or changing code.\n';
+
+    for (const section of sections) {
+      content += `\n# ${section.title}\n\n${section.body}\n`;
+    }
+
+    return content;
+  }
+}
@@ -9,14 +9,23 @@
 import { PromptGenerator } from './core/PromptGenerator.js';
 import { CategoryRegistry } from './core/CategoryRegistry.js';
 import { TemplateEngine } from './core/TemplateEngine.js';
+import { TemplateComposer } from './composition/TemplateComposer.js';
 import { ValidationEngine } from './validation/ValidationEngine.js';
+import { ValidationReporter } from './validation/ValidationReporter.js';
 import { FileGenerator } from './output/FileGenerator.js';
+import { EXPORT_FORMATS } from './exporters/BaseExporter.js';
 import { Logger } from './utils/Logger.js';
 import { PerformanceMonitor } from './performance/PerformanceMonitor.js';
 import { CacheManager } from './cache/CacheManager.js';
 import { ParallelProcessor } from './parallel/ParallelProcessor.js';
+import { ConfigLoader } from './config/ConfigLoader.js';
+import { PluginManager } from './plugins/PluginManager.js';
 
 import { cpus } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 class UniversalPromptGenerator {
   constructor(options = {}) {
@@ -25,6 +34,8 @@ class UniversalPromptGenerator {
       enablePerformanceMonitoring: true,
       enableCaching: true,
       enableParallelProcessing: true,
+      enablePlugins: true,
+      pluginDir: path.join(__dirname, '../plugins'),
       cacheOptions: {
         maxSize: 100 * 1024 * 1024, // 100MB
         ttl: 30 * 60 * 1000, // 30 minutes
@@ -38,9 +49,21 @@ class UniversalPromptGenerator {
       ...options
     };
 
+    // Layered configuration: defaults, config.yaml, .qoderrc.yaml, QODER_* env, configOverrides
+    this.configLoader = new ConfigLoader({
+      configPath: this.options.configPath,
+      projectConfigPath: this.options.projectConfigPath
+    });
+    this.config = null;
+    this.configSources = [];
+
     // Core components
     this.categoryRegistry = new CategoryRegistry();
     this.templateEngine = new TemplateEngine();
+    this.templateComposer = new TemplateComposer({
+      templateDir: path.join(__dirname, '../templates'),
+      compositionDir: path.join(__dirname, '../templates/compositions')
+    });
     this.validationEngine = new ValidationEngine();
     this.fileGenerator = new FileGenerator();
     
@@ -51,10 +74,15 @@ class UniversalPromptGenerator {
       new CacheManager(this.options.cacheOptions) : null;
     this.parallelProcessor = this.options.enableParallelProcessing ? 
       new ParallelProcessor(this.options.parallelOptions) : null;
+
+    // Validator plugins register their rules with the validation engine
+    this.pluginManager = this.options.enablePlugins ?
+      new PluginManager({ pluginDir: this.options.pluginDir, validationEngine: this.validationEngine }) : null;
     
     this.promptGenerator = new PromptGenerator({
       categoryRegistry: this.categoryRegistry,
       templateEngine: this.templateEngine,
+      templateComposer: this.templateComposer,
       validationEngine: this.validationEngine,
       fileGenerator: this.fileGenerator,
       performanceMonitor: this.performanceMonitor,
@@ -89,6 +117,9 @@ class UniversalPromptGenerator {
         });
       }
 
+      // Configuration must be applied before rules and categories are loaded
+      await this.loadConfiguration();
+
       // Initialize components in parallel where possible
       const initTasks = [];
 
@@ -118,6 +149,9 @@ class UniversalPromptGenerator {
         this.logger.info(`Loaded ${this.templateEngine.getTemplateCount()} templates`);
       }));
       
+      // Load base templates, mixins, fragments and compositions
+      initTasks.push(this.templateComposer.initialize());
+
       // Initialize validation rules
       if (this.performanceMonitor) {
         this.performanceMonitor.startOperation(sessionId, 'load_validation');
@@ -131,6 +165,15 @@ class UniversalPromptGenerator {
 
       // Wait for all initialization tasks
       await Promise.all(initTasks);
+
+      // Plugins load after the built-in validation rules, which their rules may override
+      if (this.pluginManager) {
+        try {
+          await this.pluginManager.initialize();
+        } catch (error) {
+          this.logger.warn('Failed to load plugins', error);
+        }
+      }
       
       this.initialized = true;
       this.logger.success('System initialization complete');
@@ -153,11 +196,56 @@ class UniversalPromptGenerator {
     }
   }
 
+  /**
+   * Load the effective configuration and apply it to the core components
+   * @returns {Object} Merged configuration and the layers it came from
+   */
+  async loadConfiguration() {
+    const { config, sources } = await this.configLoader.load(this.options.configOverrides);
+
+    this.config = config;
+    this.configSources = sources;
+
+    this.templateEngine.setOptions({
+      delimiter: config.templateEngine.delimiter,
+      escapeHtml: config.templateEngine.escapeHtml,
+      strict: config.templateEngine.strict,
+      selection: config.templateEngine.selection
+    });
+    this.parallelProcessor?.setTemplateEngineOptions({
+      delimiter: config.templateEngine.delimiter,
+      escapeHtml: config.templateEngine.escapeHtml,
+      strict: config.templateEngine.strict
+    });
+    this.fileGenerator.setOutputOptions({
+      ...config.fileGeneration,
+      encoding: config.system.outputEncoding,
+      maxFileSize: config.system.maxFileSize
+    });
+    this.validationEngine.configure({
+      ...config.validation,
+      maxFileSize: config.system.maxFileSize
+    });
+    this.categoryRegistry.configure(config.categories);
+
+    this.logger.debug(`Configuration loaded from: ${sources.join(', ')}`);
+    return { config, sources };
+  }
+
+  /**
+   * Get the effective configuration
+   * @returns {Object|null} Merged configuration, once loaded
+   */
+  getConfiguration() {
+    return this.config;
+  }
+
   /**
    * Generate a prompt suite for the specified category and inputs
    * Enhanced with performance monitoring, caching, and parallel processing
-   * @param {Object} options - Generation options
-   * @returns {Object} Generated prompt suite
+   * @param {Object} options - Generation options; `outputPath` writes the suite to disk,
+   *   `dryRun` only plans the writes and `diff` (implies dryRun) adds unified diffs to the plan
+   * @returns {Object} Generated prompt suite, with write results in `output` or the write plan in `plan`
    */
   async generatePromptSuite(options = {}) {
     if (!this.initialized) {
@@ -197,6 +285,7 @@ class UniversalPromptGenerator {
         
         if (promptSuite) {
           this.logger.debug('Using cached prompt suite');
+          promptSuite = await this.writePromptSuite(promptSuite, options, sessionId);
           
           if (this.performanceMonitor) {
             const sessionSummary = this.performanceMonitor.endSession(sessionId);
@@ -223,7 +312,11 @@ class UniversalPromptGenerator {
         this.performanceMonitor.startOperation(sessionId, 'prompt_generation');
       }
       
-      promptSuite = await this.promptGenerator.generate(validatedInputs);
+      promptSuite = await this.withTimeout(
+        this.promptGenerator.generate(validatedInputs),
+        this.config.system.maxGenerationTime,
+        `Prompt generation exceeded system.maxGenerationTime (${this.config.system.maxGenerationTime}ms)`
+      );
       
       if (this.performanceMonitor) {
         this.performanceMonitor.endOperation(sessionId, 'prompt_generation', {
@@ -253,6 +346,8 @@ class UniversalPromptGenerator {
       }
       
       this.logger.success(`Prompt suite generated successfully: ${promptSuite.fileCount} files`);
+
+      promptSuite = await this.writePromptSuite(promptSuite, options, sessionId);
       
       // Log performance summary
       if (this.performanceMonitor) {
@@ -279,6 +374,146 @@ class UniversalPromptGenerator {
     }
   }
 
+  /**
+   * Reject when a promise does not settle in time
+   * @param {Promise} promise - Promise to wait for
+   * @param {number} timeout - Time limit in milliseconds
+   * @param {string} message - Error message on timeout
+   * @returns {Promise} Result of the promise
+   */
+  async withTimeout(promise, timeout, message) {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), timeout);
+    });
+
+    try {
+      return await Promise.race([promise, timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Write a prompt suite, its manifest and usage instructions to disk
+   * @param {Object} promptSuite - Generated prompt suite
+   * @param {Object} options - Generation options: outputPath (nothing is written when
+   *   omitted), dryRun and diff
+   * @param {string} sessionId - Performance monitoring session
+   * @returns {Object} Prompt suite with the write results in `output`, or the plan in `plan`
+   */
+  async writePromptSuite(promptSuite, options, sessionId) {
+    const { outputPath } = options;
+    const format = options.format || 'dir';
+
+    if (!outputPath) {
+      return promptSuite;
+    }
+
+    if ((options.dryRun || options.diff) && format !== 'dir') {
+      throw new Error(`--dry-run and --diff preview directory output only, not --format ${format}`);
+    }
+
+    if (options.dryRun || options.diff) {
+      const plan = await this.fileGenerator.planFiles(promptSuite, outputPath, { diff: Boolean(options.diff) });
+      return { ...promptSuite, plan };
+    }
+
+    if (this.performanceMonitor) {
+      this.performanceMonitor.startOperation(sessionId, 'file_generation');
+    }
+
+    let output;
+    if (format === 'bundle') {
+      output = await this.fileGenerator.generateBundle(promptSuite, outputPath);
+    } else if (format === 'dir') {
+      output = await this.fileGenerator.generateFiles(promptSuite, outputPath);
+    } else {
+      output = await this.fileGenerator.generateArchive(promptSuite, outputPath, format);
+    }
+
+    if (this.performanceMonitor) {
+      this.performanceMonitor.endOperation(sessionId, 'file_generation', {
+        filesGenerated: output.filesGenerated,
+        filesSkipped: output.filesSkipped,
+        errors: output.errors.length
+      });
+    }
+
+    // Copy so the cached suite does not carry the results of this write
+    return { ...promptSuite, output };
+  }
+
+  /**
+   * Verify a generated suite against the checksums and template provenance in its manifest
+   * @param {string} outputPath - Path to generated files
+   * @param {Object} [options] - publicKey: also check the suite's Ed25519 signature (PEM)
+   * @returns {Object} Verification result
+   */
+  async verifyPromptSuite(outputPath, options = {}) {
+    return this.validationEngine.verifySuite(outputPath, { ...options, templateEngine: this.templateEngine });
+  }
+
+  /**
+   * Sign a generated suite with an Ed25519 private key
+   * @param {string} outputPath - Path to generated files
+   * @param {string|Buffer} privateKey - Ed25519 private key (PEM)
+   * @returns {Object} { signaturePath, keyFingerprint, fileCount }
+   */
+  async signPromptSuite(outputPath, privateKey) {
+    return this.validationEngine.suiteSigner.signSuite(outputPath, privateKey);
+  }
+
+  /**
+   * Explain which templates generatePromptSuite() selects for these inputs, and why
+   * @param {Object} options - Generation options, as for generatePromptSuite()
+   * @returns {Object} { selected, rejected, missing, threshold, maxTemplates, composition }
+   */
+  async explainTemplateSelection(options) {
+    return this.promptGenerator.explainSelection(options);
+  }
+
+  /**
+   * Stream a generated suite as JSON Lines, one { path, content, metadata } object per file
+   * @param {Object} promptSuite - Suite returned by generatePromptSuite()
+   * @param {stream.Writable} [stream] - Destination (default: process.stdout)
+   * @returns {number} Number of lines written
+   */
+  async streamPromptSuite(promptSuite, stream = process.stdout) {
+    return this.fileGenerator.writeJsonLines(promptSuite, stream);
+  }
+
+  /**
+   * Export a generated suite's prompts to assistant instruction formats, without writing them
+   * @param {Object} promptSuite - Suite returned by generatePromptSuite()
+   * @param {Array<string>} formats - 'agents', 'cursor', 'copilot' and/or 'chat'
+   * @returns {Array} Exported files ({ path, content, size, exporter, sources, omittedSections, truncated })
+   */
+  async exportPromptSuite(promptSuite, formats) {
+    const unsupported = formats.filter(format => !EXPORT_FORMATS.includes(format));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported export format: ${unsupported.join(', ')}. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const files = Object.values(promptSuite.files || {}).flatMap(info => info.files || []);
+    const { metadata = {} } = promptSuite;
+
+    return this.promptGenerator.exportFiles(files, formats, {
+      projectName: metadata.projectName,
+      category: metadata.category,
+      techStack: metadata.techStack
+    });
+  }
+
+  /**
+   * Restore an output directory as it was before its last generation
+   * @param {string} outputPath - Output directory
+   * @returns {Object} { outputPath, restoredFrom }
+   */
+  async rollbackPromptSuite(outputPath) {
+    return this.fileGenerator.rollback(outputPath);
+  }
+
   /**
    * Get available categories
    * @returns {Array} List of available categories
@@ -299,9 +534,10 @@ class UniversalPromptGenerator {
   /**
    * Validate a generated prompt suite
    * @param {string} outputPath - Path to generated files
+   * @param {Object} [options] - publicKey: refuse suites not signed with this Ed25519 key (PEM)
    * @returns {Object} Validation results
    */
-  async validateGeneratedSuite(outputPath) {
+  async validateGeneratedSuite(outputPath, options = {}) {
     const sessionId = `validate-${Date.now()}`;
     let session = null;
 
@@ -314,7 +550,7 @@ class UniversalPromptGenerator {
         this.performanceMonitor.startOperation(sessionId, 'file_validation');
       }
 
-      const result = await this.validationEngine.validateGeneratedFiles(outputPath);
+      const result = await this.validationEngine.validateGeneratedFiles(outputPath, options);
 
       if (this.performanceMonitor) {
         this.performanceMonitor.endOperation(sessionId, 'file_validation', {
@@ -333,6 +569,17 @@ class UniversalPromptGenerator {
       throw error;
     }
   }
+
+  /**
+   * Format suite validation results as a machine-readable report
+   * @param {Object} result - Result of validateGeneratedSuite
+   * @param {string} format - 'json', 'sarif' or 'junit'
+   * @returns {string} Report content
+   */
+  formatValidationReport(result, format) {
+    const reporter = new ValidationReporter();
+    return reporter.format(result, format, this.validationEngine.getRuleCatalog());
+  }
 }
 
 export { UniversalPromptGenerator };
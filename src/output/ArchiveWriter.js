@@ -0,0 +1,217 @@
+/**
+ * Archive Writer
+ * Packs generated files into zip and tar.gz archives using Node's zlib
+ */
+
+import zlib from 'zlib';
+
+// DOS date of 1980-01-01, the earliest date a zip entry can carry
+const MIN_DOS_YEAR = 1980;
+
+// General purpose flag marking entry names as UTF-8
+const ZIP_UTF8_FLAG = 0x0800;
+
+const TAR_BLOCK_SIZE = 512;
+
+let crcTable = null;
+
+export class ArchiveWriter {
+  /**
+   * Create a zip archive
+   * @param {Array} entries - Files ({ path, content, mode?, mtime? }); paths use forward slashes
+   * @returns {Buffer} Zip archive
+   */
+  createZip(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const name = Buffer.from(entry.path, 'utf8');
+      const data = this.toBuffer(entry.content);
+      const compressed = zlib.deflateRawSync(data);
+      // Store entries that do not shrink, as zip tools do
+      const stored = compressed.length >= data.length;
+      const body = stored ? data : compressed;
+      const crc = this.crc32(data);
+      const { time, date } = this.toDosDateTime(entry.mtime || new Date());
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(ZIP_UTF8_FLAG, 6);
+      local.writeUInt16LE(stored ? 0 : 8, 8);
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(body.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      // Made by Unix (3), so the external attributes carry the file mode
+      central.writeUInt16LE((3 << 8) | 20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(ZIP_UTF8_FLAG, 8);
+      central.writeUInt16LE(stored ? 0 : 8, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(date, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(body.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt32LE(((0o100000 | (entry.mode ?? 0o644)) << 16) >>> 0, 38);
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, name, body);
+      centralParts.push(central, name);
+      offset += local.length + name.length + body.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+
+  /**
+   * Create a gzip-compressed tar archive
+   * @param {Array} entries - Files ({ path, content, mode?, mtime? }); paths use forward slashes
+   * @returns {Buffer} tar.gz archive
+   */
+  createTarGz(entries) {
+    const parts = [];
+
+    for (const entry of entries) {
+      const data = this.toBuffer(entry.content);
+      parts.push(this.createTarHeader(entry, data.length), data);
+
+      const padding = (TAR_BLOCK_SIZE - (data.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+      parts.push(Buffer.alloc(padding));
+    }
+
+    // Two empty blocks end the archive
+    parts.push(Buffer.alloc(TAR_BLOCK_SIZE * 2));
+
+    return zlib.gzipSync(Buffer.concat(parts));
+  }
+
+  /**
+   * Build a ustar header block
+   * @param {Object} entry - File entry
+   * @param {number} size - Content size in bytes
+   * @returns {Buffer} Header block
+   */
+  createTarHeader(entry, size) {
+    const header = Buffer.alloc(TAR_BLOCK_SIZE);
+    const { name, prefix } = this.splitTarPath(entry.path);
+    const mtime = Math.floor((entry.mtime || new Date()).getTime() / 1000);
+
+    header.write(name, 0, 100, 'utf8');
+    header.write(this.toOctal(entry.mode ?? 0o644, 8), 100, 8, 'ascii');
+    header.write(this.toOctal(0, 8), 108, 8, 'ascii');
+    header.write(this.toOctal(0, 8), 116, 8, 'ascii');
+    header.write(this.toOctal(size, 12), 124, 12, 'ascii');
+    header.write(this.toOctal(mtime, 12), 136, 12, 'ascii');
+    // The checksum is computed with its own field filled with spaces
+    header.fill(' ', 148, 156);
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\u000000', 257, 8, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (const byte of header) {
+      checksum += byte;
+    }
+    header.write(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8, 'ascii');
+
+    return header;
+  }
+
+  /**
+   * Split a path into ustar name (100 bytes) and prefix (155 bytes) fields
+   * @param {string} filePath - Entry path
+   * @returns {Object} { name, prefix }
+   */
+  splitTarPath(filePath) {
+    if (Buffer.byteLength(filePath) <= 100) {
+      return { name: filePath, prefix: '' };
+    }
+
+    const parts = filePath.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const prefix = parts.slice(0, i).join('/');
+      const name = parts.slice(i).join('/');
+      if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) {
+        return { name, prefix };
+      }
+    }
+
+    throw new Error(`Path too long for a tar archive: ${filePath}`);
+  }
+
+  /**
+   * Format a number as a NUL-terminated octal field
+   * @param {number} value - Value
+   * @param {number} length - Field length including the terminator
+   * @returns {string} Field content
+   */
+  toOctal(value, length) {
+    return `${value.toString(8).padStart(length - 1, '0')}\u0000`;
+  }
+
+  /**
+   * Convert a date to MS-DOS time and date fields
+   * @param {Date} value - Date
+   * @returns {Object} { time, date }
+   */
+  toDosDateTime(value) {
+    const year = Math.max(value.getFullYear(), MIN_DOS_YEAR);
+
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((year - MIN_DOS_YEAR) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+
+  /**
+   * Compute the CRC-32 used by zip
+   * @param {Buffer} data - Data
+   * @returns {number} Unsigned CRC-32
+   */
+  crc32(data) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of data) {
+      crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Normalize entry content
+   * @param {string|Buffer} content - Content
+   * @returns {Buffer} Content bytes
+   */
+  toBuffer(content) {
+    return Buffer.isBuffer(content) ? content : Buffer.from(content ?? '', 'utf8');
+  }
+}
@@ -5,7 +5,56 @@
 
 import fs from 'fs-extra';
 import path from 'path';
+import { createHash } from 'crypto';
+import { once } from 'events';
+import { glob } from 'glob';
 import { Logger } from '../utils/Logger.js';
+import { TextDiff } from '../utils/TextDiff.js';
+import { ArchiveWriter } from './ArchiveWriter.js';
+import { SIGNATURE_FILE } from '../validation/SuiteSigner.js';
+
+const MANIFEST_FILE = 'qoder-manifest.json';
+const USAGE_FILE = 'USAGE.md';
+
+// Copies of the files as generated, used as the base when merging hand edits on regeneration
+export const PRISTINE_DIR = '.qoder/pristine';
+
+const CONFLICT_LABELS = { ours: 'edited', theirs: 'regenerated' };
+
+// Generations are staged under .qoder/ in the output directory. The files a generation
+// replaced are kept in ROLLBACK_DIR, with a record of every path it wrote, for rollback().
+const QODER_DIR = '.qoder';
+const STAGING_PREFIX = 'staging-';
+const SNAPSHOT_PREFIX = 'snapshot-';
+export const ROLLBACK_DIR = '.qoder/rollback';
+const ROLLBACK_RECORD = 'rollback.json';
+const SNAPSHOT_FILES = 'files';
+
+// Suffix of the temporary file an archive or bundle is written to before it is renamed into place
+const STAGING_SUFFIX = '.qoder-staging';
+
+// Output formats: a directory tree, archives of that tree, or one markdown document
+export const OUTPUT_FORMATS = ['dir', 'zip', 'tar.gz', 'bundle'];
+
+const FORMAT_EXTENSIONS = {
+  'zip': '.zip',
+  'tar.gz': '.tar.gz',
+  'bundle': '.md'
+};
+
+// Fence languages for non-markdown files embedded in a bundle
+const BUNDLE_LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'jsx',
+  '.ts': 'typescript',
+  '.tsx': 'tsx',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.html': 'html',
+  '.css': 'css',
+  '.sh': 'bash'
+};
 
 export class FileGenerator {
   constructor() {
@@ -15,75 +64,790 @@ export class FileGenerator {
       createDirectories: true,
       overwriteFiles: false,
       backupExisting: true,
-      defaultPermissions: '0644'
+      defaultPermissions: '0644',
+      maxFileSize: null
     };
   }
 
   /**
    * Generate all files for a prompt suite
+   * The suite's paths are staged under .qoder/ and swapped into the output directory
+   * file by file only when every file was written; on failure the output is left untouched.
+   * The versions the suite replaced are kept for rollback().
    * @param {Object} promptSuite - Complete prompt suite
    * @param {string} outputPath - Base output directory
    * @returns {Object} Generation results
    */
   async generateFiles(promptSuite, outputPath) {
+    const targetPath = path.resolve(outputPath);
+    const hadOutput = await fs.pathExists(targetPath);
+    let stagingPath = null;
+    let committed = false;
+
     try {
-      this.logger.info(`Generating ${promptSuite.files.length} files to ${outputPath}`);
-
-      const results = {
-        success: true,
-        filesGenerated: 0,
-        filesSkipped: 0,
-        errors: [],
-        generatedFiles: []
-      };
+      this.logger.info(`Generating ${promptSuite.fileCount ?? 'suite'} files to ${outputPath}`);
 
-      // Ensure output directory exists
-      await fs.ensureDir(outputPath);
-
-      // Generate organized file structure
-      for (const [directory, dirInfo] of Object.entries(promptSuite.files)) {
-        if (dirInfo.files && dirInfo.files.length > 0) {
-          const dirResults = await this.generateDirectoryFiles(
-            dirInfo.files, 
-            path.join(outputPath, directory)
-          );
-          
-          results.filesGenerated += dirResults.filesGenerated;
-          results.filesSkipped += dirResults.filesSkipped;
-          results.errors.push(...dirResults.errors);
-          results.generatedFiles.push(...dirResults.generatedFiles);
-        }
+      const suitePaths = this.getSuitePaths(promptSuite, targetPath);
+      stagingPath = await this.createStagingDirectory(targetPath, suitePaths);
+      const results = this.relocateResults(await this.writeSuite(promptSuite, stagingPath), stagingPath, targetPath);
+
+      if (!results.success) {
+        this.logger.warn(`File generation failed with ${results.errors.length} errors, output directory left unchanged`);
+        return {
+          ...results,
+          rolledBack: true,
+          filesGenerated: 0,
+          filesSkipped: 0,
+          generatedFiles: [],
+          skippedFiles: [],
+          mergedFiles: [],
+          conflictedFiles: []
+        };
       }
 
-      // Generate manifest file
-      await this.generateManifestFile(promptSuite.manifest, outputPath);
-      results.filesGenerated++;
+      await this.commitStagingDirectory(stagingPath, targetPath, suitePaths);
+      committed = true;
 
-      // Generate usage instructions
-      await this.generateUsageInstructions(promptSuite.usageInstructions, outputPath);
-      results.filesGenerated++;
+      if (results.conflictedFiles.length > 0) {
+        this.logger.warn(`Merge conflicts in ${results.conflictedFiles.length} files: ${results.conflictedFiles.join(', ')}`);
+      }
 
-      this.logger.success(`File generation completed: ${results.filesGenerated} files generated`);
+      this.logger.success(`File generation completed: ${results.filesGenerated} files generated, ${results.filesSkipped} skipped`);
       return results;
 
     } catch (error) {
       this.logger.error('File generation failed', error);
       throw error;
+    } finally {
+      if (stagingPath) {
+        await fs.remove(stagingPath);
+      }
+      if (!committed) {
+        // A failed first generation leaves no output directory behind
+        await (hadOutput ? this.removeEmptyDirectories(path.join(targetPath, QODER_DIR), targetPath) : fs.remove(targetPath));
+      }
+    }
+  }
+
+  /**
+   * Write a prompt suite, its manifest and usage instructions into a directory
+   * @param {Object} promptSuite - Complete prompt suite
+   * @param {string} outputPath - Directory to write to
+   * @returns {Object} Write results
+   */
+  async writeSuite(promptSuite, outputPath) {
+    const results = {
+      success: true,
+      format: 'dir',
+      outputPath: path.resolve(outputPath),
+      filesGenerated: 0,
+      filesSkipped: 0,
+      errors: [],
+      generatedFiles: [],
+      skippedFiles: [],
+      mergedFiles: [],
+      conflictedFiles: []
+    };
+
+    // Ensure output directory exists
+    await fs.ensureDir(outputPath);
+
+    // Read before the manifest is replaced: it holds the hashes of the previous generation
+    const previousEntries = await this.readPreviousManifest(outputPath);
+
+    // A signature of the previous generation would no longer verify
+    const signaturePath = path.join(outputPath, SIGNATURE_FILE);
+    if (await fs.pathExists(signaturePath)) {
+      await fs.remove(signaturePath);
+      this.logger.info(`Removed ${SIGNATURE_FILE}; sign the regenerated suite again`);
+    }
+
+    // Generate organized file structure; file paths are relative to the suite root
+    for (const dirInfo of Object.values(promptSuite.files)) {
+      if (dirInfo.files && dirInfo.files.length > 0) {
+        const dirResults = await this.generateDirectoryFiles(dirInfo.files, outputPath, previousEntries);
+
+        results.filesGenerated += dirResults.filesGenerated;
+        results.filesSkipped += dirResults.filesSkipped;
+        results.errors.push(...dirResults.errors);
+        results.generatedFiles.push(...dirResults.generatedFiles);
+        results.skippedFiles.push(...dirResults.skippedFiles);
+        results.mergedFiles.push(...dirResults.mergedFiles);
+        results.conflictedFiles.push(...dirResults.conflictedFiles);
+      }
+    }
+
+    // Generate manifest file
+    const manifest = await this.recordMergedFiles(promptSuite.manifest, outputPath, results.mergedFiles);
+    results.generatedFiles.push(await this.generateManifestFile(manifest, outputPath));
+    results.filesGenerated++;
+
+    // Generate usage instructions
+    results.generatedFiles.push(await this.generateUsageInstructions(promptSuite.usageInstructions, outputPath));
+    results.filesGenerated++;
+
+    results.success = results.errors.length === 0;
+
+    return results;
+  }
+
+  /**
+   * List the paths a suite writes, relative to the output directory
+   * Suite files, their pristine copies, the manifest, the usage instructions and the
+   * signature, which regeneration removes. Paths escaping the output directory are left
+   * out; writeSuite() reports them.
+   * @param {Object} promptSuite - Complete prompt suite
+   * @param {string} targetPath - Resolved output directory
+   * @returns {Array<string>} Relative POSIX paths
+   */
+  getSuitePaths(promptSuite, targetPath) {
+    const filePaths = [];
+
+    for (const dirInfo of Object.values(promptSuite.files)) {
+      for (const file of dirInfo.files || []) {
+        try {
+          this.resolveFilePath(targetPath, file.path);
+          filePaths.push(path.posix.normalize(file.path.split(path.sep).join('/')));
+        } catch {
+          continue;
+        }
+      }
+    }
+
+    return [...new Set([
+      ...filePaths,
+      ...filePaths.map(filePath => `${PRISTINE_DIR}/${filePath}`),
+      MANIFEST_FILE,
+      USAGE_FILE,
+      SIGNATURE_FILE
+    ])];
+  }
+
+  /**
+   * Create a staging directory under the output directory, seeded with the suite's current files
+   * Only the paths the suite writes are copied, so merges, backups and skipped files behave as in place.
+   * @param {string} targetPath - Resolved output directory
+   * @param {Array<string>} suitePaths - Paths the suite writes
+   * @returns {string} Staging directory path
+   */
+  async createStagingDirectory(targetPath, suitePaths) {
+    const stagingPath = path.join(targetPath, QODER_DIR, `${STAGING_PREFIX}${process.pid}-${Date.now()}`);
+    await fs.ensureDir(stagingPath);
+
+    for (const relativePath of suitePaths) {
+      const filePath = path.join(targetPath, relativePath);
+      if (await fs.pathExists(filePath)) {
+        await fs.copy(filePath, path.join(stagingPath, relativePath), { preserveTimestamps: true });
+      }
+    }
+
+    return stagingPath;
+  }
+
+  /**
+   * Move a fully written staging directory into the output directory, one file at a time
+   * The files it replaces are moved to a snapshot first, which restores the output if a move
+   * fails. After a successful commit the snapshot becomes the rollback copy, replacing the
+   * previous one. The moves are not atomic as a whole: a crash partway leaves some files new
+   * and some old, with the replaced ones in the snapshot and the rest in the staging directory.
+   * @param {string} stagingPath - Staging directory
+   * @param {string} targetPath - Resolved output directory
+   * @param {Array<string>} suitePaths - Paths the suite writes
+   */
+  async commitStagingDirectory(stagingPath, targetPath, suitePaths) {
+    const snapshotPath = path.join(targetPath, QODER_DIR, `${SNAPSHOT_PREFIX}${process.pid}-${Date.now()}`);
+    // Backups made while writing are only known from the staging directory
+    const stagedPaths = await glob('**/*', { cwd: stagingPath, nodir: true, dot: true, posix: true });
+    const paths = [...new Set([...suitePaths, ...stagedPaths])];
+    const replaced = [];
+    const done = [];
+
+    try {
+      for (const relativePath of paths) {
+        const filePath = path.join(targetPath, relativePath);
+        const stagedPath = path.join(stagingPath, relativePath);
+
+        if (await fs.pathExists(filePath)) {
+          await fs.move(filePath, path.join(snapshotPath, SNAPSHOT_FILES, relativePath));
+          replaced.push(relativePath);
+        }
+        done.push(relativePath);
+
+        if (await fs.pathExists(stagedPath)) {
+          await fs.move(stagedPath, filePath);
+        }
+      }
+    } catch (error) {
+      await this.restoreFiles(targetPath, path.join(snapshotPath, SNAPSHOT_FILES), done);
+      await fs.remove(snapshotPath);
+      throw error;
+    }
+
+    const rollbackPath = path.join(targetPath, ROLLBACK_DIR);
+    await fs.remove(rollbackPath);
+    await fs.ensureDir(snapshotPath);
+    await fs.writeJson(path.join(snapshotPath, ROLLBACK_RECORD), { paths, replaced }, { spaces: 2 });
+    await fs.move(snapshotPath, rollbackPath);
+  }
+
+  /**
+   * Put files back as they were in a snapshot, removing those the snapshot does not have
+   * @param {string} targetPath - Resolved output directory
+   * @param {string} snapshotPath - Directory holding the snapshot's files
+   * @param {Array<string>} paths - Relative paths to restore
+   */
+  async restoreFiles(targetPath, snapshotPath, paths) {
+    for (const relativePath of paths) {
+      const filePath = path.join(targetPath, relativePath);
+      const snapshotFile = path.join(snapshotPath, relativePath);
+
+      await fs.remove(filePath);
+      if (await fs.pathExists(snapshotFile)) {
+        await fs.move(snapshotFile, filePath);
+      } else {
+        await this.removeEmptyDirectories(path.dirname(filePath), targetPath);
+      }
+    }
+  }
+
+  /**
+   * Remove a directory and its parents while they are empty, stopping at a root directory
+   * @param {string} directoryPath - Directory to start from
+   * @param {string} rootPath - Directory that is never removed
+   */
+  async removeEmptyDirectories(directoryPath, rootPath) {
+    let currentPath = path.resolve(directoryPath);
+
+    while (currentPath.startsWith(rootPath + path.sep) && await fs.pathExists(currentPath)) {
+      if ((await fs.readdir(currentPath)).length > 0) {
+        return;
+      }
+      await fs.remove(currentPath);
+      currentPath = path.dirname(currentPath);
+    }
+  }
+
+  /**
+   * Restore the output directory as it was before the last generation
+   * Files the generation created are removed and the ones it replaced are put back.
+   * @param {string} outputPath - Output directory
+   * @returns {Object} { outputPath, restoredFrom }
+   */
+  async rollback(outputPath) {
+    const targetPath = path.resolve(outputPath);
+    const rollbackPath = path.join(targetPath, ROLLBACK_DIR);
+    const recordPath = path.join(rollbackPath, ROLLBACK_RECORD);
+
+    if (!(await fs.pathExists(recordPath))) {
+      throw new Error(`No pre-generation snapshot found for ${targetPath}`);
     }
+
+    const { paths } = await fs.readJson(recordPath);
+    await this.restoreFiles(targetPath, path.join(rollbackPath, SNAPSHOT_FILES), paths);
+    await fs.remove(rollbackPath);
+    await this.removeEmptyDirectories(path.join(targetPath, QODER_DIR), targetPath);
+
+    this.logger.success(`Restored ${targetPath} from ${rollbackPath}`);
+    return { outputPath: targetPath, restoredFrom: rollbackPath };
+  }
+
+  /**
+   * Build a hidden sibling path of a directory, on the same file system so renames are atomic
+   * @param {string} targetPath - Resolved directory
+   * @param {string} suffix - Suffix for the sibling name
+   * @returns {string} Sibling path
+   */
+  getSiblingPath(targetPath, suffix) {
+    return path.join(path.dirname(targetPath), `.${path.basename(targetPath)}${suffix}`);
+  }
+
+  /**
+   * Point the file paths of write results at the output directory instead of the staging directory
+   * @param {Object} results - Results of writeSuite()
+   * @param {string} stagingPath - Staging directory
+   * @param {string} targetPath - Resolved output directory
+   * @returns {Object} Relocated results
+   */
+  relocateResults(results, stagingPath, targetPath) {
+    const relocate = (filePath) => path.join(targetPath, path.relative(stagingPath, filePath));
+
+    return {
+      ...results,
+      outputPath: targetPath,
+      generatedFiles: results.generatedFiles.map(relocate),
+      skippedFiles: results.skippedFiles.map(relocate),
+      mergedFiles: results.mergedFiles.map(relocate),
+      conflictedFiles: results.conflictedFiles.map(relocate)
+    };
+  }
+
+  /**
+   * Write a prompt suite as a zip or tar.gz archive
+   * The archive holds the suite files, manifest and usage instructions under a top-level
+   * directory named after the archive, and is written atomically.
+   * @param {Object} promptSuite - Complete prompt suite
+   * @param {string} outputPath - Archive path; the format's extension is added when missing
+   * @param {string} format - 'zip' or 'tar.gz'
+   * @returns {Object} Generation results
+   */
+  async generateArchive(promptSuite, outputPath, format) {
+    const archivePath = this.getFormatOutputPath(outputPath, format);
+    const rootName = path.basename(archivePath, FORMAT_EXTENSIONS[format]);
+    const { entries, errors } = this.collectSuiteEntries(promptSuite);
+
+    entries.push(
+      { path: MANIFEST_FILE, content: this.formatManifest(promptSuite.manifest) },
+      { path: USAGE_FILE, content: this.formatUsageInstructions(promptSuite.usageInstructions) }
+    );
+
+    const mode = parseInt(this.outputOptions.defaultPermissions || '0644', 8);
+    const archiveEntries = entries.map(entry => ({ path: `${rootName}/${entry.path}`, content: entry.content, mode }));
+    const writer = new ArchiveWriter();
+
+    return this.writeSingleOutput(archivePath, format, entries.length, errors,
+      () => (format === 'zip' ? writer.createZip(archiveEntries) : writer.createTarGz(archiveEntries)));
   }
 
   /**
-   * Generate files for a specific directory
-   * @param {Array} files - Files to generate
-   * @param {string} directoryPath - Target directory path
+   * Write a prompt suite as one markdown document
+   * @param {Object} promptSuite - Complete prompt suite
+   * @param {string} outputPath - Document path; `.md` is added when missing
+   * @returns {Object} Generation results
+   */
+  async generateBundle(promptSuite, outputPath) {
+    const bundlePath = this.getFormatOutputPath(outputPath, 'bundle');
+    const { entries, errors } = this.collectSuiteEntries(promptSuite);
+
+    return this.writeSingleOutput(bundlePath, 'bundle', entries.length, errors,
+      () => this.formatBundle(promptSuite, entries));
+  }
+
+  /**
+   * Write a single-file output atomically, or nothing when any suite file was rejected
+   * An existing file is backed up, replaced or kept according to the output options.
+   * @param {string} filePath - Output file
+   * @param {string} format - Output format
+   * @param {number} fileCount - Number of suite files it contains
+   * @param {Array} errors - Rejected suite files ({ file, error })
+   * @param {Function} render - Produces the file content
+   * @returns {Object} Generation results
+   */
+  async writeSingleOutput(filePath, format, fileCount, errors, render) {
+    const results = {
+      success: errors.length === 0,
+      format,
+      outputPath: filePath,
+      filesGenerated: 0,
+      filesSkipped: 0,
+      errors,
+      generatedFiles: [],
+      skippedFiles: [],
+      mergedFiles: [],
+      conflictedFiles: []
+    };
+
+    if (!results.success) {
+      this.logger.warn(`File generation failed with ${errors.length} errors, ${filePath} was not written`);
+      return { ...results, rolledBack: true };
+    }
+
+    const action = this.getWriteAction(await fs.pathExists(filePath));
+    if (action === 'skip') {
+      this.logger.debug(`Skipping existing file: ${filePath}`);
+      return { ...results, filesSkipped: 1, skippedFiles: [filePath] };
+    }
+    if (action === 'backup') {
+      await this.createBackup(filePath);
+    }
+
+    const stagingPath = this.getSiblingPath(filePath, `${STAGING_SUFFIX}-${process.pid}-${Date.now()}`);
+    try {
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(stagingPath, render());
+      await fs.rename(stagingPath, filePath);
+    } finally {
+      await fs.remove(stagingPath);
+    }
+
+    this.logger.success(`Wrote ${fileCount} files to ${filePath}`);
+    return { ...results, filesGenerated: fileCount, generatedFiles: [filePath] };
+  }
+
+  /**
+   * Collect suite files in the order organizeFilesByStructure() produced
+   * @param {Object} promptSuite - Complete prompt suite
+   * @returns {Object} { entries: [{ path, content }], errors: [{ file, error }] }
+   */
+  collectSuiteEntries(promptSuite) {
+    const entries = [];
+    const errors = [];
+    const root = path.resolve('/suite');
+
+    for (const dirInfo of Object.values(promptSuite.files)) {
+      for (const file of dirInfo.files || []) {
+        try {
+          this.checkFileSize(file, file.content ?? '');
+          const resolved = this.resolveFilePath(root, file.path);
+          entries.push({ path: path.relative(root, resolved).split(path.sep).join('/'), content: file.content ?? '' });
+        } catch (error) {
+          errors.push({ file: file.path, error: error.message });
+        }
+      }
+    }
+
+    return { entries, errors };
+  }
+
+  /**
+   * Render a suite as one markdown document: table of contents, every file, then usage instructions
+   * @param {Object} promptSuite - Complete prompt suite
+   * @param {Array} entries - Suite files from collectSuiteEntries()
+   * @returns {string} Markdown document
+   */
+  formatBundle(promptSuite, entries) {
+    const metadata = promptSuite.metadata || {};
+    const slugs = new Map();
+    const slug = (heading) => {
+      const base = heading.toLowerCase().replace(/[^\w\- ]/g, '').replace(/ /g, '-');
+      const count = slugs.get(base) || 0;
+      slugs.set(base, count + 1);
+      return count === 0 ? base : `${base}-${count}`;
+    };
+
+    const sections = entries.map(entry => ({ ...entry, anchor: slug(entry.path) }));
+    const usageAnchor = slug('Usage Instructions');
+
+    let content = `# ${metadata.projectName || 'Prompt'} Prompt Suite\n\n`;
+    if (metadata.category) {
+      content += `**Category:** ${metadata.category}  \n`;
+    }
+    if (metadata.generatedAt) {
+      content += `**Generated:** ${metadata.generatedAt}  \n`;
+    }
+    content += `**Files:** ${entries.length}\n\n`;
+
+    content += '## Table of Contents\n\n';
+    for (const section of sections) {
+      content += `- [${section.path}](#${section.anchor})\n`;
+    }
+    content += `- [Usage Instructions](#${usageAnchor})\n`;
+
+    for (const section of sections) {
+      content += `\n---\n\n## ${section.path}\n\n`;
+
+      const extension = path.extname(section.path).toLowerCase();
+      if (extension === '.md') {
+        content += `${section.content.trimEnd()}\n`;
+      } else {
+        // A fence longer than any backtick run in the file keeps it intact
+        const longestRun = Math.max(0, ...(section.content.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        content += `${fence}${BUNDLE_LANGUAGES[extension] || ''}\n${section.content.trimEnd()}\n${fence}\n`;
+      }
+    }
+
+    // The usage instructions become a section of the bundle, one heading level down
+    const usage = this.formatUsageInstructions(promptSuite.usageInstructions || {}).replace(/^(#+) /gm, '#$1 ');
+    content += `\n---\n\n${usage.trimEnd()}\n`;
+
+    return content;
+  }
+
+  /**
+   * Write a prompt suite to a stream as JSON Lines, one object per file in suite order
+   * @param {Object} promptSuite - Complete prompt suite
+   * @param {stream.Writable} stream - Destination, e.g. process.stdout
+   * @returns {number} Number of lines written
+   */
+  async writeJsonLines(promptSuite, stream) {
+    const records = this.createJsonLinesRecords(promptSuite);
+
+    for (const record of records) {
+      if (!stream.write(`${JSON.stringify(record)}\n`)) {
+        await once(stream, 'drain');
+      }
+    }
+
+    // Resolve once everything was handed to the stream, so callers can exit safely
+    await new Promise(resolve => stream.write('', resolve));
+
+    return records.length;
+  }
+
+  /**
+   * Build the JSON Lines records of a suite: path, content and the file's manifest metadata
+   * @param {Object} promptSuite - Complete prompt suite
+   * @returns {Array} Records ({ path, content, metadata })
+   */
+  createJsonLinesRecords(promptSuite) {
+    const suiteMetadata = promptSuite.metadata || {};
+    const manifestEntries = new Map(Object.values(promptSuite.manifest?.structure || {})
+      .flatMap(info => info.files || [])
+      .map(entry => [entry.path, entry]));
+
+    return Object.values(promptSuite.files).flatMap(dirInfo => (dirInfo.files || []).map(file => {
+      const content = file.content ?? '';
+      const { path: _path, ...entry } = manifestEntries.get(file.path) || {
+        size: file.size ?? Buffer.byteLength(content, 'utf8'),
+        sha256: this.hashContent(content),
+        template: file.templateId ?? null,
+        templateVersion: file.templateVersion ?? null,
+        templateHash: file.templateHash ?? null,
+        transformers: file.transformers || [],
+        inputHash: suiteMetadata.inputHash ?? null
+      };
+
+      return {
+        path: file.path,
+        content,
+        metadata: {
+          ...entry,
+          ...(file.exporter && { exporter: file.exporter }),
+          category: suiteMetadata.category ?? null,
+          projectName: suiteMetadata.projectName ?? null,
+          generatedAt: suiteMetadata.generatedAt ?? null
+        }
+      };
+    }));
+  }
+
+  /**
+   * Get the file a single-file format is written to
+   * @param {string} outputPath - Requested output path
+   * @param {string} format - Output format
+   * @returns {string} Resolved path with the format's extension
+   */
+  getFormatOutputPath(outputPath, format) {
+    const extension = FORMAT_EXTENSIONS[format];
+    const resolved = path.resolve(outputPath);
+
+    return resolved.endsWith(extension) ? resolved : `${resolved}${extension}`;
+  }
+
+  /**
+   * Compute the write plan for a prompt suite without touching disk
+   * Each file gets the action generateFiles() would take: create, overwrite,
+   * merge (three-way merge with hand edits), backup (back up the existing file,
+   * then overwrite) or skip.
+   * @param {Object} promptSuite - Complete prompt suite
+   * @param {string} outputPath - Base output directory
+   * @param {Object} [options] - `diff: true` adds a unified diff against existing files
+   * @returns {Object} Plan with per-file entries, a summary by action and errors
+   */
+  async planFiles(promptSuite, outputPath, options = {}) {
+    const plan = {
+      dryRun: true,
+      outputPath: path.resolve(outputPath),
+      files: [],
+      summary: { create: 0, overwrite: 0, merge: 0, backup: 0, skip: 0 },
+      errors: []
+    };
+    const previousEntries = await this.readPreviousManifest(outputPath);
+
+    const files = Object.values(promptSuite.files)
+      .flatMap(dirInfo => dirInfo.files || [])
+      .map(file => ({ ...file, alwaysWritten: false }));
+
+    // The manifest and usage instructions are rewritten on every run
+    files.push(
+      { path: MANIFEST_FILE, content: this.formatManifest(promptSuite.manifest), alwaysWritten: true },
+      { path: USAGE_FILE, content: this.formatUsageInstructions(promptSuite.usageInstructions), alwaysWritten: true }
+    );
+
+    for (const file of files) {
+      try {
+        const base = file.alwaysWritten ? null : await this.readPristineCopy(outputPath, file.path, previousEntries.get(path.posix.normalize(file.path)));
+        const entry = await this.planFile(file, this.resolveFilePath(outputPath, file.path), { ...options, base });
+
+        plan.files.push(entry);
+        plan.summary[entry.action]++;
+      } catch (error) {
+        plan.errors.push({ file: file.path, error: error.message });
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Plan a single file write
+   * @param {Object} file - File object with path and content
+   * @param {string} filePath - Full file path
+   * @param {Object} options - Plan options; `base` is the previously generated content
+   * @returns {Object} Plan entry ({ path, action, size, exists, changed, conflicts, diff? })
+   */
+  async planFile(file, filePath, options) {
+    this.checkFileSize(file, file.content ?? '');
+
+    const exists = await fs.pathExists(filePath);
+    const existingContent = exists ? await fs.readFile(filePath, this.outputOptions.encoding) : '';
+    const write = file.alwaysWritten
+      ? { action: exists ? 'overwrite' : 'create', content: file.content, conflicts: 0 }
+      : this.resolveWrite(file, exists, existingContent, options.base);
+    const content = write.content ?? '';
+    const entry = {
+      path: file.path,
+      action: write.action,
+      size: Buffer.byteLength(content, this.outputOptions.encoding),
+      exists,
+      changed: !exists || existingContent !== content,
+      conflicts: write.conflicts
+    };
+
+    if (options.diff && entry.action !== 'skip') {
+      entry.diff = new TextDiff().createUnifiedDiff(existingContent, content, {
+        oldLabel: exists ? `a/${file.path}` : '/dev/null',
+        newLabel: `b/${file.path}`
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Decide what to write for a file, merging hand edits when the previous generation is known
+   * @param {Object} file - File object with the newly generated content
+   * @param {boolean} exists - Whether the file already exists
+   * @param {string} existingContent - Current content on disk
+   * @param {string|null} base - Content of the previous generation, if known
+   * @returns {Object} { action, content, conflicts }
+   */
+  resolveWrite(file, exists, existingContent, base) {
+    const action = this.getWriteAction(exists);
+
+    if ((action !== 'backup' && action !== 'skip') || base === null || base === undefined) {
+      return { action, content: file.content, conflicts: 0 };
+    }
+
+    // Untouched since the last generation: nothing to keep, so no merge or backup is needed
+    if (existingContent === base) {
+      return { action: 'overwrite', content: file.content, conflicts: 0 };
+    }
+
+    const merged = new TextDiff().merge3(base, existingContent, file.content, CONFLICT_LABELS);
+    return { action: 'merge', content: merged.content, conflicts: merged.conflicts };
+  }
+
+  /**
+   * Read the entries of the manifest currently in the output directory
+   * @param {string} outputPath - Output directory
+   * @returns {Map} Relative path to manifest entry; empty when there is no readable manifest
+   */
+  async readPreviousManifest(outputPath) {
+    const entries = new Map();
+    const manifestPath = path.join(outputPath, MANIFEST_FILE);
+
+    if (!(await fs.pathExists(manifestPath))) {
+      return entries;
+    }
+
+    try {
+      const manifest = await fs.readJson(manifestPath);
+
+      for (const info of Object.values(manifest.structure || {})) {
+        for (const entry of info.files || []) {
+          entries.set(path.posix.normalize(entry.path), entry);
+        }
+      }
+    } catch (error) {
+      this.logger.warn(`Ignoring unreadable manifest: ${manifestPath}`, error);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read the pristine copy of a previously generated file
+   * The copy is only trusted when it matches the hash recorded in the manifest.
+   * @param {string} outputPath - Output directory
+   * @param {string} filePath - Suite-relative file path
+   * @param {Object} [entry] - Previous manifest entry
+   * @returns {string|null} Previously generated content, or null when unknown
+   */
+  async readPristineCopy(outputPath, filePath, entry) {
+    if (!entry?.sha256) {
+      return null;
+    }
+
+    const pristinePath = this.resolveFilePath(path.join(outputPath, PRISTINE_DIR), filePath);
+    if (!(await fs.pathExists(pristinePath))) {
+      return null;
+    }
+
+    const content = await fs.readFile(pristinePath, this.outputOptions.encoding);
+    if (this.hashContent(content) !== entry.sha256) {
+      this.logger.debug(`Pristine copy does not match the manifest, not merging: ${filePath}`);
+      return null;
+    }
+
+    return content;
+  }
+
+  /**
+   * Store the generated content of a file as the base for future merges
+   * @param {string} outputPath - Output directory
+   * @param {Object} file - Generated file
+   */
+  async writePristineCopy(outputPath, file) {
+    const pristinePath = this.resolveFilePath(path.join(outputPath, PRISTINE_DIR), file.path);
+
+    await fs.outputFile(pristinePath, file.content, this.outputOptions.encoding);
+  }
+
+  /**
+   * Hash file content as recorded in the manifest
+   * @param {string} content - File content
+   * @returns {string} SHA-256 hex digest
+   */
+  hashContent(content) {
+    return createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+
+  /**
+   * Decide how a file is written, based on the output options
+   * @param {boolean} exists - Whether the file already exists
+   * @returns {string} 'create', 'overwrite', 'backup' or 'skip'
+   */
+  getWriteAction(exists) {
+    if (!exists) {
+      return 'create';
+    }
+    if (this.outputOptions.overwriteFiles) {
+      return 'overwrite';
+    }
+
+    return this.outputOptions.backupExisting ? 'backup' : 'skip';
+  }
+
+  /**
+   * Refuse files above the configured maximum size
+   * @param {Object} file - File object
+   * @param {string} content - File content
+   */
+  checkFileSize(file, content) {
+    const size = file.size ?? Buffer.byteLength(content, this.outputOptions.encoding);
+
+    if (this.outputOptions.maxFileSize && size > this.outputOptions.maxFileSize) {
+      throw new Error(`File exceeds maximum size limit (${this.outputOptions.maxFileSize} bytes): ${file.path}`);
+    }
+  }
+
+  /**
+   * Generate files below a base directory
+   * @param {Array} files - Files to generate, with paths relative to the base directory
+   * @param {string} directoryPath - Base directory path
+   * @param {Map} [previousEntries] - Manifest entries of the previous generation
    * @returns {Object} Directory generation results
    */
-  async generateDirectoryFiles(files, directoryPath) {
+  async generateDirectoryFiles(files, directoryPath, previousEntries = new Map()) {
     const results = {
       filesGenerated: 0,
       filesSkipped: 0,
       errors: [],
-      generatedFiles: []
+      generatedFiles: [],
+      skippedFiles: [],
+      mergedFiles: [],
+      conflictedFiles: []
     };
 
     // Ensure directory exists
@@ -91,14 +855,24 @@ export class FileGenerator {
 
     for (const file of files) {
       try {
-        const filePath = path.join(directoryPath, file.path);
-        const generateResult = await this.generateSingleFile(file, filePath);
+        const filePath = this.resolveFilePath(directoryPath, file.path);
+        const base = await this.readPristineCopy(directoryPath, file.path, previousEntries.get(path.posix.normalize(file.path)));
+        const generateResult = await this.generateSingleFile(file, filePath, { base });
 
         if (generateResult.generated) {
           results.filesGenerated++;
           results.generatedFiles.push(filePath);
+          await this.writePristineCopy(directoryPath, file);
+
+          if (generateResult.merged) {
+            results.mergedFiles.push(filePath);
+          }
+          if (generateResult.conflicts > 0) {
+            results.conflictedFiles.push(filePath);
+          }
         } else {
           results.filesSkipped++;
+          results.skippedFiles.push(filePath);
         }
 
       } catch (error) {
@@ -113,40 +887,70 @@ export class FileGenerator {
     return results;
   }
 
+  /**
+   * Resolve a suite-relative file path, refusing paths that escape the base directory
+   * @param {string} directoryPath - Base directory path
+   * @param {string} filePath - Relative file path
+   * @returns {string} Absolute file path
+   */
+  resolveFilePath(directoryPath, filePath) {
+    const basePath = path.resolve(directoryPath);
+    const resolvedPath = path.resolve(basePath, filePath);
+
+    if (resolvedPath !== basePath && !resolvedPath.startsWith(basePath + path.sep)) {
+      throw new Error(`File path escapes the output directory: ${filePath}`);
+    }
+
+    return resolvedPath;
+  }
+
   /**
    * Generate a single file
    * @param {Object} file - File object with content and metadata
    * @param {string} filePath - Full file path
+   * @param {Object} [options] - `base`: previously generated content, to merge hand edits into
    * @returns {Object} Generation result
    */
-  async generateSingleFile(file, filePath) {
+  async generateSingleFile(file, filePath, options = {}) {
     try {
+      this.checkFileSize(file, file.content);
+
       // Check if file already exists
       const exists = await fs.pathExists(filePath);
-      
-      if (exists && !this.outputOptions.overwriteFiles) {
-        // Create backup if requested
-        if (this.outputOptions.backupExisting) {
-          await this.createBackup(filePath);
-        } else {
-          this.logger.debug(`Skipping existing file: ${filePath}`);
-          return { generated: false, reason: 'File exists and overwrite disabled' };
-        }
+      const existingContent = exists && options.base != null ? await fs.readFile(filePath, this.outputOptions.encoding) : '';
+      const { action, content, conflicts } = this.resolveWrite(file, exists, existingContent, options.base);
+
+      if (action === 'skip') {
+        this.logger.debug(`Skipping existing file: ${filePath}`);
+        return { generated: false, reason: 'File exists and overwrite disabled' };
+      }
+
+      // Create backup if requested
+      if (action === 'backup') {
+        await this.createBackup(filePath);
       }
 
       // Ensure parent directory exists
-      await fs.ensureDir(path.dirname(filePath));
+      if (this.outputOptions.createDirectories) {
+        await fs.ensureDir(path.dirname(filePath));
+      } else if (!(await fs.pathExists(path.dirname(filePath)))) {
+        throw new Error(`Directory does not exist and createDirectories is disabled: ${path.dirname(filePath)}`);
+      }
 
       // Write file content
-      await fs.writeFile(filePath, file.content, this.outputOptions.encoding);
+      await fs.writeFile(filePath, content, this.outputOptions.encoding);
 
       // Set file permissions if specified
       if (this.outputOptions.defaultPermissions && process.platform !== 'win32') {
         await fs.chmod(filePath, this.outputOptions.defaultPermissions);
       }
 
+      if (action === 'merge') {
+        this.logger.debug(`Merged hand edits into ${filePath}${conflicts > 0 ? ` (${conflicts} conflicts)` : ''}`);
+      }
+
       this.logger.debug(`Generated file: ${filePath} (${file.size} bytes)`);
-      return { generated: true, path: filePath, size: file.size };
+      return { generated: true, path: filePath, size: file.size, merged: action === 'merge', conflicts };
 
     } catch (error) {
       this.logger.error(`Failed to generate file: ${filePath}`, error);
@@ -170,30 +974,73 @@ export class FileGenerator {
     }
   }
 
+  /**
+   * Record the checksum of merged files as written, next to the checksum of the generated content
+   * `sha256` stays the generated content's: it verifies the pristine copy used as the next merge base.
+   * @param {Object} manifest - Manifest object
+   * @param {string} outputPath - Directory the suite was written to
+   * @param {Array<string>} mergedFiles - Absolute paths of merged files
+   * @returns {Object} Manifest with `mergedSha256` on merged entries
+   */
+  async recordMergedFiles(manifest, outputPath, mergedFiles) {
+    if (mergedFiles.length === 0 || !manifest?.structure) {
+      return manifest;
+    }
+
+    const checksums = new Map();
+    for (const filePath of mergedFiles) {
+      const content = await fs.readFile(filePath, this.outputOptions.encoding);
+      checksums.set(path.relative(outputPath, filePath).split(path.sep).join('/'), this.hashContent(content));
+    }
+
+    const structure = Object.fromEntries(Object.entries(manifest.structure).map(([directory, info]) => [directory, {
+      ...info,
+      files: (info.files || []).map(entry => {
+        const mergedSha256 = checksums.get(path.posix.normalize(entry.path));
+        return mergedSha256 ? { ...entry, mergedSha256 } : entry;
+      })
+    }]));
+
+    return { ...manifest, structure };
+  }
+
   /**
    * Generate manifest file
    * @param {Object} manifest - Manifest object
    * @param {string} outputPath - Output directory
+   * @returns {string} Manifest path
    */
   async generateManifestFile(manifest, outputPath) {
-    const manifestPath = path.join(outputPath, 'qoder-manifest.json');
-    const manifestContent = JSON.stringify(manifest, null, 2);
+    const manifestPath = path.join(outputPath, MANIFEST_FILE);
+    const manifestContent = this.formatManifest(manifest);
     
     await fs.writeFile(manifestPath, manifestContent, this.outputOptions.encoding);
     this.logger.debug('Generated manifest file');
+    return path.resolve(manifestPath);
   }
 
   /**
    * Generate usage instructions file
    * @param {Object} instructions - Usage instructions
    * @param {string} outputPath - Output directory
+   * @returns {string} Usage instructions path
    */
   async generateUsageInstructions(instructions, outputPath) {
-    const instructionsPath = path.join(outputPath, 'USAGE.md');
+    const instructionsPath = path.join(outputPath, USAGE_FILE);
     const instructionsContent = this.formatUsageInstructions(instructions);
     
     await fs.writeFile(instructionsPath, instructionsContent, this.outputOptions.encoding);
     this.logger.debug('Generated usage instructions');
+    return path.resolve(instructionsPath);
+  }
+
+  /**
+   * Format the manifest as JSON
+   * @param {Object} manifest - Manifest object
+   * @returns {string} Manifest content
+   */
+  formatManifest(manifest) {
+    return JSON.stringify(manifest, null, 2);
   }
 
   /**
@@ -21,6 +21,7 @@ export class ParallelProcessor {
       retryAttempts: 3,
       enableBatching: true,
       batchSize: 5,
+      templateEngine: {},
       ...options
     };
 
@@ -147,15 +148,30 @@ export class ParallelProcessor {
     }
   }
 
+  /**
+   * Update the TemplateEngine options workers render with (templateEngine section of config.yaml)
+   * @param {Object} options - delimiter, escapeHtml, strict
+   */
+  setTemplateEngineOptions(options = {}) {
+    this.options.templateEngine = { ...this.options.templateEngine, ...options };
+  }
+
   /**
    * Process templates in parallel
-   * @param {Array} templates - Template processing tasks
+   * Workers render with TemplateEngine.renderTemplate(), like serial generation. Functions
+   * cannot be sent to worker threads, so they are left out of the context and workers
+   * recreate its `utils`.
+   * @param {Array} templates - Template processing tasks ({ template, context, options })
    * @returns {Array} Rendered templates
    */
   async processTemplates(templates) {
     const tasks = templates.map(template => ({
       type: 'template',
-      data: template,
+      data: {
+        ...template,
+        context: this.toTransferable(template.context),
+        templateEngine: this.options.templateEngine
+      },
       id: this.generateTaskId()
     }));
 
@@ -442,6 +458,24 @@ export class ParallelProcessor {
     this.stats.workersDestroyed++;
   }
 
+  /**
+   * Copy a value without the functions it holds, so it can be posted to a worker
+   * @param {*} value - Value to copy
+   * @returns {*} Copy without functions
+   */
+  toTransferable(value) {
+    if (Array.isArray(value)) {
+      return value.filter(item => typeof item !== 'function').map(item => this.toTransferable(item));
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value)
+        .filter(([, item]) => typeof item !== 'function')
+        .map(([key, item]) => [key, this.toTransferable(item)]));
+    }
+
+    return value;
+  }
+
   /**
    * Create batches from tasks
    * @param {Array} tasks - Tasks to batch
@@ -5,6 +5,8 @@
 
 import { isMainThread, parentPort, workerData } from 'worker_threads';
 import { Logger } from '../utils/Logger.js';
+import { TemplateEngine } from '../core/TemplateEngine.js';
+import { PromptGenerator } from '../core/PromptGenerator.js';
 
 if (isMainThread) {
   throw new Error('This file should only be run as a worker thread');
@@ -14,6 +16,11 @@ class ProcessingWorker {
   constructor() {
     this.logger = new Logger('ProcessingWorker');
     this.processedCount = 0;
+
+    // Templates render through the same engine, partials and helpers as in the main thread
+    this.templateEngine = new TemplateEngine();
+    this.promptGenerator = new PromptGenerator();
+    this.partialsLoaded = null;
     
     // Setup message handler
     parentPort.on('message', (message) => {
@@ -161,15 +168,19 @@ class ProcessingWorker {
    */
   async processTemplate(task) {
     const { data } = task;
-    const { template, context, options } = data;
+    const { template, context, options, templateEngine } = data;
+
+    if (templateEngine) {
+      this.templateEngine.setOptions(templateEngine);
+    }
 
-    // Simulate template processing
-    // In real implementation, this would use the actual TemplateEngine
-    const processedContent = await this.renderTemplate(template, context, options);
+    const rendered = await this.renderTemplate(template, context, options);
+    const processedContent = rendered.content;
     
     return {
       id: task.id,
       template: template.id || 'unknown',
+      path: rendered.path,
       content: processedContent,
       size: Buffer.byteLength(processedContent, 'utf8'),
       processingTime: Date.now() - (task.startTime || Date.now()),
@@ -234,82 +245,41 @@ class ProcessingWorker {
 
   /**
    * Render template with context
-   * @param {Object} template - Template object
-   * @param {Object} context - Template context
-   * @param {Object} options - Rendering options
-   * @returns {string} Rendered content
+   * Uses TemplateEngine.renderTemplate(), so output matches serial rendering byte for byte.
+   * @param {Object} template - Template object, as loaded by TemplateEngine
+   * @param {Object} context - Template context, without its functions (see ParallelProcessor)
+   * @param {Object} options - Rendering options (addMetadata prepends a generation comment)
+   * @returns {Object} Rendered file, as from TemplateEngine.renderTemplate()
    */
   async renderTemplate(template, context, options = {}) {
-    let content = template.content || template.template || '';
-
-    // Basic mustache-style template rendering
-    // Replace {{variable}} patterns with context values
-    content = content.replace(/\{\{([^}]+)\}\}/g, (match, variable) => {
-      const trimmedVar = variable.trim();
-      
-      // Handle nested properties
-      const value = this.getNestedProperty(context, trimmedVar);
-      
-      if (value === undefined || value === null) {
-        return options.strict ? match : '';
-      }
-      
-      return String(value);
-    });
-
-    // Handle conditional sections {{#if condition}}...{{/if}}
-    content = content.replace(/\{\{#if\s+([^}]+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, condition, block) => {
-      const conditionValue = this.getNestedProperty(context, condition.trim());
-      return conditionValue ? block : '';
-    });
-
-    // Handle loops {{#each array}}...{{/each}}
-    content = content.replace(/\{\{#each\s+([^}]+)\}\}([\s\S]*?)\{\{\/each\}\}/g, (match, arrayName, block) => {
-      const array = this.getNestedProperty(context, arrayName.trim());
-      if (!Array.isArray(array)) return '';
-      
-      return array.map(item => {
-        let itemBlock = block;
-        // Replace {{.}} with current item
-        itemBlock = itemBlock.replace(/\{\{\.\}\}/g, String(item));
-        
-        // Replace {{property}} with item.property
-        if (typeof item === 'object' && item !== null) {
-          itemBlock = itemBlock.replace(/\{\{([^}]+)\}\}/g, (itemMatch, property) => {
-            const propValue = this.getNestedProperty(item, property.trim());
-            return propValue !== undefined ? String(propValue) : '';
-          });
-        }
-        
-        return itemBlock;
-      }).join('');
-    });
+    // Partials live in the template library, which tasks do not carry
+    this.partialsLoaded ??= this.templateEngine.loadPartials();
+    await this.partialsLoaded;
 
-    // Handle unless sections {{#unless condition}}...{{/unless}}
-    content = content.replace(/\{\{#unless\s+([^}]+)\}\}([\s\S]*?)\{\{\/unless\}\}/g, (match, condition, block) => {
-      const conditionValue = this.getNestedProperty(context, condition.trim());
-      return !conditionValue ? block : '';
-    });
+    const rendered = await this.templateEngine.renderTemplate(
+      { path: '', metadata: {}, ...template, content: template.content ?? template.template ?? '' },
+      this.restoreContext(context)
+    );
 
-    // Add metadata comments if requested
     if (options.addMetadata) {
       const metadata = `<!-- Generated by ProcessingWorker at ${new Date().toISOString()} -->`;
-      content = metadata + '\n' + content;
+      rendered.content = metadata + '\n' + rendered.content;
     }
 
-    return content;
+    return rendered;
   }
 
   /**
-   * Get nested property from object
-   * @param {Object} obj - Object to search
-   * @param {string} path - Property path (e.g., 'user.name')
-   * @returns {*} Property value
+   * Recreate the context functions that could not be sent to the worker
+   * @param {Object} context - Context received from the main thread
+   * @returns {Object} Context with its `utils` functions
    */
-  getNestedProperty(obj, path) {
-    return path.split('.').reduce((current, prop) => {
-      return current && current[prop] !== undefined ? current[prop] : undefined;
-    }, obj);
+  restoreContext(context = {}) {
+    if (!context.utils) {
+      return context;
+    }
+
+    return { ...context, utils: { ...context.utils, ...this.promptGenerator.createTemplateUtils(context) } };
   }
 
   /**
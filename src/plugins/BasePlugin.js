@@ -108,6 +108,9 @@ export class BaseValidatorPlugin extends BasePlugin {
 
   /**
    * Get validation rules
+   * Each rule is { id, ...rule } and is registered with the ValidationEngine
+   * when the plugin loads: either { validate(file), fileTypes } or a declarative
+   * { type, pattern | sections, severity } definition.
    * @returns {Array} Array of validation rules
    */
   getRules() {
@@ -7,7 +7,9 @@ import { Logger } from '../utils/Logger.js';
 import fs from 'fs-extra';
 import path from 'path';
 import { createRequire } from 'module';
-import { pathToFileURL } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export class PluginManager {
   constructor(options = {}) {
@@ -22,9 +24,11 @@ export class PluginManager {
       ...options
     };
 
+    this.validationEngine = options.validationEngine || null;
     this.plugins = new Map();
     this.transformers = new Map();
     this.validators = new Map();
+    this.validatorRuleIds = new Map();
     this.generators = new Map();
     this.utilities = new Map();
     this.hooks = new Map();
@@ -156,7 +160,7 @@ export class PluginManager {
    * Load plugin manifest
    */
   async loadPluginManifest(pluginPath) {
-    const manifestPath = path.isDirectory(pluginPath) 
+    const manifestPath = (await fs.stat(pluginPath)).isDirectory()
       ? path.join(pluginPath, 'plugin.json')
       : pluginPath.replace('.js', '.json');
     
@@ -231,8 +235,9 @@ export class PluginManager {
       }
 
       // Resolve plugin main file
-      const mainFile = isBuiltIn 
-        ? manifest.main
+      // Built-in mains are relative to this module, not the working directory
+      const mainFile = isBuiltIn
+        ? path.resolve(__dirname, manifest.main)
         : pluginDir 
           ? path.join(pluginDir, manifest.main || 'index.js')
           : manifest.main;
@@ -317,6 +322,7 @@ export class PluginManager {
         break;
       case 'validator':
         this.validators.set(manifest.id, instance);
+        this.registerValidatorRules(manifest, instance);
         break;
       case 'generator':
         this.generators.set(manifest.id, instance);
@@ -334,6 +340,53 @@ export class PluginManager {
     }
   }
 
+  /**
+   * Attach the ValidationEngine that validator plugins register their rules with
+   * Validators loaded before the engine was attached are registered immediately.
+   */
+  setValidationEngine(validationEngine) {
+    this.validationEngine = validationEngine;
+
+    for (const [pluginId, instance] of this.validators) {
+      this.registerValidatorRules(this.plugins.get(pluginId)?.manifest || { id: pluginId }, instance);
+    }
+  }
+
+  /**
+   * Register a validator plugin's rules with the ValidationEngine
+   * Plugins contribute the rules returned by getRules(); a plugin without rules
+   * but with a validate() method is registered as a single rule under its ID.
+   */
+  registerValidatorRules(manifest, instance) {
+    if (!this.validationEngine) {
+      return;
+    }
+
+    const rules = typeof instance.getRules === 'function' ? instance.getRules() : [];
+    const ruleIds = [];
+
+    try {
+      if (rules.length > 0) {
+        for (const { id, ...rule } of rules) {
+          this.validationEngine.registerRule(id, rule);
+          ruleIds.push(id);
+        }
+      } else if (typeof instance.validate === 'function') {
+        this.validationEngine.registerRule(manifest.id, {
+          name: manifest.name,
+          description: manifest.description,
+          fileTypes: manifest.fileTypes,
+          validate: (file) => instance.validate(file, {})
+        });
+        ruleIds.push(manifest.id);
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to register rules for validator: ${manifest.id}`, error);
+    }
+
+    this.validatorRuleIds.set(manifest.id, ruleIds);
+  }
+
   /**
    * Validate plugin manifest
    */
@@ -604,6 +657,12 @@ export class PluginManager {
       this.plugins.delete(pluginId);
       this.pluginMetadata.delete(pluginId);
       
+      // Remove rules the plugin registered with the validation engine
+      for (const ruleId of this.validatorRuleIds.get(pluginId) || []) {
+        this.validationEngine?.unregisterRule(ruleId);
+      }
+      this.validatorRuleIds.delete(pluginId);
+
       // Remove from type-specific collections
       this.transformers.delete(pluginId);
       this.validators.delete(pluginId);
@@ -746,6 +805,7 @@ export class PluginManager {
     this.plugins.clear();
     this.transformers.clear();
     this.validators.clear();
+    this.validatorRuleIds.clear();
     this.generators.clear();
     this.utilities.clear();
     this.hooks.clear();
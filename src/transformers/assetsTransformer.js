@@ -0,0 +1,237 @@
+/**
+ * Assets Transformer
+ * Generates icon and splash screen asset specifications
+ */
+
+import { BaseTransformer } from './BaseTransformer.js';
+
+/**
+ * Required icon sizes per target platform
+ */
+const ICON_SPECS = {
+  ios: [
+    { name: 'AppStore', size: 1024, scale: 1, usage: 'App Store listing' },
+    { name: 'iPhone', size: 60, scale: 3, usage: 'Home screen' },
+    { name: 'iPhone', size: 60, scale: 2, usage: 'Home screen' },
+    { name: 'iPad Pro', size: 83.5, scale: 2, usage: 'Home screen' },
+    { name: 'iPad', size: 76, scale: 2, usage: 'Home screen' },
+    { name: 'Spotlight', size: 40, scale: 3, usage: 'Spotlight search' },
+    { name: 'Spotlight', size: 40, scale: 2, usage: 'Spotlight search' },
+    { name: 'Settings', size: 29, scale: 3, usage: 'Settings' },
+    { name: 'Settings', size: 29, scale: 2, usage: 'Settings' },
+    { name: 'Notification', size: 20, scale: 3, usage: 'Notifications' },
+    { name: 'Notification', size: 20, scale: 2, usage: 'Notifications' }
+  ],
+  android: [
+    { name: 'mipmap-mdpi', size: 48, usage: 'Launcher' },
+    { name: 'mipmap-hdpi', size: 72, usage: 'Launcher' },
+    { name: 'mipmap-xhdpi', size: 96, usage: 'Launcher' },
+    { name: 'mipmap-xxhdpi', size: 144, usage: 'Launcher' },
+    { name: 'mipmap-xxxhdpi', size: 192, usage: 'Launcher' },
+    { name: 'adaptive-foreground', size: 432, usage: 'Adaptive icon foreground (108dp @4x)' },
+    { name: 'play-store', size: 512, usage: 'Google Play listing' }
+  ],
+  web: [
+    { name: 'favicon', size: 16, format: 'png', usage: 'Browser tab' },
+    { name: 'favicon', size: 32, format: 'png', usage: 'Browser tab' },
+    { name: 'apple-touch-icon', size: 180, format: 'png', usage: 'iOS home screen bookmark' },
+    { name: 'icon', size: 192, format: 'png', usage: 'Web app manifest' },
+    { name: 'icon', size: 512, format: 'png', usage: 'Web app manifest' },
+    { name: 'icon-maskable', size: 512, format: 'png', usage: 'Web app manifest (maskable)' }
+  ],
+  desktop: [
+    { name: 'icon', size: 1024, format: 'png', usage: 'Source for platform bundles' },
+    { name: 'icon', sizes: [16, 32, 48, 64, 128, 256], format: 'ico', usage: 'Windows' },
+    { name: 'icon', sizes: [16, 32, 64, 128, 256, 512, 1024], format: 'icns', usage: 'macOS' },
+    { name: 'icon', size: 512, format: 'png', usage: 'Linux' }
+  ]
+};
+
+/**
+ * Splash screen specifications per target platform
+ */
+const SPLASH_SPECS = {
+  ios: [
+    { type: 'launch-storyboard', usage: 'Launch screen for all devices' },
+    { type: 'image', width: 1290, height: 2796, usage: 'iPhone 6.7" reference' },
+    { type: 'image', width: 2048, height: 2732, usage: 'iPad Pro 12.9" reference' }
+  ],
+  android: [
+    { type: 'splash-icon', size: 288, usage: 'Android 12+ SplashScreen API icon (with 192dp safe zone)' },
+    { type: 'image', width: 1080, height: 1920, usage: 'Legacy splash (API < 31)' }
+  ],
+  web: [
+    { type: 'image', width: 1290, height: 2796, usage: 'apple-touch-startup-image' },
+    { type: 'manifest', usage: 'Generated from manifest background_color and icons' }
+  ],
+  desktop: [
+    { type: 'image', width: 600, height: 400, usage: 'Startup window' }
+  ]
+};
+
+export default class AssetsTransformer extends BaseTransformer {
+  /**
+   * Add icon and splash screen asset specifications
+   * @param {Array} files - Files to transform
+   * @param {Object} config - Assets configuration
+   * @param {Object} context - Generation context
+   * @returns {Array} Transformed files
+   */
+  async doTransform(files, config, context) {
+    const transformedFiles = [...files];
+    const platforms = this.resolvePlatforms(config, context);
+
+    if (config.generateIcons) {
+      transformedFiles.push(this.generateIconSpec(platforms, context));
+    }
+
+    if (config.splash) {
+      transformedFiles.push(this.generateSplashSpec(platforms, context));
+    }
+
+    if (config.optimizeImages || config.generateSprites) {
+      transformedFiles.push(this.generatePipelineSpec(config));
+    }
+
+    return transformedFiles;
+  }
+
+  /**
+   * Determine the target platforms for the assets
+   * @param {Object} config - Configuration
+   * @param {Object} context - Generation context
+   * @returns {Array} Platform keys
+   */
+  resolvePlatforms(config, context) {
+    if (Array.isArray(config.platforms) && config.platforms.length > 0) {
+      return config.platforms.filter(platform => ICON_SPECS[platform]);
+    }
+
+    const category = (context.category || '').toLowerCase();
+
+    if (category.includes('mobile')) {
+      const target = (context.platform || '').toLowerCase();
+      return ['ios', 'android'].filter(platform => !target || target === 'both' || target === platform);
+    }
+
+    if (category.includes('desktop')) {
+      return ['desktop'];
+    }
+
+    return ['web'];
+  }
+
+  /**
+   * Generate the icon specification
+   * @param {Array} platforms - Target platforms
+   * @param {Object} context - Generation context
+   * @returns {Object} Icon spec file
+   */
+  generateIconSpec(platforms, context) {
+    const spec = {
+      source: {
+        path: 'assets/source/icon.png',
+        size: 1024,
+        requirements: 'Square PNG without transparency for iOS; keep key artwork inside the central 66%'
+      },
+      backgroundColor: context.themeColor || '#ffffff',
+      platforms: Object.fromEntries(platforms.map(platform => [
+        platform,
+        ICON_SPECS[platform].map(icon => this.describeIcon(icon))
+      ]))
+    };
+
+    this.logger.debug(`Generated icon spec for ${platforms.join(', ')}`);
+    return this.createSpecFile('assets/icons.json', 'asset-icons', spec);
+  }
+
+  /**
+   * Generate the splash screen specification
+   * @param {Array} platforms - Target platforms
+   * @param {Object} context - Generation context
+   * @returns {Object} Splash spec file
+   */
+  generateSplashSpec(platforms, context) {
+    const spec = {
+      source: {
+        path: 'assets/source/splash.png',
+        size: 2732,
+        requirements: 'Centered logo on a solid background; no text near the edges'
+      },
+      backgroundColor: context.themeColor || '#ffffff',
+      platforms: Object.fromEntries(platforms.map(platform => [platform, SPLASH_SPECS[platform]]))
+    };
+
+    this.logger.debug(`Generated splash spec for ${platforms.join(', ')}`);
+    return this.createSpecFile('assets/splash.json', 'asset-splash', spec);
+  }
+
+  /**
+   * Generate the image processing specification
+   * @param {Object} config - Configuration
+   * @returns {Object} Pipeline spec file
+   */
+  generatePipelineSpec(config) {
+    const spec = {};
+
+    if (config.optimizeImages) {
+      spec.optimization = {
+        formats: ['webp', 'avif'],
+        fallbackFormat: 'png',
+        quality: 80,
+        maxWidth: 2048
+      };
+    }
+
+    if (config.generateSprites) {
+      spec.sprites = {
+        input: 'assets/sprites/*.png',
+        output: 'assets/sprites/atlas.png',
+        data: 'assets/sprites/atlas.json',
+        maxSize: 2048,
+        padding: 2
+      };
+    }
+
+    return this.createSpecFile('assets/pipeline.json', 'asset-pipeline', spec);
+  }
+
+  /**
+   * Describe an icon entry with its output file name and pixel size
+   * @param {Object} icon - Icon spec
+   * @returns {Object} Icon description
+   */
+  describeIcon(icon) {
+    if (icon.sizes) {
+      return { ...icon, file: `${icon.name}.${icon.format}` };
+    }
+
+    const pixels = Math.round(icon.size * (icon.scale || 1));
+    const suffix = icon.scale ? `@${icon.scale}x` : '';
+
+    return {
+      ...icon,
+      pixels,
+      file: `${icon.name.replace(/\s+/g, '-')}-${icon.size}${suffix}.${icon.format || 'png'}`
+    };
+  }
+
+  /**
+   * Create a JSON spec file object
+   * @param {string} filePath - Output path
+   * @param {string} templateId - Template identifier
+   * @param {Object} spec - Spec content
+   * @returns {Object} File object
+   */
+  createSpecFile(filePath, templateId, spec) {
+    const content = JSON.stringify(spec, null, 2) + '\n';
+
+    return {
+      path: filePath,
+      content,
+      size: Buffer.byteLength(content, 'utf8'),
+      templateId,
+      generatedAt: new Date().toISOString()
+    };
+  }
+}
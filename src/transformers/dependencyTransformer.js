@@ -0,0 +1,211 @@
+/**
+ * Dependency Transformer
+ * Generates dependency manifests (package.json, requirements.txt) from the tech stack
+ */
+
+import { BaseTransformer } from './BaseTransformer.js';
+
+/**
+ * Known technologies and the packages they pull in, keyed by the tech-stack names
+ * InputValidator.normalizeTechStack() produces
+ */
+const DEPENDENCY_MAP = {
+  'React': { node: { dependencies: { 'react': '^18.2.0', 'react-dom': '^18.2.0' } } },
+  'Next.js': { node: { dependencies: { 'next': '^14.0.0', 'react': '^18.2.0', 'react-dom': '^18.2.0' } } },
+  'Vue.js': { node: { dependencies: { 'vue': '^3.3.0' } } },
+  'Angular': { node: { dependencies: { '@angular/core': '^17.0.0', '@angular/common': '^17.0.0', 'rxjs': '^7.8.0' } } },
+  'Svelte': { node: { devDependencies: { 'svelte': '^4.2.0' } } },
+  'Node.js': { node: {} },
+  'Express': { node: { dependencies: { 'express': '^4.18.2' } } },
+  'TypeScript': { node: { devDependencies: { 'typescript': '^5.3.0' } } },
+  'GraphQL': { node: { dependencies: { 'graphql': '^16.8.0' } } },
+  'Socket.io': { node: { dependencies: { 'socket.io': '^4.7.0' } } },
+  'Electron': { node: { devDependencies: { 'electron': '^28.0.0' } } },
+  'React Native': { node: { dependencies: { 'react': '^18.2.0', 'react-native': '^0.73.0' } } },
+  'Python': { python: {} },
+  'Django': { python: { dependencies: { 'Django': '5.0' } } },
+  'Flask': { python: { dependencies: { 'Flask': '3.0' } } },
+  'FastAPI': { python: { dependencies: { 'fastapi': '0.110', 'uvicorn[standard]': '0.27' } } },
+  'PyTorch': { python: { dependencies: { 'torch': '2.2' } } },
+  'TensorFlow': { python: { dependencies: { 'tensorflow': '2.15' } } },
+  'scikit-learn': { python: { dependencies: { 'scikit-learn': '1.4' } } },
+  'pandas': { python: { dependencies: { 'pandas': '2.2' } } },
+  'NumPy': { python: { dependencies: { 'numpy': '1.26' } } }
+};
+
+/**
+ * Database clients per ecosystem. A database does not pick an ecosystem by itself: its client
+ * is only added to the ecosystems the languages and frameworks in the stack pick.
+ */
+const DATABASE_CLIENTS = {
+  'MongoDB': {
+    node: { dependencies: { 'mongoose': '^8.0.0' } },
+    python: { dependencies: { 'pymongo': '4.6' } }
+  },
+  'PostgreSQL': {
+    node: { dependencies: { 'pg': '^8.11.0' } },
+    python: { dependencies: { 'psycopg[binary]': '3.1' } }
+  },
+  'Redis': {
+    node: { dependencies: { 'ioredis': '^5.3.0' } },
+    python: { dependencies: { 'redis': '5.0' } }
+  }
+};
+
+// Names outside InputValidator's normalizations keep the case they were typed in
+const indexByName = (map) => new Map(Object.entries(map).map(([tech, entry]) => [tech.toLowerCase(), entry]));
+const DEPENDENCY_INDEX = indexByName(DEPENDENCY_MAP);
+const DATABASE_INDEX = indexByName(DATABASE_CLIENTS);
+
+export default class DependencyTransformer extends BaseTransformer {
+  /**
+   * Add dependency manifests for the detected ecosystems
+   * @param {Array} files - Files to transform
+   * @param {Object} config - Dependency configuration
+   * @param {Object} context - Generation context
+   * @returns {Array} Transformed files
+   */
+  async doTransform(files, config, context) {
+    const transformedFiles = [...files];
+
+    if (config.manifests === false) {
+      return transformedFiles;
+    }
+
+    const ecosystems = this.resolveDependencies(context.techStack || []);
+
+    if (ecosystems.node && !this.hasFile(files, 'package.json')) {
+      transformedFiles.push(this.generatePackageJson(ecosystems.node, context));
+    }
+
+    if (ecosystems.python && !this.hasFile(files, 'requirements.txt')) {
+      transformedFiles.push(this.generateRequirementsTxt(ecosystems.python, context));
+    }
+
+    if (!ecosystems.node && !ecosystems.python) {
+      this.logger.debug('No known ecosystem in tech stack, skipping dependency manifests');
+    }
+
+    return transformedFiles;
+  }
+
+  /**
+   * Collect the packages required by a tech stack, grouped by ecosystem
+   * @param {Array} techStack - Technologies
+   * @returns {Object} Dependencies per ecosystem ({ node, python })
+   */
+  resolveDependencies(techStack) {
+    const ecosystems = {};
+    const lookup = (map, index, tech) => map[tech] || index.get(String(tech).toLowerCase());
+    const addPackages = (ecosystem, packages) => {
+      const target = ecosystems[ecosystem] || (ecosystems[ecosystem] = { dependencies: {}, devDependencies: {} });
+      Object.assign(target.dependencies, packages.dependencies);
+      Object.assign(target.devDependencies, packages.devDependencies);
+    };
+
+    for (const tech of techStack) {
+      for (const [ecosystem, packages] of Object.entries(lookup(DEPENDENCY_MAP, DEPENDENCY_INDEX, tech) || {})) {
+        addPackages(ecosystem, packages);
+      }
+    }
+
+    // Databases only add their client to the ecosystems picked above
+    for (const tech of techStack) {
+      for (const [ecosystem, packages] of Object.entries(lookup(DATABASE_CLIENTS, DATABASE_INDEX, tech) || {})) {
+        if (ecosystems[ecosystem]) {
+          addPackages(ecosystem, packages);
+        }
+      }
+    }
+
+    return ecosystems;
+  }
+
+  /**
+   * Generate package.json
+   * @param {Object} packages - Node dependencies
+   * @param {Object} context - Generation context
+   * @returns {Object} package.json file
+   */
+  generatePackageJson(packages, context) {
+    const manifest = {
+      name: this.toPackageName(context.projectName),
+      version: '0.1.0',
+      private: true,
+      description: context.description || `${context.projectName || 'Project'} dependencies`,
+      scripts: {},
+      dependencies: this.sortKeys(packages.dependencies),
+      devDependencies: this.sortKeys(packages.devDependencies)
+    };
+
+    if (packages.devDependencies.typescript) {
+      manifest.scripts.build = 'tsc';
+    }
+
+    const content = JSON.stringify(manifest, null, 2) + '\n';
+
+    this.logger.debug('Generated package.json');
+
+    return {
+      path: 'package.json',
+      content,
+      size: Buffer.byteLength(content, 'utf8'),
+      templateId: 'package-json',
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Generate requirements.txt
+   * @param {Object} packages - Python dependencies
+   * @param {Object} context - Generation context
+   * @returns {Object} requirements.txt file
+   */
+  generateRequirementsTxt(packages, context) {
+    const lines = Object.entries(this.sortKeys(packages.dependencies))
+      .map(([name, version]) => `${name}~=${version}`);
+
+    const content = `# ${context.projectName || 'Project'} dependencies\n${lines.join('\n')}\n`;
+
+    this.logger.debug('Generated requirements.txt');
+
+    return {
+      path: 'requirements.txt',
+      content,
+      size: Buffer.byteLength(content, 'utf8'),
+      templateId: 'requirements-txt',
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check whether a file with the given name already exists
+   * @param {Array} files - Files array
+   * @param {string} fileName - File name
+   * @returns {boolean} Whether the file exists
+   */
+  hasFile(files, fileName) {
+    return files.some(file => file.path === fileName || file.path.endsWith(`/${fileName}`));
+  }
+
+  /**
+   * Convert a project name to a valid npm package name
+   * @param {string} projectName - Project name
+   * @returns {string} Package name
+   */
+  toPackageName(projectName = 'project') {
+    return projectName
+      .toLowerCase()
+      .replace(/[^a-z0-9-~]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'project';
+  }
+
+  /**
+   * Return a copy of an object with alphabetically sorted keys
+   * @param {Object} object - Object to sort
+   * @returns {Object} Sorted object
+   */
+  sortKeys(object = {}) {
+    return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+  }
+}
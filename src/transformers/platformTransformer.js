@@ -0,0 +1,256 @@
+/**
+ * Platform Transformer
+ * Splits iOS and Android specific sections out of prompt files
+ */
+
+import path from 'path';
+import { BaseTransformer } from './BaseTransformer.js';
+
+const PLATFORMS = {
+  ios: { name: 'iOS', pattern: /\biOS\b/ },
+  android: { name: 'Android', pattern: /\bAndroid\b/ }
+};
+
+// Placeholder left where a section was extracted, removed before output
+const EXTRACTED = '\u0000extracted';
+
+export default class PlatformTransformer extends BaseTransformer {
+  /**
+   * Move platform-specific sections into dedicated prompt files
+   * @param {Array} files - Files to transform
+   * @param {Object} config - Platform configuration ({ ios, android })
+   * @param {Object} context - Generation context
+   * @returns {Array} Transformed files
+   */
+  async doTransform(files, config, context) {
+    const platforms = this.resolvePlatforms(config, context);
+    const transformedFiles = [];
+    const platformFiles = [];
+
+    for (const file of files) {
+      if (!this.isMarkdownFile(file)) {
+        transformedFiles.push(file);
+        continue;
+      }
+
+      const { content, sections } = this.splitSections(file.content);
+      const hasPlatformSections = Object.values(sections).some(list => list.length > 0);
+
+      if (!hasPlatformSections) {
+        transformedFiles.push(file);
+        continue;
+      }
+
+      const references = [];
+
+      for (const [platform, list] of Object.entries(sections)) {
+        if (list.length === 0 || !platforms.includes(platform)) {
+          continue;
+        }
+
+        const platformFile = this.generatePlatformFile(file, platform, list, context);
+        platformFiles.push(platformFile);
+        references.push(`- ${PLATFORMS[platform].name}: see \`${path.posix.basename(platformFile.path)}\``);
+      }
+
+      const mainContent = references.length > 0
+        ? this.appendReferences(content, references)
+        : content;
+
+      transformedFiles.push(this.updateFileContent(file, mainContent));
+      this.logger.debug(`Split platform sections from ${file.path}`);
+    }
+
+    return [...transformedFiles, ...platformFiles];
+  }
+
+  /**
+   * Determine the platforms to generate prompts for
+   * @param {Object} config - Configuration
+   * @param {Object} context - Generation context
+   * @returns {Array} Platform keys
+   */
+  resolvePlatforms(config, context) {
+    const target = (context.platform || '').toLowerCase();
+
+    return Object.keys(PLATFORMS).filter(platform => {
+      if (config[platform] === false) {
+        return false;
+      }
+
+      return !target || target === 'both' || target === platform;
+    });
+  }
+
+  /**
+   * Extract sections whose heading names exactly one platform
+   * @param {string} content - Markdown content
+   * @returns {Object} Remaining content and extracted sections per platform
+   */
+  splitSections(content) {
+    const lines = content.split('\n');
+    const sections = Object.fromEntries(Object.keys(PLATFORMS).map(platform => [platform, []]));
+    const remaining = [];
+    let inFence = false;
+    let index = 0;
+
+    while (index < lines.length) {
+      const line = lines[index];
+
+      if (/^\s*```/.test(line)) {
+        inFence = !inFence;
+      }
+
+      const heading = !inFence && line.match(/^(#{1,6})\s+(.*)$/);
+      const platform = heading && this.detectPlatform(heading[2]);
+
+      if (!platform) {
+        remaining.push(line);
+        index++;
+        continue;
+      }
+
+      const end = this.findSectionEnd(lines, index, heading[1].length);
+      sections[platform].push(lines.slice(index, end).join('\n').trimEnd());
+      remaining.push(EXTRACTED);
+      index = end;
+    }
+
+    return { content: this.removeEmptySections(remaining).join('\n'), sections };
+  }
+
+  /**
+   * Remove headings left without content after their subsections were extracted
+   * @param {Array} lines - Content lines, with EXTRACTED markers where sections were removed
+   * @returns {Array} Cleaned lines
+   */
+  removeEmptySections(lines) {
+    const cleaned = [];
+    let inFence = false;
+
+    for (const line of lines) {
+      if (/^\s*```/.test(line)) {
+        inFence = !inFence;
+      }
+
+      const heading = !inFence && line.match(/^(#{1,6})\s/);
+
+      if (heading) {
+        this.dropEmptyHeading(cleaned, heading[1].length);
+      }
+
+      cleaned.push(line);
+    }
+
+    this.dropEmptyHeading(cleaned, 1);
+    return cleaned.filter(line => line !== EXTRACTED);
+  }
+
+  /**
+   * Drop the trailing heading of a line buffer if its only content was extracted
+   * @param {Array} lines - Line buffer
+   * @param {number} nextLevel - Level of the heading that follows
+   */
+  dropEmptyHeading(lines, nextLevel) {
+    let last = lines.length - 1;
+    let extracted = false;
+
+    while (last >= 0 && (lines[last] === EXTRACTED || lines[last].trim() === '')) {
+      extracted = extracted || lines[last] === EXTRACTED;
+      last--;
+    }
+
+    const heading = last >= 0 && lines[last].match(/^(#{1,6})\s/);
+    if (extracted && heading && heading[1].length >= nextLevel) {
+      lines.splice(last, lines.length - last, EXTRACTED);
+      this.dropEmptyHeading(lines, nextLevel);
+    }
+  }
+
+  /**
+   * Detect which platform a heading refers to
+   * @param {string} heading - Heading text
+   * @returns {string|null} Platform key, or null for shared or unrelated headings
+   */
+  detectPlatform(heading) {
+    const matches = Object.keys(PLATFORMS).filter(platform => PLATFORMS[platform].pattern.test(heading));
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Find the line index where a section ends
+   * @param {Array} lines - Content lines
+   * @param {number} start - Index of the section heading
+   * @param {number} level - Heading level
+   * @returns {number} Index of the first line after the section
+   */
+  findSectionEnd(lines, start, level) {
+    let inFence = false;
+
+    for (let i = start + 1; i < lines.length; i++) {
+      if (/^\s*```/.test(lines[i])) {
+        inFence = !inFence;
+      }
+
+      const heading = !inFence && lines[i].match(/^(#{1,6})\s/);
+      if (heading && heading[1].length <= level) {
+        return i;
+      }
+    }
+
+    return lines.length;
+  }
+
+  /**
+   * Generate a platform-specific prompt file
+   * @param {Object} file - Source prompt file
+   * @param {string} platform - Platform key
+   * @param {Array} sections - Extracted sections
+   * @param {Object} context - Generation context
+   * @returns {Object} Platform prompt file
+   */
+  generatePlatformFile(file, platform, sections, context) {
+    const { dir, name } = path.posix.parse(file.path);
+    const platformName = PLATFORMS[platform].name;
+    const content = `# ${context.projectName || 'Project'} - ${platformName} Implementation Prompt
+
+These instructions extend \`${path.posix.basename(file.path)}\` with ${platformName}-specific requirements.
+
+${sections.join('\n\n')}
+`;
+
+    return {
+      path: path.posix.join(dir, `${name}-${platform}.md`),
+      content,
+      size: Buffer.byteLength(content, 'utf8'),
+      templateId: `${file.templateId || name}-${platform}`,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Append references to the platform prompt files
+   * @param {string} content - Main prompt content
+   * @param {Array} references - Reference lines
+   * @returns {string} Updated content
+   */
+  appendReferences(content, references) {
+    const block = `## Platform-Specific Prompts\n${references.join('\n')}`;
+    const footerIndex = content.lastIndexOf('\n---\n');
+
+    if (footerIndex === -1) {
+      return `${content.trimEnd()}\n\n${block}\n`;
+    }
+
+    return `${content.slice(0, footerIndex).trimEnd()}\n\n${block}\n${content.slice(footerIndex)}`;
+  }
+
+  /**
+   * Check if file is a Markdown file
+   * @param {Object} file - File to check
+   * @returns {boolean} Whether file is Markdown
+   */
+  isMarkdownFile(file) {
+    return file.path.endsWith('.md');
+  }
+}
@@ -0,0 +1,325 @@
+/**
+ * Text Diff Utility
+ * Line-based diffs, unified diff output and three-way merges of generated files
+ */
+
+// Appended to a last line that has no trailing newline, so "a" and "a\n" differ
+const NO_NEWLINE = '\u0000';
+
+export class TextDiff {
+  constructor(options = {}) {
+    this.context = options.context ?? 3;
+    // Largest LCS table (old lines x new lines) computed before falling back to a full replacement
+    this.maxCells = options.maxCells ?? 4000000;
+  }
+
+  /**
+   * Split text into lines, marking a missing trailing newline
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Lines
+   */
+  splitLines(text) {
+    if (!text) {
+      return [];
+    }
+
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    } else {
+      lines[lines.length - 1] += NO_NEWLINE;
+    }
+
+    return lines;
+  }
+
+  /**
+   * Compute a line diff
+   * @param {string} oldText - Original text
+   * @param {string} newText - New text
+   * @returns {Array} Operations ({ type: ' ' | '-' | '+', line, oldIndex, newIndex })
+   */
+  diffLines(oldText, newText) {
+    const a = this.splitLines(oldText);
+    const b = this.splitLines(newText);
+
+    // Common prefix and suffix do not need the LCS table
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+      a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const types = [
+      ...Array(prefix).fill(' '),
+      ...this.diffMiddle(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+      ...Array(suffix).fill(' ')
+    ];
+
+    const ops = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+
+    for (const type of types) {
+      const line = type === '+' ? b[newIndex] : a[oldIndex];
+      ops.push({ type, line, oldIndex, newIndex });
+
+      if (type !== '+') oldIndex++;
+      if (type !== '-') newIndex++;
+    }
+
+    return ops;
+  }
+
+  /**
+   * Diff the differing middle section with a longest common subsequence table
+   * @param {Array<string>} a - Old lines
+   * @param {Array<string>} b - New lines
+   * @returns {Array<string>} Operation types in order
+   */
+  diffMiddle(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    if (n === 0 || m === 0 || (n + 1) * (m + 1) > this.maxCells) {
+      return [...Array(n).fill('-'), ...Array(m).fill('+')];
+    }
+
+    // lcs[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    const types = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < n && j < m) {
+      if (a[i] === b[j]) {
+        types.push(' ');
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        types.push('-');
+        i++;
+      } else {
+        types.push('+');
+        j++;
+      }
+    }
+
+    while (i < n) {
+      types.push('-');
+      i++;
+    }
+    while (j < m) {
+      types.push('+');
+      j++;
+    }
+
+    return types;
+  }
+
+  /**
+   * Create a unified diff
+   * @param {string} oldText - Original text ('' for a new file)
+   * @param {string} newText - New text
+   * @param {Object} [labels] - oldLabel and newLabel for the --- and +++ lines
+   * @returns {string} Unified diff, or an empty string when the texts are identical
+   */
+  createUnifiedDiff(oldText, newText, labels = {}) {
+    const ops = this.diffLines(oldText, newText);
+    const hunks = this.groupHunks(ops);
+
+    if (hunks.length === 0) {
+      return '';
+    }
+
+    const output = [
+      `--- ${labels.oldLabel ?? 'a'}`,
+      `+++ ${labels.newLabel ?? 'b'}`
+    ];
+
+    for (const [start, end] of hunks) {
+      const hunkOps = ops.slice(start, end + 1);
+      const oldCount = hunkOps.filter(op => op.type !== '+').length;
+      const newCount = hunkOps.filter(op => op.type !== '-').length;
+      // Empty ranges point at the line before them, as in `diff -u`
+      const oldStart = hunkOps[0].oldIndex + (oldCount > 0 ? 1 : 0);
+      const newStart = hunkOps[0].newIndex + (newCount > 0 ? 1 : 0);
+
+      output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+
+      for (const op of hunkOps) {
+        if (op.line.endsWith(NO_NEWLINE)) {
+          output.push(`${op.type}${op.line.slice(0, -1)}`, '\\ No newline at end of file');
+        } else {
+          output.push(`${op.type}${op.line}`);
+        }
+      }
+    }
+
+    return `${output.join('\n')}\n`;
+  }
+
+  /**
+   * Three-way merge two descendants of a common base, line by line
+   * Regions changed on only one side take that side; regions changed on both
+   * sides in different ways become conflicts wrapped in git-style markers.
+   * @param {string} base - Common ancestor (previously generated content)
+   * @param {string} ours - Locally edited content
+   * @param {string} theirs - Newly generated content
+   * @param {Object} [labels] - ours and theirs labels for the conflict markers
+   * @returns {Object} Merged content and the number of conflicts
+   */
+  merge3(base, ours, theirs, labels = {}) {
+    const baseLines = this.splitLines(base);
+    const oursLines = this.splitLines(ours);
+    const theirsLines = this.splitLines(theirs);
+    const oursMatch = this.matchLines(base, ours, baseLines.length);
+    const theirsMatch = this.matchLines(base, theirs, baseLines.length);
+
+    const output = [];
+    let conflicts = 0;
+    let b = 0;
+    let o = 0;
+    let t = 0;
+
+    while (b < baseLines.length || o < oursLines.length || t < theirsLines.length) {
+      // Copy lines unchanged on both sides
+      if (b < baseLines.length && oursMatch[b] === o && theirsMatch[b] === t) {
+        output.push(baseLines[b]);
+        b++;
+        o++;
+        t++;
+        continue;
+      }
+
+      // Find the next base line both sides kept; everything before it differs
+      let next = b;
+      while (next < baseLines.length && (oursMatch[next] < o || theirsMatch[next] < t)) {
+        next++;
+      }
+
+      const oursEnd = next < baseLines.length ? oursMatch[next] : oursLines.length;
+      const theirsEnd = next < baseLines.length ? theirsMatch[next] : theirsLines.length;
+      const baseChunk = baseLines.slice(b, next);
+      const oursChunk = oursLines.slice(o, oursEnd);
+      const theirsChunk = theirsLines.slice(t, theirsEnd);
+
+      if (this.sameLines(oursChunk, baseChunk) || this.sameLines(oursChunk, theirsChunk)) {
+        output.push(...theirsChunk);
+      } else if (this.sameLines(theirsChunk, baseChunk)) {
+        output.push(...oursChunk);
+      } else {
+        conflicts++;
+        output.push(
+          `<<<<<<< ${labels.ours ?? 'ours'}`,
+          ...oursChunk.map(line => this.stripNoNewline(line)),
+          '=======',
+          ...theirsChunk.map(line => this.stripNoNewline(line)),
+          `>>>>>>> ${labels.theirs ?? 'theirs'}`
+        );
+      }
+
+      b = next;
+      o = oursEnd;
+      t = theirsEnd;
+    }
+
+    return { content: this.joinLines(output), conflicts };
+  }
+
+  /**
+   * Map each base line to its position in another text, or -1 when it was removed
+   * @param {string} base - Base text
+   * @param {string} other - Other text
+   * @param {number} baseLength - Number of base lines
+   * @returns {Int32Array} Matching line index per base line
+   */
+  matchLines(base, other, baseLength) {
+    const match = new Int32Array(baseLength).fill(-1);
+
+    for (const op of this.diffLines(base, other)) {
+      if (op.type === ' ') {
+        match[op.oldIndex] = op.newIndex;
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Compare two line lists
+   * @param {Array<string>} a - Lines
+   * @param {Array<string>} b - Lines
+   * @returns {boolean} Whether the lists are equal
+   */
+  sameLines(a, b) {
+    return a.length === b.length && a.every((line, index) => line === b[index]);
+  }
+
+  /**
+   * Remove the missing-trailing-newline marker from a line
+   * @param {string} line - Line
+   * @returns {string} Line text
+   */
+  stripNoNewline(line) {
+    return line.endsWith(NO_NEWLINE) ? line.slice(0, -1) : line;
+  }
+
+  /**
+   * Join lines produced by splitLines() back into text
+   * @param {Array<string>} lines - Lines
+   * @returns {string} Text, without a trailing newline if the last line had none
+   */
+  joinLines(lines) {
+    if (lines.length === 0) {
+      return '';
+    }
+
+    const last = lines[lines.length - 1];
+    const text = lines.map(line => this.stripNoNewline(line)).join('\n');
+
+    return last.endsWith(NO_NEWLINE) ? text : `${text}\n`;
+  }
+
+  /**
+   * Group changed operations into hunks with surrounding context
+   * @param {Array} ops - Diff operations
+   * @returns {Array<Array<number>>} Inclusive [start, end] operation ranges
+   */
+  groupHunks(ops) {
+    const hunks = [];
+
+    ops.forEach((op, index) => {
+      if (op.type === ' ') {
+        return;
+      }
+
+      const start = Math.max(0, index - this.context);
+      const end = Math.min(ops.length - 1, index + this.context);
+      const previous = hunks[hunks.length - 1];
+
+      if (previous && start <= previous[1] + 1) {
+        previous[1] = end;
+      } else {
+        hunks.push([start, end]);
+      }
+    });
+
+    return hunks;
+  }
+}
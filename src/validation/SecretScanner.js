@@ -0,0 +1,262 @@
+/**
+ * Secret Scanner
+ * Detects provider-specific credentials and high-entropy strings with line/column locations
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { Logger } from '../utils/Logger.js';
+
+// Example values in docs and templates, such as 'SecurePassword123!', 'your-api-key' or '${API_KEY}'
+const PLACEHOLDER_VALUE = /example|sample|placeholder|dummy|fake|change[_-]?me|your|password|x{4,}|\*{4,}|^<.*>$|^\$\{.*\}$|^\{\{.*\}\}$/i;
+
+/**
+ * Provider-specific secret formats
+ * Patterns use the global flag; the optional `group` selects the secret within the match and
+ * the optional `ignore` skips values that are placeholders rather than secrets.
+ */
+const SECRET_PATTERNS = [
+  {
+    id: 'aws-access-key-id',
+    name: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g
+  },
+  {
+    id: 'aws-secret-access-key',
+    name: 'AWS secret access key',
+    pattern: /aws[\w-]{0,20}(?:secret|private)[\w-]{0,20}['"]?\s*[:=]\s*['"]?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+    group: 1
+  },
+  {
+    id: 'github-token',
+    name: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g
+  },
+  {
+    id: 'stripe-secret-key',
+    name: 'Stripe secret key',
+    pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{24,99}\b/g
+  },
+  {
+    id: 'private-key',
+    name: 'private key',
+    pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/g
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g
+  },
+  {
+    id: 'generic-secret',
+    name: 'secret',
+    pattern: /(?:api[_-]?key|secret[_-]?key|access[_-]?token|token|password)\s*[:=]\s*['"]([^'"\s]{8,})['"]/gi,
+    group: 1,
+    ignore: PLACEHOLDER_VALUE
+  }
+];
+
+// Candidate strings for entropy analysis: quoted values or assignment values
+const ENTROPY_CANDIDATE = /(?:['"`]|[:=]\s*)([A-Za-z0-9+/=_-]{20,})(?=['"`]|\s|$|[;,])/g;
+
+const ENTROPY_THRESHOLDS = {
+  hex: { charset: /^[0-9a-f]+$/i, minLength: 32, threshold: 3.0 },
+  base64: { charset: /^[A-Za-z0-9+/=_-]+$/, minLength: 20, threshold: 4.5 }
+};
+
+// Inline marker that suppresses findings on a line
+const INLINE_ALLOW_MARKER = 'qoder-allow-secret';
+
+export class SecretScanner {
+  constructor(options = {}) {
+    this.logger = new Logger('SecretScanner');
+    this.options = {
+      allowlistPath: path.join(process.cwd(), '.qoder', 'secrets-allowlist'),
+      entropy: true,
+      ...options
+    };
+    this.allowlist = { values: new Set(), fingerprints: new Set(), files: [] };
+  }
+
+  /**
+   * Load the allowlist file
+   * One entry per line: a literal value, "sha256:<fingerprint>" or "file:<glob>"; "#" starts a comment.
+   */
+  async loadAllowlist(allowlistPath = this.options.allowlistPath) {
+    if (!allowlistPath || !(await fs.pathExists(allowlistPath))) {
+      return;
+    }
+
+    try {
+      const content = await fs.readFile(allowlistPath, 'utf8');
+      this.setAllowlist(content.split('\n'));
+      this.logger.debug(`Loaded secret allowlist from ${allowlistPath}`);
+    } catch (error) {
+      this.logger.warn(`Failed to load secret allowlist: ${allowlistPath}`, error);
+    }
+  }
+
+  /**
+   * Replace the allowlist
+   * @param {Array} entries - Allowlist entries
+   */
+  setAllowlist(entries) {
+    this.allowlist = { values: new Set(), fingerprints: new Set(), files: [] };
+
+    for (const rawEntry of entries) {
+      const entry = rawEntry.replace(/(^|\s)#.*$/, '').trim();
+
+      if (!entry) {
+        continue;
+      } else if (/^sha256:[0-9a-f]{8,}$/i.test(entry)) {
+        this.allowlist.fingerprints.add(entry.slice('sha256:'.length).toLowerCase());
+      } else if (entry.startsWith('file:')) {
+        this.allowlist.files.push(this.globToRegExp(entry.slice('file:'.length).trim()));
+      } else {
+        this.allowlist.values.add(entry);
+      }
+    }
+  }
+
+  /**
+   * Scan a file for secrets
+   * @param {Object} file - File object ({ path, content })
+   * @returns {Array} Findings ({ ruleId, name, line, column, fingerprint })
+   */
+  scan(file) {
+    const content = file.content || '';
+
+    if (this.allowlist.files.some(pattern => pattern.test(file.path))) {
+      return [];
+    }
+
+    const findings = [];
+    const ranges = [];
+    const record = (ruleId, name, secret, index) => {
+      const end = index + secret.length;
+      const location = this.getLocation(content, index);
+
+      // Earlier, more specific patterns win over overlapping generic matches
+      if (ranges.some(range => index < range.end && end > range.start)) {
+        return;
+      }
+
+      ranges.push({ start: index, end });
+      if (!this.isAllowed(secret, content, location.line)) {
+        findings.push({ ruleId, name, ...location, fingerprint: this.fingerprint(secret) });
+      }
+    };
+
+    for (const { id, name, pattern, group, ignore } of SECRET_PATTERNS) {
+      for (const match of content.matchAll(pattern)) {
+        const secret = group ? match[group] : match[0];
+        if (ignore && ignore.test(secret)) {
+          continue;
+        }
+        record(id, name, secret, match.index + match[0].indexOf(secret));
+      }
+    }
+
+    if (this.options.entropy) {
+      for (const match of content.matchAll(ENTROPY_CANDIDATE)) {
+        const candidate = match[1];
+        if (this.isHighEntropy(candidate)) {
+          record('high-entropy-string', 'high-entropy string', candidate, match.index + match[0].indexOf(candidate));
+        }
+      }
+    }
+
+    return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Check whether a candidate string looks like random key material
+   * @param {string} value - Candidate string
+   * @returns {boolean} Whether the string exceeds the entropy threshold for its charset
+   */
+  isHighEntropy(value) {
+    // Identifiers, paths and words rarely mix digits in; keys almost always do
+    if (!/\d/.test(value) || !/[A-Za-z]/.test(value)) {
+      return false;
+    }
+
+    const charset = ENTROPY_THRESHOLDS.hex.charset.test(value) ? 'hex' : 'base64';
+    const { minLength, threshold } = ENTROPY_THRESHOLDS[charset];
+
+    return value.length >= minLength && this.shannonEntropy(value) > threshold;
+  }
+
+  /**
+   * Shannon entropy in bits per character
+   * @param {string} value - String
+   * @returns {number} Entropy
+   */
+  shannonEntropy(value) {
+    const counts = {};
+    for (const char of value) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+
+    return Object.values(counts).reduce((entropy, count) => {
+      const probability = count / value.length;
+      return entropy - probability * Math.log2(probability);
+    }, 0);
+  }
+
+  /**
+   * Check a match against the allowlist and inline markers
+   * @param {string} secret - Matched secret
+   * @param {string} content - File content
+   * @param {number} line - 1-based line number
+   * @returns {boolean} Whether the finding is allowed
+   */
+  isAllowed(secret, content, line) {
+    if (this.allowlist.values.has(secret)) {
+      return true;
+    }
+
+    const fingerprint = this.fingerprint(secret);
+    if ([...this.allowlist.fingerprints].some(entry => fingerprint.startsWith(entry) || entry.startsWith(fingerprint))) {
+      return true;
+    }
+
+    return content.split('\n')[line - 1].includes(INLINE_ALLOW_MARKER);
+  }
+
+  /**
+   * Short SHA-256 fingerprint used to allowlist a secret without storing it
+   * @param {string} secret - Secret value
+   * @returns {string} First 16 hex characters of the digest
+   */
+  fingerprint(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Convert a character offset to a 1-based line and column
+   * @param {string} content - Text
+   * @param {number} index - Character offset
+   * @returns {Object} { line, column }
+   */
+  getLocation(content, index) {
+    const lines = content.slice(0, index).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+  }
+
+  /**
+   * Convert a file glob ("*", "**", "?") into a regular expression
+   * @param {string} glob - Glob relative to the suite root
+   * @returns {RegExp} Pattern
+   */
+  globToRegExp(glob) {
+    const source = glob
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\/?/g, '::globstar::')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/::globstar::/g, '.*');
+
+    return new RegExp(`^${source}$`);
+  }
+}
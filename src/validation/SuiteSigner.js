@@ -0,0 +1,199 @@
+/**
+ * Suite Signer
+ * Signs generated suites with Ed25519 keys and verifies their signatures
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { Logger } from '../utils/Logger.js';
+
+const MANIFEST_FILE = 'qoder-manifest.json';
+const USAGE_FILE = 'USAGE.md';
+
+export const SIGNATURE_FILE = 'qoder-manifest.sig';
+
+// Identifies the signed payload layout, so it can change without old signatures verifying by accident
+const PAYLOAD_FORMAT = 'qoder-suite-signature/v1';
+
+export class SuiteSigner {
+  constructor() {
+    this.logger = new Logger('SuiteSigner');
+  }
+
+  /**
+   * Sign a generated suite, writing qoder-manifest.sig next to the manifest
+   * @param {string} outputPath - Suite directory
+   * @param {string|Buffer} privateKeyPem - Ed25519 private key (PEM)
+   * @returns {Object} { signaturePath, keyFingerprint, fileCount }
+   */
+  async signSuite(outputPath, privateKeyPem) {
+    const privateKey = this.loadKey(privateKeyPem, 'private');
+    const { payload, fileCount, missing } = await this.createPayload(outputPath);
+
+    if (missing.length > 0) {
+      throw new Error(`Cannot sign suite with missing files: ${missing.join(', ')}`);
+    }
+
+    const signature = {
+      format: PAYLOAD_FORMAT,
+      algorithm: 'Ed25519',
+      keyFingerprint: this.getKeyFingerprint(crypto.createPublicKey(privateKey)),
+      signedAt: new Date().toISOString(),
+      fileCount,
+      signature: crypto.sign(null, payload, privateKey).toString('base64')
+    };
+
+    const signaturePath = path.join(outputPath, SIGNATURE_FILE);
+    await fs.writeFile(signaturePath, `${JSON.stringify(signature, null, 2)}\n`, 'utf8');
+
+    this.logger.success(`Signed ${fileCount} files with key ${signature.keyFingerprint}`);
+    return { signaturePath, keyFingerprint: signature.keyFingerprint, fileCount };
+  }
+
+  /**
+   * Verify the signature of a generated suite
+   * @param {string} outputPath - Suite directory
+   * @param {string|Buffer} publicKeyPem - Ed25519 public key (PEM)
+   * @returns {Object} { signed, valid, keyFingerprint, signedAt, error }
+   */
+  async verifySuite(outputPath, publicKeyPem) {
+    const publicKey = this.loadKey(publicKeyPem, 'public');
+    const keyFingerprint = this.getKeyFingerprint(publicKey);
+    const result = { signed: false, valid: false, keyFingerprint, signedAt: null, error: null };
+
+    const signature = await this.readSignature(outputPath);
+    if (!signature) {
+      result.error = `Suite is not signed: ${SIGNATURE_FILE} not found`;
+      return result;
+    }
+
+    result.signed = true;
+    result.signedAt = signature.signedAt ?? null;
+
+    if (signature.format !== PAYLOAD_FORMAT || signature.algorithm !== 'Ed25519') {
+      result.error = `Unsupported signature format: ${signature.format} (${signature.algorithm})`;
+      return result;
+    }
+
+    if (signature.keyFingerprint !== keyFingerprint) {
+      result.error = `Suite was signed with a different key (${signature.keyFingerprint})`;
+      return result;
+    }
+
+    const { payload } = await this.createPayload(outputPath);
+    result.valid = crypto.verify(null, payload, publicKey, Buffer.from(signature.signature || '', 'base64'));
+
+    if (!result.valid) {
+      result.error = 'Signature does not match the suite contents';
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the signed payload: the manifest hash plus the hash of every file as found on disk
+   * Files are those listed in the manifest and USAGE.md; missing files hash as null.
+   * @param {string} outputPath - Suite directory
+   * @returns {Object} { payload, fileCount, missing }
+   */
+  async createPayload(outputPath) {
+    const manifestPath = path.join(outputPath, MANIFEST_FILE);
+    if (!(await fs.pathExists(manifestPath))) {
+      throw new Error(`Manifest not found: ${manifestPath}`);
+    }
+
+    const manifestContent = await fs.readFile(manifestPath);
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestContent.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid manifest ${manifestPath}: ${error.message}`);
+    }
+
+    const filePaths = new Set([USAGE_FILE]);
+    for (const info of Object.values(manifest.structure || {})) {
+      for (const entry of info.files || []) {
+        filePaths.add(path.posix.normalize(entry.path));
+      }
+    }
+
+    const files = [];
+    const missing = [];
+    for (const filePath of [...filePaths].sort()) {
+      const absolutePath = path.join(outputPath, filePath);
+      const exists = await fs.pathExists(absolutePath);
+
+      if (!exists) {
+        missing.push(filePath);
+      }
+      files.push({ path: filePath, sha256: exists ? this.hash(await fs.readFile(absolutePath)) : null });
+    }
+
+    const payload = Buffer.from(JSON.stringify({
+      format: PAYLOAD_FORMAT,
+      manifest: this.hash(manifestContent),
+      files
+    }), 'utf8');
+
+    return { payload, fileCount: files.length, missing };
+  }
+
+  /**
+   * Read a suite's signature file
+   * @param {string} outputPath - Suite directory
+   * @returns {Object|null} Signature, or null when the suite is unsigned
+   */
+  async readSignature(outputPath) {
+    const signaturePath = path.join(outputPath, SIGNATURE_FILE);
+
+    if (!(await fs.pathExists(signaturePath))) {
+      return null;
+    }
+
+    try {
+      return await fs.readJson(signaturePath);
+    } catch (error) {
+      throw new Error(`Invalid signature file ${signaturePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse an Ed25519 key
+   * @param {string|Buffer} pem - PEM-encoded key
+   * @param {string} type - 'private' or 'public'; a private key is accepted where a public key is expected
+   * @returns {KeyObject} Key
+   */
+  loadKey(pem, type) {
+    let key;
+    try {
+      key = type === 'private' ? crypto.createPrivateKey(pem) : crypto.createPublicKey(pem);
+    } catch (error) {
+      throw new Error(`Invalid ${type} key: ${error.message}`);
+    }
+
+    if (key.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`Expected an Ed25519 ${type} key, got ${key.asymmetricKeyType}`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Fingerprint a public key, so signatures name the key that made them
+   * @param {KeyObject} publicKey - Public key
+   * @returns {string} `sha256:` followed by the first 16 hex digits of the SPKI hash
+   */
+  getKeyFingerprint(publicKey) {
+    return `sha256:${this.hash(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16)}`;
+  }
+
+  /**
+   * Hash content
+   * @param {Buffer|string} content - Content to hash
+   * @returns {string} SHA-256 hex digest
+   */
+  hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+}
@@ -6,14 +6,113 @@
 import fs from 'fs-extra';
 import path from 'path';
 import Joi from 'joi';
+import yaml from 'yaml';
+import { createHash } from 'crypto';
+import { glob } from 'glob';
+import { fileURLToPath } from 'url';
 import { Logger } from '../utils/Logger.js';
+import { SecretScanner } from './SecretScanner.js';
+import { SuiteSigner, SIGNATURE_FILE } from './SuiteSigner.js';
+import { PRISTINE_DIR, ROLLBACK_DIR } from '../output/FileGenerator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MANIFEST_FILE = 'qoder-manifest.json';
+
+// Files the generator writes alongside the suite that are not listed in the manifest
+const GENERATOR_ARTIFACTS = [MANIFEST_FILE, 'USAGE.md', SIGNATURE_FILE];
+
+// Sections every "AI Generation Prompt" document must contain
+const REQUIRED_PROMPT_SECTIONS = [
+  'Project Overview',
+  'Technical Requirements',
+  'Detailed Implementation Instructions',
+  'Success Criteria'
+];
+
+const INJECTION_PATTERNS = [
+  { pattern: /(['"`])\s*(?:SELECT|INSERT|UPDATE|DELETE)\b[^'"`]*\1\s*\+/i, message: 'SQL query built with string concatenation' },
+  { pattern: /`[^`]*\b(?:SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM)\b[^`]*\$\{/i, message: 'SQL query built with template literal interpolation' },
+  { pattern: /\bf(['"])\s*(?:SELECT|INSERT|UPDATE|DELETE)\b[^'"]*\{/i, message: 'SQL query built with an f-string' },
+  { pattern: /(['"])\s*(?:SELECT|INSERT|UPDATE|DELETE)\b[^'"]*\1\s*(?:%\s*[\w(]|\.format\s*\()/i, message: 'SQL query built with string formatting' },
+  { pattern: /\beval\s*\(/, message: 'eval() call' },
+  { pattern: /\bnew\s+Function\s*\(/, message: 'Function constructor' },
+  { pattern: /\bset(?:Timeout|Interval)\s*\(\s*['"`]/, message: 'string passed to setTimeout/setInterval' },
+  { pattern: /\.(?:innerHTML|outerHTML)\s*\+?=(?!=)/, message: 'innerHTML/outerHTML assignment' },
+  { pattern: /\binsertAdjacentHTML\s*\(/, message: 'insertAdjacentHTML() call' },
+  { pattern: /\bdocument\.write(?:ln)?\s*\(/, message: 'document.write() call' },
+  { pattern: /\bdangerouslySetInnerHTML\b/, message: 'dangerouslySetInnerHTML usage' }
+];
+
+// Rules defined in config.yaml under validation.rules
+const DECLARATIVE_RULE_SCHEMA = Joi.object({
+  type: Joi.string().valid('regex', 'forbidden-pattern', 'required-section').required(),
+  name: Joi.string(),
+  description: Joi.string(),
+  category: Joi.string().valid('validation', 'security', 'performance').default('validation'),
+  severity: Joi.string().valid('error', 'warning').default('warning'),
+  fileTypes: Joi.array().items(Joi.string()),
+  pattern: Joi.string().when('type', { is: Joi.valid('regex', 'forbidden-pattern'), then: Joi.required() }),
+  flags: Joi.string().pattern(/^[imsu]*$/).default(''),
+  sections: Joi.array().items(Joi.string()).min(1).when('type', { is: 'required-section', then: Joi.required() }),
+  ignoreCodeBlocks: Joi.boolean().default(false),
+  message: Joi.string()
+});
+
+// Branch points counted towards cyclomatic complexity
+const DECISION_PATTERN = /\b(?:if|for|while|case|catch)\b|&&|\|\||\?\?|\?(?![.:])/g;
+
+// Rough in-memory footprint of loaded source (AST, bytecode, strings) per byte of code
+const CODE_MEMORY_FACTOR = 10;
+
+const TYPED_ARRAY_BYTES = {
+  Array: 8,
+  ArrayBuffer: 1,
+  Float64Array: 8,
+  Float32Array: 4,
+  Int32Array: 4,
+  Uint32Array: 4,
+  Int16Array: 2,
+  Uint16Array: 2,
+  Int8Array: 1,
+  Uint8Array: 1
+};
 
 export class ValidationEngine {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('ValidationEngine');
     this.validationRules = new Map();
     this.securityRules = new Map();
     this.performanceRules = new Map();
+    this.configPath = options.configPath || path.join(__dirname, '../../config/config.yaml');
+    this.settings = {
+      enableSyntaxCheck: true,
+      enableSecurityScan: true,
+      enablePerformanceCheck: true,
+      maxFileCount: null,
+      maxFileSize: 5242880, // 5MB
+      allowedFileExtensions: [],
+      rules: null
+    };
+    this.secretScanner = new SecretScanner(
+      options.secretsAllowlistPath ? { allowlistPath: options.secretsAllowlistPath } : {}
+    );
+    this.suiteSigner = new SuiteSigner();
+  }
+
+  /**
+   * Apply settings from the validation section of the loaded configuration
+   * Call before loadValidationRules(); when `rules` is given it replaces reading
+   * validation.rules from config.yaml.
+   * @param {Object} settings - enable* flags, maxFileCount, maxFileSize, allowedFileExtensions and rules
+   */
+  configure(settings = {}) {
+    this.settings = { ...this.settings, ...settings };
+    this.logger.debug('Validation settings updated', {
+      ...this.settings,
+      rules: this.settings.rules ? Object.keys(this.settings.rules) : null
+    });
   }
 
   /**
@@ -32,6 +131,12 @@ export class ValidationEngine {
       // Load performance validation rules
       await this.loadPerformanceValidationRules();
 
+      // Load declarative rules from config.yaml
+      await this.loadConfiguredRules();
+
+      // Known false positives for the secret scanner
+      await this.secretScanner.loadAllowlist();
+
       this.logger.success(`Loaded ${this.validationRules.size} validation rules`);
 
     } catch (error) {
@@ -56,14 +161,16 @@ export class ValidationEngine {
         name: 'File Structure Validation',
         description: 'Validates file and directory structure',
         validate: this.validateFileStructure.bind(this),
-        fileTypes: ['*']
+        fileTypes: ['*'],
+        scope: 'suite'
       },
 
       'template-completeness': {
         name: 'Template Completeness',
         description: 'Ensures all required template sections are present',
         validate: this.validateTemplateCompleteness.bind(this),
-        fileTypes: ['.mustache', '.hbs', '.ejs']
+        fileTypes: ['.md', '.mustache', '.hbs', '.handlebars', '.ejs', '.njk'],
+        requiredSections: REQUIRED_PROMPT_SECTIONS
       },
 
       'dependency-check': {
@@ -71,6 +178,20 @@ export class ValidationEngine {
         description: 'Validates package dependencies and versions',
         validate: this.validateDependencies.bind(this),
         fileTypes: ['package.json', 'requirements.txt', 'pom.xml']
+      },
+
+      'api-spec-check': {
+        name: 'API Specification Check',
+        description: 'Validates OpenAPI/Swagger documents',
+        validate: this.validateApiSpec.bind(this),
+        fileTypes: ['.json', '.yaml', '.yml']
+      },
+
+      'seo-check': {
+        name: 'SEO Check',
+        description: 'Checks HTML pages for essential SEO markup',
+        validate: this.validateSeo.bind(this),
+        fileTypes: ['.html', '.htm']
       }
     };
 
@@ -102,7 +223,8 @@ export class ValidationEngine {
         name: 'Injection Vulnerability Check',
         description: 'Scans for potential injection vulnerabilities',
         validate: this.checkInjectionVulnerabilities.bind(this),
-        severity: 'high'
+        severity: 'high',
+        fileTypes: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.py', '.php', '.rb', '.java', '.go', '.html', '.vue', '.svelte']
       },
 
       'file-permissions': {
@@ -110,6 +232,13 @@ export class ValidationEngine {
         description: 'Validates file permissions are secure',
         validate: this.validateFilePermissions.bind(this),
         severity: 'medium'
+      },
+
+      'security-scan': {
+        name: 'Security Scan',
+        description: 'Runs every security rule',
+        validate: (file) => this.runRuleGroup('security', file),
+        group: 'security'
       }
     };
 
@@ -127,21 +256,30 @@ export class ValidationEngine {
         name: 'File Size Check',
         description: 'Validates file sizes are within limits',
         validate: this.validateFileSize.bind(this),
-        limits: { max: 5242880 } // 5MB
+        limits: { max: this.settings.maxFileSize }
       },
 
       'complexity-check': {
         name: 'Code Complexity',
         description: 'Checks code complexity metrics',
         validate: this.validateComplexity.bind(this),
-        limits: { cyclomaticComplexity: 10 }
+        limits: { cyclomaticComplexity: 10 },
+        fileTypes: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs']
       },
 
       'memory-usage': {
         name: 'Memory Usage Estimation',
         description: 'Estimates memory usage of generated code',
         validate: this.estimateMemoryUsage.bind(this),
-        limits: { maxEstimatedUsage: 104857600 } // 100MB
+        limits: { maxEstimatedUsage: 104857600 }, // 100MB
+        scope: 'suite'
+      },
+
+      'performance-check': {
+        name: 'Performance Check',
+        description: 'Runs every file-level performance rule',
+        validate: (file) => this.runRuleGroup('performance', file),
+        group: 'performance'
       }
     };
 
@@ -150,6 +288,268 @@ export class ValidationEngine {
     }
   }
 
+  /**
+   * Load declarative rules from the validation.rules section of config.yaml
+   */
+  async loadConfiguredRules() {
+    let rules = this.settings.rules;
+
+    if (!rules) {
+      if (!(await fs.pathExists(this.configPath))) {
+        return;
+      }
+
+      try {
+        const config = yaml.parse(await fs.readFile(this.configPath, 'utf8')) || {};
+        rules = config.validation?.rules || {};
+      } catch (error) {
+        this.logger.warn(`Failed to load validation rules from ${this.configPath}`, error);
+        return;
+      }
+    }
+
+    for (const [id, definition] of Object.entries(rules)) {
+      try {
+        this.registerRule(id, definition);
+      } catch (error) {
+        this.logger.warn(`Skipping validation rule ${id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Register a validation rule
+   * Rules either provide a validate(file) function or are declarative
+   * ({ type: 'regex' | 'forbidden-pattern' | 'required-section', ... }).
+   * @param {string} id - Rule ID, as referenced by category validationRules
+   * @param {Object} rule - Rule definition
+   * @returns {Object} Registered rule
+   */
+  registerRule(id, rule) {
+    if (typeof id !== 'string' || !id) {
+      throw new Error('Rule ID must be a non-empty string');
+    }
+
+    const definition = typeof rule?.validate === 'function'
+      ? { category: 'validation', ...rule }
+      : this.createDeclarativeRule(id, rule);
+    const rules = this.getRuleMap(definition.category);
+
+    if (this.unregisterRule(id)) {
+      this.logger.warn(`Overriding validation rule: ${id}`);
+    }
+
+    rules.set(id, { name: id, ...definition });
+    this.logger.debug(`Registered validation rule: ${id}`);
+
+    return rules.get(id);
+  }
+
+  /**
+   * Remove a validation rule
+   * @param {string} id - Rule ID
+   * @returns {boolean} Whether a rule was removed
+   */
+  unregisterRule(id) {
+    return [this.validationRules, this.securityRules, this.performanceRules]
+      .map(rules => rules.delete(id))
+      .some(Boolean);
+  }
+
+  /**
+   * Get a rule by ID
+   * @param {string} id - Rule ID
+   * @returns {Object|null} Rule, or null when unknown
+   */
+  getRule(id) {
+    return this.validationRules.get(id) || this.securityRules.get(id) || this.performanceRules.get(id) || null;
+  }
+
+  /**
+   * Check whether a rule is registered
+   * @param {string} id - Rule ID
+   * @returns {boolean} Whether the rule exists
+   */
+  hasRule(id) {
+    return this.getRule(id) !== null;
+  }
+
+  /**
+   * Describe every registered rule, for reports
+   * @returns {Object} Rule metadata keyed by rule ID ({ name, description, severity })
+   */
+  getRuleCatalog() {
+    const catalog = {};
+
+    for (const [id, rule] of [...this.validationRules, ...this.securityRules, ...this.performanceRules]) {
+      catalog[id] = { name: rule.name, description: rule.description, severity: rule.severity };
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Get the rule map for a rule category
+   * @param {string} category - 'validation', 'security' or 'performance'
+   * @returns {Map} Rule map
+   */
+  getRuleMap(category) {
+    const maps = {
+      validation: this.validationRules,
+      security: this.securityRules,
+      performance: this.performanceRules
+    };
+
+    if (!maps[category]) {
+      throw new Error(`Unknown rule category: ${category}`);
+    }
+
+    return maps[category];
+  }
+
+  /**
+   * Resolve rule IDs to rules, expanding group rules into their members
+   * @param {Array} [ruleIds] - Rule IDs; every rule when omitted
+   * @returns {Array} [id, rule] pairs
+   */
+  resolveRules(ruleIds) {
+    const allRules = [...this.validationRules, ...this.securityRules, ...this.performanceRules];
+
+    if (!ruleIds) {
+      return allRules.filter(([, rule]) => !rule.group);
+    }
+
+    const resolved = new Map();
+    for (const id of ruleIds) {
+      const rule = this.getRule(id);
+
+      if (!rule) {
+        this.logger.warn(`Unknown validation rule: ${id}`);
+      } else if (rule.group) {
+        for (const [memberId, member] of this.getRuleMap(rule.group)) {
+          if (!member.group) {
+            resolved.set(memberId, member);
+          }
+        }
+      } else {
+        resolved.set(id, rule);
+      }
+    }
+
+    return [...resolved];
+  }
+
+  /**
+   * Compile a declarative rule definition into a rule
+   * @param {string} id - Rule ID
+   * @param {Object} definition - Declarative definition
+   * @returns {Object} Rule with a validate function
+   */
+  createDeclarativeRule(id, definition) {
+    const { error, value } = DECLARATIVE_RULE_SCHEMA.validate(definition || {});
+    if (error) {
+      throw new Error(`Invalid rule definition: ${error.message}`);
+    }
+
+    let pattern;
+    try {
+      pattern = value.pattern && new RegExp(value.pattern, value.flags);
+    } catch (regexError) {
+      throw new Error(`Invalid pattern: ${regexError.message}`);
+    }
+
+    const findIssues = {
+      'regex': (content) => pattern.test(content)
+        ? []
+        : [value.message || `Required pattern not found: ${value.pattern}`],
+      'forbidden-pattern': (content) => this.findForbiddenPattern(content, pattern, value.message),
+      'required-section': (content) => {
+        const headings = content.match(/^#{1,6}\s+.*$/gm) || [];
+        return value.sections
+          .filter(section => !headings.some(heading => heading.includes(section)))
+          .map(section => value.message ? `${value.message}: ${section}` : `Missing required section: ${section}`);
+      }
+    }[value.type];
+
+    return {
+      ...value,
+      name: value.name || id,
+      validate: async (file) => {
+        const content = file.content || '';
+        const issues = findIssues(value.ignoreCodeBlocks ? this.blankCodeBlocks(content) : content);
+        const isError = value.severity === 'error';
+
+        return {
+          valid: !isError || issues.length === 0,
+          errors: isError ? issues : [],
+          warnings: isError ? [] : issues
+        };
+      }
+    };
+  }
+
+  /**
+   * Blank out the lines of fenced code blocks, keeping line numbers intact
+   * @param {string} content - Markdown content
+   * @returns {string} Content without code
+   */
+  blankCodeBlocks(content) {
+    let fence = null;
+
+    return content.split('\n').map(line => {
+      const marker = line.match(/^\s*(`{3,}|~{3,})/)?.[1];
+      if (!fence && marker) {
+        fence = marker;
+        return '';
+      }
+      if (fence) {
+        if (marker && marker[0] === fence[0] && marker.length >= fence.length && !line.trim().slice(marker.length)) {
+          fence = null;
+        }
+        return '';
+      }
+      return line;
+    }).join('\n');
+  }
+
+  /**
+   * Report each line matching a forbidden pattern
+   * @param {string} content - File content
+   * @param {RegExp} pattern - Forbidden pattern
+   * @param {string} [message] - Issue message
+   * @returns {Array} Issues
+   */
+  findForbiddenPattern(content, pattern, message = `Forbidden pattern found: ${pattern.source}`) {
+    if (!pattern.test(content)) {
+      return [];
+    }
+
+    const issues = [];
+    content.split('\n').forEach((line, index) => {
+      if (pattern.test(line)) {
+        issues.push(`${message} (line ${index + 1})`);
+      }
+    });
+
+    // Multi-line matches have no single line to point at
+    return issues.length > 0 ? issues : [message];
+  }
+
+  /**
+   * Run every rule in a category against a file
+   * @param {string} category - Rule category
+   * @param {Object} file - File object
+   * @returns {Object} Combined results
+   */
+  async runRuleGroup(category, file) {
+    const ruleIds = [...this.getRuleMap(category)]
+      .filter(([, rule]) => !rule.group)
+      .map(([id]) => id);
+    const { valid, errors, warnings } = await this.runFileRules(file, ruleIds);
+
+    return { valid, errors, warnings };
+  }
+
   /**
    * Validate user inputs
    * @param {Object} inputs - User inputs to validate
@@ -255,14 +655,15 @@ export class ValidationEngine {
   /**
    * Validate generated content
    * @param {Array} files - Generated files
+   * @param {Array} [ruleIds] - Additional rules to run, e.g. a category's validationRules
    * @returns {Array} Validated files with issues marked
    */
-  async validateGeneratedContent(files) {
+  async validateGeneratedContent(files, ruleIds = []) {
     const validatedFiles = [];
 
     for (const file of files) {
       try {
-        const fileValidation = await this.validateSingleFile(file);
+        const fileValidation = await this.validateSingleFile(file, ruleIds);
         
         validatedFiles.push({
           ...file,
@@ -288,9 +689,10 @@ export class ValidationEngine {
   /**
    * Validate a single file
    * @param {Object} file - File object
+   * @param {Array} [ruleIds] - Additional rules to run
    * @returns {Object} Validation results
    */
-  async validateSingleFile(file) {
+  async validateSingleFile(file, ruleIds = []) {
     const validation = {
       valid: true,
       errors: [],
@@ -299,7 +701,7 @@ export class ValidationEngine {
     };
 
     // Syntax validation
-    if (this.needsSyntaxValidation(file.path)) {
+    if (this.settings.enableSyntaxCheck && this.needsSyntaxValidation(file.path)) {
       const syntaxValidation = await this.validateSyntax(file);
       if (!syntaxValidation.valid) {
         validation.valid = false;
@@ -308,13 +710,25 @@ export class ValidationEngine {
     }
 
     // Security validation
-    const securityValidation = await this.scanForSecrets(file);
-    validation.warnings.push(...securityValidation.warnings);
+    if (this.settings.enableSecurityScan) {
+      const securityValidation = await this.scanForSecrets(file);
+      validation.warnings.push(...securityValidation.warnings);
+    }
 
     // Performance validation
-    const performanceValidation = await this.validateFileSize(file);
-    if (!performanceValidation.valid) {
-      validation.warnings.push(...performanceValidation.warnings);
+    if (this.settings.enablePerformanceCheck) {
+      const performanceValidation = await this.validateFileSize(file);
+      if (!performanceValidation.valid) {
+        validation.warnings.push(...performanceValidation.warnings);
+      }
+    }
+
+    // Rules requested by the category configuration
+    if (ruleIds.length > 0) {
+      const ruleValidation = await this.runFileRules(file, ruleIds);
+      validation.errors.push(...ruleValidation.errors);
+      validation.warnings.push(...ruleValidation.warnings);
+      validation.valid = validation.valid && ruleValidation.valid;
     }
 
     return validation;
@@ -400,8 +814,11 @@ export class ValidationEngine {
           break;
       }
     } catch (error) {
+      const position = error.message.match(/at position (\d+)/);
+      const location = position ? ` (${this.describePosition(file.content, Number(position[1]))})` : '';
+
       validation.valid = false;
-      validation.errors.push(`Syntax error: ${error.message}`);
+      validation.errors.push(`Syntax error: ${error.message}${location}`);
     }
 
     return validation;
@@ -448,57 +865,108 @@ export class ValidationEngine {
       validation.errors.push(`Duplicate files detected: ${duplicates.join(', ')}`);
     }
 
+    // Configured file count and file type limits
+    const limits = this.checkFileLimits(allFiles.map(f => f.path));
+    if (limits.errors.length > 0) {
+      validation.valid = false;
+      validation.errors.push(...limits.errors);
+    }
+    validation.warnings.push(...limits.warnings.map(warning => warning.message));
+
     return validation;
   }
 
   /**
-   * Scan for secrets in file content
-   * @param {Object} file - File object
-   * @returns {Object} Security scan results
+   * Check file paths against validation.maxFileCount and validation.allowedFileExtensions
+   * Files without an extension (e.g. .gitignore, Dockerfile) are matched by name.
+   * @param {Array<string>} filePaths - Suite file paths
+   * @returns {Object} Errors for exceeding the file count, { path, message } warnings for disallowed file types
    */
-  async scanForSecrets(file) {
-    const warnings = [];
+  checkFileLimits(filePaths) {
+    const limits = { errors: [], warnings: [] };
+    const { maxFileCount, allowedFileExtensions } = this.settings;
 
-    // Common secret patterns
-    const secretPatterns = [
-      /api[_-]?key\s*[:=]\s*['"][^'"]{20,}['"]/i,
-      /secret[_-]?key\s*[:=]\s*['"][^'"]{20,}['"]/i,
-      /password\s*[:=]\s*['"][^'"]{8,}['"]/i,
-      /token\s*[:=]\s*['"][^'"]{20,}['"]/i,
-      /access[_-]?token\s*[:=]\s*['"][^'"]{20,}['"]/i
-    ];
+    if (maxFileCount && filePaths.length > maxFileCount) {
+      limits.errors.push(`Too many files: ${filePaths.length} (maximum ${maxFileCount})`);
+    }
 
-    for (const pattern of secretPatterns) {
-      if (pattern.test(file.content)) {
-        warnings.push(`Potential secret detected in ${file.path}`);
+    if (allowedFileExtensions?.length > 0) {
+      for (const filePath of filePaths) {
+        const type = path.extname(filePath) || path.basename(filePath);
+        if (!allowedFileExtensions.includes(type)) {
+          limits.warnings.push({ path: filePath, message: `File type not allowed: ${filePath}` });
+        }
       }
     }
 
+    return limits;
+  }
+
+  /**
+   * Scan for secrets in file content
+   * @param {Object} file - File object
+   * @returns {Object} Security scan results
+   */
+  async scanForSecrets(file) {
+    const warnings = this.secretScanner.scan(file).map(finding =>
+      `Potential secret detected in ${file.path} (line ${finding.line}, column ${finding.column}): ` +
+      `${finding.name} [sha256:${finding.fingerprint}]`
+    );
+
     return { warnings };
   }
 
   /**
    * Check for path traversal vulnerabilities
+   * Markdown is only checked inside code; module imports are ignored.
    * @param {Object} file - File object
    * @returns {Object} Path traversal check results
    */
   async checkPathTraversal(file) {
     const warnings = [];
+    const content = file.content || '';
+    const searchable = this.isMarkdownFile(file.path) ? this.extractMarkdownCode(content) : content;
 
-    if (file.content.includes('../') || file.content.includes('..\\')) {
-      warnings.push(`Potential path traversal detected in ${file.path}`);
-    }
+    searchable.split('\n').forEach((line, index) => {
+      const column = line.search(/\.\.[/\\]/);
+
+      if (column !== -1 && !/^\s*import\b|\bfrom\s+['"]|\brequire\s*\(\s*['"]/.test(line)) {
+        warnings.push(`Potential path traversal detected in ${file.path} (line ${index + 1}, column ${column + 1})`);
+      }
+    });
 
     return { warnings };
   }
 
+  /**
+   * Blank out markdown prose, keeping fenced and inline code at their original positions
+   * @param {string} content - Markdown content
+   * @returns {string} Code-only content with the same line layout
+   */
+  extractMarkdownCode(content) {
+    let inFence = false;
+
+    return content.split('\n').map(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return '';
+      }
+
+      if (inFence) {
+        return line;
+      }
+
+      return line.replace(/`[^`]+`|[\s\S]/g, match => match.length > 1 ? match : ' ');
+    }).join('\n');
+  }
+
   /**
    * Validate file size
    * @param {Object} file - File object
    * @returns {Object} File size validation results
    */
   async validateFileSize(file) {
-    const maxSize = 5242880; // 5MB
+    const maxSize = this.settings.maxFileSize;
     const validation = { valid: true, warnings: [] };
 
     if (file.size > maxSize) {
@@ -600,11 +1068,41 @@ export class ValidationEngine {
     return !content.includes('<!DOCTYPE') && content.includes('<html');
   }
 
+  /**
+   * Get the 1-based line number of a character offset
+   * @param {string} content - Text
+   * @param {number} index - Character offset
+   * @returns {number} Line number
+   */
+  getLineNumber(content, index) {
+    return content.slice(0, index).split('\n').length;
+  }
+
+  /**
+   * Describe a character offset as "line N, column M"
+   * @param {string} content - Text
+   * @param {number} index - Character offset
+   * @returns {string} Location description
+   */
+  describePosition(content, index) {
+    const lines = content.slice(0, index).split('\n');
+    return `line ${lines.length}, column ${lines[lines.length - 1].length + 1}`;
+  }
+
   isCodeFile(filePath) {
     const codeExtensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.go', '.rs'];
     return codeExtensions.includes(path.extname(filePath));
   }
 
+  /**
+   * Check whether a path is a markdown document
+   * @param {string} filePath - File path
+   * @returns {boolean} True for .md, .markdown and .mdx files
+   */
+  isMarkdownFile(filePath) {
+    return ['.md', '.markdown', '.mdx'].includes(path.extname(filePath).toLowerCase());
+  }
+
   isDocumentationFile(filePath) {
     const docExtensions = ['.md', '.txt', '.rst'];
     const fileName = path.basename(filePath).toLowerCase();
@@ -624,7 +1122,7 @@ export class ValidationEngine {
   extractAllFilesFromStructure(filesStructure) {
     const allFiles = [];
     
-    for (const [directory, dirInfo] of Object.entries(filesStructure)) {
+    for (const dirInfo of Object.values(filesStructure)) {
       if (dirInfo && dirInfo.files && Array.isArray(dirInfo.files)) {
         allFiles.push(...dirInfo.files);
       }
@@ -636,7 +1134,7 @@ export class ValidationEngine {
   assessCodeQuality(codeFiles) {
     // Simple heuristics for code quality
     let qualityScore = 0;
-    let totalFiles = codeFiles.length;
+    const totalFiles = codeFiles.length;
 
     for (const file of codeFiles) {
       let fileScore = 0.5; // Base score
@@ -685,6 +1183,10 @@ export class ValidationEngine {
       };
     }
 
+    if (!this.settings.enableSecurityScan) {
+      return { passed: true, issues };
+    }
+
     // Extract all files from the directory structure
     const allFiles = this.extractAllFilesFromStructure(filesStructure);
 
@@ -717,6 +1219,10 @@ export class ValidationEngine {
       };
     }
 
+    if (!this.settings.enablePerformanceCheck) {
+      return { passed: true, issues };
+    }
+
     // Extract all files from the directory structure
     const allFiles = this.extractAllFilesFromStructure(filesStructure);
 
@@ -733,39 +1239,965 @@ export class ValidationEngine {
     };
   }
 
-  async validateGeneratedFiles(outputPath) {
-    // This method would validate files that have been written to disk
-    // Implementation would depend on the specific validation requirements
-    return { valid: true, errors: [], warnings: [] };
+  /**
+   * Validate a prompt suite that has been written to disk
+   * Compares the output directory against qoder-manifest.json and runs every
+   * file-level rule against each file found.
+   * @param {string} outputPath - Directory containing the generated suite
+   * @param {Object} [options] - publicKey: Ed25519 public key (PEM); when given,
+   *   unsigned suites and suites not signed with this key fail validation
+   * @returns {Object} Validation results
+   */
+  async validateGeneratedFiles(outputPath, options = {}) {
+    const result = {
+      valid: true,
+      outputPath,
+      fileCount: 0,
+      errors: [],
+      warnings: [],
+      missing: [],
+      extra: [],
+      modified: [],
+      files: [],
+      findings: []
+    };
+
+    if (!(await fs.pathExists(outputPath))) {
+      result.valid = false;
+      this.addFinding(result, this.createFinding('manifest', 'error', null, `Output directory not found: ${outputPath}`));
+      return result;
+    }
+
+    const diskFiles = await this.listSuiteFiles(outputPath);
+    const manifest = await this.readManifest(outputPath);
+
+    if (manifest) {
+      await this.compareWithManifest(outputPath, manifest, diskFiles, result);
+    } else {
+      this.addFinding(result, this.createFinding('manifest', 'error', MANIFEST_FILE, `Manifest not found: ${MANIFEST_FILE}`));
+    }
+
+    // Refuse unsigned suites, or suites not signed by the given key
+    if (options.publicKey && manifest) {
+      const signature = await this.suiteSigner.verifySuite(outputPath, options.publicKey);
+      result.signature = signature;
+      if (!signature.valid) {
+        this.addFinding(result, this.createFinding('signature', 'error', SIGNATURE_FILE, signature.error));
+      }
+    }
+
+    const limits = this.checkFileLimits(diskFiles);
+    for (const message of limits.errors) {
+      this.addFinding(result, this.createFinding('file-limits', 'error', null, message));
+    }
+    for (const warning of limits.warnings) {
+      this.addFinding(result, this.createFinding('file-limits', 'warning', warning.path, warning.message));
+    }
+
+    const files = [];
+    for (const relativePath of diskFiles) {
+      const file = await this.loadSuiteFile(outputPath, relativePath);
+      const fileResult = await this.runFileRules(file);
+
+      result.files.push(fileResult);
+      result.errors.push(...fileResult.errors);
+      result.warnings.push(...fileResult.warnings);
+      result.findings.push(...fileResult.findings);
+      files.push(file);
+    }
+
+    const memoryCheck = await this.estimateMemoryUsage(files);
+    for (const message of memoryCheck.warnings || []) {
+      this.addFinding(result, this.createFinding('memory-usage', 'warning', null, message));
+    }
+
+    result.fileCount = diskFiles.length;
+    result.valid = result.errors.length === 0;
+
+    this.logger.debug('Suite validation completed', {
+      outputPath,
+      fileCount: result.fileCount,
+      errors: result.errors.length,
+      warnings: result.warnings.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Read the manifest of a generated suite
+   * @param {string} outputPath - Suite directory
+   * @returns {Object|null} Parsed manifest, or null when absent
+   */
+  async readManifest(outputPath) {
+    const manifestPath = path.join(outputPath, MANIFEST_FILE);
+
+    if (!(await fs.pathExists(manifestPath))) {
+      return null;
+    }
+
+    return fs.readJson(manifestPath);
   }
 
-  async validateTemplateCompleteness(template) {
-    // Validate that templates have all required sections
-    return { valid: true, errors: [] };
+  /**
+   * List suite files on disk, relative to the suite directory
+   * @param {string} outputPath - Suite directory
+   * @returns {Array} Relative POSIX paths
+   */
+  async listSuiteFiles(outputPath) {
+    const files = await glob('**/*', {
+      cwd: outputPath,
+      nodir: true,
+      dot: true,
+      posix: true,
+      ignore: [`${PRISTINE_DIR}/**`, `${ROLLBACK_DIR}/**`]
+    });
+
+    return files
+      .filter(file => !GENERATOR_ARTIFACTS.includes(file) && !/\.backup\./.test(file))
+      .sort();
   }
 
-  async validateDependencies(file) {
-    // Validate package.json or other dependency files
-    return { valid: true, errors: [] };
+  /**
+   * Flatten manifest entries into a map keyed by path relative to the suite directory
+   * @param {Object} manifest - Suite manifest
+   * @returns {Map} Relative path to manifest entry
+   */
+  getManifestEntries(manifest) {
+    const entries = new Map();
+
+    for (const info of Object.values(manifest.structure || {})) {
+      for (const entry of info.files || []) {
+        // File paths are relative to the suite root, as written by FileGenerator
+        entries.set(path.posix.normalize(entry.path), entry);
+      }
+    }
+
+    return entries;
   }
 
-  async checkInjectionVulnerabilities(file) {
-    // Check for potential injection vulnerabilities
-    return { warnings: [] };
+  /**
+   * Report missing, extra and modified files against the manifest
+   * @param {string} outputPath - Suite directory
+   * @param {Object} manifest - Suite manifest
+   * @param {Array} diskFiles - Relative paths found on disk
+   * @param {Object} result - Validation result to update
+   */
+  async compareWithManifest(outputPath, manifest, diskFiles, result) {
+    const entries = this.getManifestEntries(manifest);
+    const onDisk = new Set(diskFiles);
+
+    for (const [relativePath, entry] of entries) {
+      if (!onDisk.has(relativePath)) {
+        result.missing.push(relativePath);
+        this.addFinding(result, this.createFinding('manifest', 'error', relativePath, `Missing file: ${relativePath}`));
+        continue;
+      }
+
+      if (await this.isModified(path.join(outputPath, relativePath), entry)) {
+        result.modified.push(relativePath);
+        this.addFinding(result, this.createFinding('manifest', 'error', relativePath, `Modified file: ${relativePath}`));
+      }
+    }
+
+    for (const relativePath of diskFiles) {
+      if (!entries.has(relativePath)) {
+        result.extra.push(relativePath);
+        this.addFinding(result, this.createFinding('manifest', 'warning', relativePath, `Extra file not in manifest: ${relativePath}`));
+      }
+    }
   }
 
-  async validateFilePermissions(file) {
-    // Validate file permissions are secure
-    return { valid: true, warnings: [] };
+  /**
+   * Check whether a file differs from its manifest entry
+   * @param {string} filePath - Absolute file path
+   * @param {Object} entry - Manifest entry
+   * @returns {boolean} Whether the file was modified
+   */
+  async isModified(filePath, entry) {
+    if (entry.sha256) {
+      const content = await fs.readFile(filePath);
+      // Files merged with hand edits were written with different content than generated
+      return createHash('sha256').update(content).digest('hex') !== (entry.mergedSha256 || entry.sha256);
+    }
+
+    if (typeof entry.size === 'number') {
+      const stats = await fs.stat(filePath);
+      return stats.size !== entry.size;
+    }
+
+    return false;
   }
 
-  async validateComplexity(file) {
-    // Validate code complexity metrics
-    return { valid: true, warnings: [] };
+  /**
+   * Verify a generated suite against the checksums and provenance in its manifest
+   * Missing and tampered files fail verification; files whose template changed in the
+   * library since generation are reported as stale, with the change that would regenerate them.
+   * @param {string} outputPath - Suite directory
+   * @param {Object} [options] - templateEngine: loaded engine used to detect stale files;
+   *   publicKey: Ed25519 public key (PEM) the suite must be signed with
+   * @returns {Object} Verification result
+   */
+  async verifySuite(outputPath, options = {}) {
+    const result = {
+      valid: true,
+      outputPath,
+      inputHash: null,
+      files: [],
+      tampered: [],
+      missing: [],
+      stale: [],
+      extra: [],
+      errors: [],
+      warnings: []
+    };
+
+    const manifest = (await fs.pathExists(outputPath)) ? await this.readManifest(outputPath) : null;
+    if (!manifest) {
+      result.valid = false;
+      result.errors.push(`Manifest not found: ${path.join(outputPath, MANIFEST_FILE)}`);
+      return result;
+    }
+
+    result.inputHash = manifest.inputHash ?? null;
+    const onDisk = new Set(await this.listSuiteFiles(outputPath));
+    const entries = this.getManifestEntries(manifest);
+
+    for (const [relativePath, entry] of entries) {
+      const fileResult = { path: relativePath, template: entry.template ?? null, status: 'ok', reason: null };
+
+      if (!onDisk.has(relativePath)) {
+        fileResult.status = 'missing';
+        result.missing.push(relativePath);
+        result.errors.push(`Missing file: ${relativePath}`);
+      } else if (!entry.sha256) {
+        result.warnings.push(`No checksum recorded, cannot verify: ${relativePath}`);
+      } else if (await this.isModified(path.join(outputPath, relativePath), entry)) {
+        fileResult.status = 'tampered';
+        result.tampered.push(relativePath);
+        result.errors.push(`Tampered file: ${relativePath} (content does not match the manifest checksum)`);
+      }
+
+      const staleReason = options.templateEngine ? this.explainStaleTemplate(entry, options.templateEngine) : null;
+      if (staleReason) {
+        fileResult.reason = staleReason;
+        if (fileResult.status === 'ok') {
+          fileResult.status = 'stale';
+        }
+        result.stale.push(relativePath);
+        result.warnings.push(`Stale file: ${relativePath}: ${staleReason}`);
+      }
+
+      result.files.push(fileResult);
+    }
+
+    for (const relativePath of onDisk) {
+      if (!entries.has(relativePath)) {
+        result.extra.push(relativePath);
+        result.warnings.push(`Extra file not in manifest: ${relativePath}`);
+      }
+    }
+
+    if (options.publicKey) {
+      result.signature = await this.suiteSigner.verifySuite(outputPath, options.publicKey);
+      if (!result.signature.valid) {
+        result.errors.push(result.signature.error);
+      }
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
   }
 
-  async estimateMemoryUsage(files) {
-    // Estimate memory usage of generated code
-    return { valid: true, warnings: [] };
+  /**
+   * Explain why a file's template no longer matches the one it was generated from
+   * @param {Object} entry - Manifest entry
+   * @param {Object} templateEngine - Loaded template engine
+   * @returns {string|null} Explanation, or null when the template is unchanged or untracked
+   */
+  explainStaleTemplate(entry, templateEngine) {
+    if (!entry.template || !entry.templateHash) {
+      return null;
+    }
+
+    const template = templateEngine.getTemplate(entry.template);
+    if (!template) {
+      return `template ${entry.template} is no longer in the template library`;
+    }
+
+    if (templateEngine.getTemplateHash(template) === entry.templateHash) {
+      return null;
+    }
+
+    const currentVersion = template.metadata?.version ?? null;
+    const version = currentVersion !== entry.templateVersion
+      ? ` (version ${entry.templateVersion ?? 'unversioned'} -> ${currentVersion ?? 'unversioned'})`
+      : '';
+
+    return `template ${entry.template} (templates/${template.path}) changed since generation${version}; regenerate to apply it`;
+  }
+
+  /**
+   * Load a suite file from disk into the file object shape used by the rules
+   * @param {string} outputPath - Suite directory
+   * @param {string} relativePath - Path relative to the suite directory
+   * @returns {Object} File object
+   */
+  async loadSuiteFile(outputPath, relativePath) {
+    const absolutePath = path.join(outputPath, relativePath);
+    const [content, stats] = await Promise.all([
+      fs.readFile(absolutePath, 'utf8'),
+      fs.stat(absolutePath)
+    ]);
+
+    return {
+      path: relativePath,
+      absolutePath,
+      content,
+      size: stats.size,
+      mode: stats.mode
+    };
+  }
+
+  /**
+   * Run the file-level rules that apply to a file
+   * @param {Object} file - File object
+   * @param {Array} [ruleIds] - Rules to run; every rule when omitted
+   * @returns {Object} File validation results
+   */
+  async runFileRules(file, ruleIds) {
+    const fileResult = { path: file.path, valid: true, errors: [], warnings: [], findings: [] };
+    const rules = this.resolveRules(ruleIds);
+
+    for (const [id, rule] of rules) {
+      if (rule.scope === 'suite' || !this.isRuleEnabled(id) || !this.ruleAppliesTo(rule, file.path)) {
+        continue;
+      }
+
+      try {
+        const outcome = (await rule.validate(file)) || {};
+        for (const message of outcome.errors || []) {
+          this.addFinding(fileResult, this.createFinding(id, 'error', file.path, message), this.formatFileIssue(id, file, message));
+        }
+        for (const message of outcome.warnings || []) {
+          this.addFinding(fileResult, this.createFinding(id, 'warning', file.path, message), this.formatFileIssue(id, file, message));
+        }
+      } catch (error) {
+        const message = `Rule failed: ${error.message}`;
+        this.addFinding(fileResult, this.createFinding(id, 'warning', file.path, message), this.formatFileIssue(id, file, message));
+      }
+    }
+
+    fileResult.valid = fileResult.errors.length === 0;
+    return fileResult;
+  }
+
+  /**
+   * Check whether a rule is switched on by the enable* validation settings
+   * @param {string} id - Rule ID
+   * @returns {boolean} Whether the rule should run
+   */
+  isRuleEnabled(id) {
+    if (id === 'syntax-check') {
+      return this.settings.enableSyntaxCheck;
+    }
+    if (this.securityRules.has(id)) {
+      return this.settings.enableSecurityScan;
+    }
+    if (this.performanceRules.has(id)) {
+      return this.settings.enablePerformanceCheck;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a rule applies to a file path
+   * @param {Object} rule - Validation rule
+   * @param {string} filePath - File path
+   * @returns {boolean} Whether the rule applies
+   */
+  ruleAppliesTo(rule, filePath) {
+    if (!rule.fileTypes || rule.fileTypes.includes('*')) {
+      return true;
+    }
+
+    return rule.fileTypes.some(type => type.startsWith('.')
+      ? path.extname(filePath) === type
+      : path.basename(filePath) === type);
+  }
+
+  /**
+   * Format a rule message for a file
+   * @param {string} ruleId - Rule ID
+   * @param {Object} file - File object
+   * @param {string} message - Rule message
+   * @returns {string} Formatted message
+   */
+  formatFileIssue(ruleId, file, message) {
+    const text = message.includes(file.path) ? message : `${file.path}: ${message}`;
+    return `[${ruleId}] ${text}`;
+  }
+
+  /**
+   * Create a structured finding for machine-readable reports
+   * Line and column are taken from "line N" / "line N, column M" in the message.
+   * @param {string} ruleId - Rule ID
+   * @param {string} severity - 'error' or 'warning'
+   * @param {string|null} filePath - File path relative to the suite, if any
+   * @param {string} message - Rule message
+   * @returns {Object} Finding
+   */
+  createFinding(ruleId, severity, filePath, message) {
+    const location = message.match(/\bline (\d+)(?:, column (\d+))?/i);
+
+    return {
+      ruleId,
+      severity,
+      path: filePath || null,
+      line: location ? Number(location[1]) : null,
+      column: location?.[2] ? Number(location[2]) : null,
+      message
+    };
+  }
+
+  /**
+   * Record a finding and its display message on a validation result
+   * @param {Object} result - Validation result with errors, warnings and findings
+   * @param {Object} finding - Finding
+   * @param {string} [text] - Display message, defaults to the finding message
+   */
+  addFinding(result, finding, text = finding.message) {
+    result.findings.push(finding);
+    (finding.severity === 'error' ? result.errors : result.warnings).push(text);
+  }
+
+  /**
+   * Validate OpenAPI/Swagger documents; other JSON/YAML files are ignored
+   * @param {Object} file - File object
+   * @returns {Object} Validation results
+   */
+  async validateApiSpec(file) {
+    const validation = { valid: true, errors: [], warnings: [] };
+    let spec;
+
+    try {
+      spec = path.extname(file.path) === '.json' ? JSON.parse(file.content) : yaml.parse(file.content);
+    } catch {
+      // Unparseable documents are reported by syntax-check
+      return validation;
+    }
+
+    if (!spec || typeof spec !== 'object' || !(spec.openapi || spec.swagger)) {
+      return validation;
+    }
+
+    if (spec.openapi && !/^3\.\d+\.\d+$/.test(String(spec.openapi))) {
+      validation.warnings.push(`Unsupported OpenAPI version: ${spec.openapi}`);
+    }
+
+    if (!spec.info?.title) {
+      validation.errors.push('API spec is missing info.title');
+    }
+
+    if (!spec.info?.version) {
+      validation.errors.push('API spec is missing info.version');
+    }
+
+    const paths = spec.paths || {};
+    if (Object.keys(paths).length === 0) {
+      validation.warnings.push('API spec defines no paths');
+    }
+
+    const operationIds = new Set();
+    const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+    for (const [route, item] of Object.entries(paths)) {
+      for (const method of methods.filter(name => item?.[name])) {
+        const operation = item[method];
+
+        if (!operation.responses || Object.keys(operation.responses).length === 0) {
+          validation.errors.push(`${method.toUpperCase()} ${route} defines no responses`);
+        }
+
+        if (operation.operationId && operationIds.has(operation.operationId)) {
+          validation.errors.push(`Duplicate operationId: ${operation.operationId}`);
+        }
+        operationIds.add(operation.operationId);
+      }
+    }
+
+    validation.valid = validation.errors.length === 0;
+    return validation;
+  }
+
+  /**
+   * Check HTML pages for essential SEO markup
+   * @param {Object} file - File object
+   * @returns {Object} Validation results
+   */
+  async validateSeo(file) {
+    const content = file.content || '';
+    const warnings = [];
+
+    if (!/<title>\s*[^<\s][^<]*<\/title>/i.test(content)) {
+      warnings.push('Missing or empty <title>');
+    }
+
+    if (!/<meta\s[^>]*name=["']description["'][^>]*content=["'][^"']+["']/i.test(content)) {
+      warnings.push('Missing meta description');
+    }
+
+    if (!/<meta\s[^>]*name=["']viewport["']/i.test(content)) {
+      warnings.push('Missing viewport meta tag');
+    }
+
+    if (/<html\b/i.test(content) && !/<html\b[^>]*\blang=/i.test(content)) {
+      warnings.push('Missing lang attribute on <html>');
+    }
+
+    const headingCount = (content.match(/<h1\b/gi) || []).length;
+    if (headingCount !== 1) {
+      warnings.push(`Expected exactly one <h1>, found ${headingCount}`);
+    }
+
+    const imagesWithoutAlt = (content.match(/<img\b(?![^>]*\balt=)[^>]*>/gi) || []).length;
+    if (imagesWithoutAlt > 0) {
+      warnings.push(`${imagesWithoutAlt} image(s) without alt text`);
+    }
+
+    return { valid: true, warnings };
+  }
+
+  /**
+   * Validate that a template or prompt contains its required sections and
+   * that every Mustache section it opens is closed
+   * @param {Object} template - Template or file object
+   * @returns {Object} Validation results
+   */
+  async validateTemplateCompleteness(template) {
+    const validation = { valid: true, errors: [], warnings: [] };
+    const content = template.content || '';
+    const rule = this.validationRules.get('template-completeness');
+    const requiredSections = rule?.requiredSections || REQUIRED_PROMPT_SECTIONS;
+
+    if (/^#\s.*AI Generation Prompt/m.test(content)) {
+      const headings = content.match(/^#{1,6}\s+.*$/gm) || [];
+
+      for (const section of requiredSections) {
+        if (!headings.some(heading => heading.includes(section))) {
+          validation.errors.push(`Missing required section: ${section}`);
+        }
+      }
+    }
+
+    const openSections = [];
+    for (const match of content.matchAll(/\{\{\s*([#^/])\s*([^\s}]+)[^}]*\}\}/g)) {
+      const [, type, name] = match;
+
+      if (type !== '/') {
+        openSections.push(name);
+      } else if (openSections[openSections.length - 1] === name) {
+        openSections.pop();
+      } else {
+        validation.errors.push(`Unexpected closing section: ${name}`);
+      }
+    }
+
+    for (const name of openSections) {
+      validation.errors.push(`Unclosed section: ${name}`);
+    }
+
+    validation.valid = validation.errors.length === 0;
+    return validation;
+  }
+
+  /**
+   * Validate dependency manifests for unpinned and conflicting versions
+   * @param {Object} file - package.json, requirements.txt or pom.xml file
+   * @returns {Object} Validation results
+   */
+  async validateDependencies(file) {
+    const validation = { valid: true, errors: [], warnings: [] };
+    const fileName = path.basename(file.path);
+
+    try {
+      if (fileName === 'package.json') {
+        this.checkPackageJsonDependencies(JSON.parse(file.content), validation);
+      } else if (fileName === 'requirements.txt') {
+        this.checkRequirementsDependencies(file.content, validation);
+      } else if (fileName === 'pom.xml') {
+        this.checkPomDependencies(file.content, validation);
+      }
+    } catch (error) {
+      validation.errors.push(`Unable to parse ${fileName}: ${error.message}`);
+    }
+
+    validation.valid = validation.errors.length === 0;
+    return validation;
+  }
+
+  /**
+   * Check package.json dependency fields
+   * @param {Object} manifest - Parsed package.json
+   * @param {Object} validation - Validation results to update
+   */
+  checkPackageJsonDependencies(manifest, validation) {
+    const seen = new Map();
+
+    for (const field of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']) {
+      for (const [name, version] of Object.entries(manifest[field] || {})) {
+        if (this.isUnpinnedNpmVersion(version)) {
+          validation.warnings.push(`Unpinned version for ${name} in ${field}: "${version}"`);
+        }
+
+        // Peer ranges legitimately differ from the installed version
+        if (field === 'peerDependencies') {
+          continue;
+        }
+
+        const previous = seen.get(name);
+        if (previous && previous.version !== version) {
+          validation.errors.push(
+            `Conflicting versions for ${name}: "${previous.version}" in ${previous.field}, "${version}" in ${field}`
+          );
+        } else if (!previous) {
+          seen.set(name, { field, version });
+        }
+      }
+    }
+  }
+
+  /**
+   * Check requirements.txt entries
+   * @param {string} content - File content
+   * @param {Object} validation - Validation results to update
+   */
+  checkRequirementsDependencies(content, validation) {
+    const seen = new Map();
+
+    content.split('\n').forEach((rawLine, index) => {
+      const line = rawLine.replace(/\s+#.*$/, '').trim();
+      if (!line || line.startsWith('#') || line.startsWith('-')) {
+        return;
+      }
+
+      const match = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*(.*)$/);
+      if (!match) {
+        return;
+      }
+
+      const [, packageName, , rest] = match;
+      const spec = rest.split(';')[0].replace(/\s+/g, '');
+      const key = packageName.toLowerCase().replace(/[-_.]+/g, '-');
+      const lineNumber = index + 1;
+
+      if (!spec.startsWith('@') && !/==|~=|</.test(spec)) {
+        validation.warnings.push(`Line ${lineNumber}: unpinned requirement ${packageName}${spec ? ` (${spec})` : ''}`);
+      }
+
+      const previous = seen.get(key);
+      if (previous && previous.spec !== spec) {
+        validation.errors.push(
+          `Line ${lineNumber}: conflicting requirement for ${packageName}: "${previous.spec}" on line ${previous.line}, "${spec}"`
+        );
+      } else if (!previous) {
+        seen.set(key, { spec, line: lineNumber });
+      }
+    });
+  }
+
+  /**
+   * Check pom.xml dependencies
+   * @param {string} content - File content
+   * @param {Object} validation - Validation results to update
+   */
+  checkPomDependencies(content, validation) {
+    const seen = new Map();
+
+    for (const [, block] of content.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+      const read = (tag) => (block.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`)) || [])[1];
+      const id = `${read('groupId')}:${read('artifactId')}`;
+      const version = read('version');
+
+      // Versions may be managed by a parent POM or dependencyManagement
+      if (!version) {
+        continue;
+      }
+
+      if (['LATEST', 'RELEASE'].includes(version) || /,\s*\)$/.test(version)) {
+        validation.warnings.push(`Unpinned version for ${id}: "${version}"`);
+      }
+
+      const previous = seen.get(id);
+      if (previous && previous !== version) {
+        validation.errors.push(`Conflicting versions for ${id}: "${previous}" and "${version}"`);
+      } else if (!previous) {
+        seen.set(id, version);
+      }
+    }
+  }
+
+  /**
+   * Check whether an npm version specifier floats without an upper bound
+   * @param {string} version - Version specifier
+   * @returns {boolean} Whether the version is unpinned
+   */
+  isUnpinnedNpmVersion(version) {
+    const spec = String(version).trim();
+
+    if (['', '*', 'x', 'X', 'latest', 'next'].includes(spec)) {
+      return true;
+    }
+
+    return /^>=?\s*\d/.test(spec) && !spec.includes('<');
+  }
+
+  /**
+   * Scan generated code for injection sinks
+   * @param {Object} file - File object
+   * @returns {Object} Injection check results
+   */
+  async checkInjectionVulnerabilities(file) {
+    const warnings = [];
+    const lines = (file.content || '').split('\n');
+
+    lines.forEach((line, index) => {
+      for (const { pattern, message } of INJECTION_PATTERNS) {
+        if (pattern.test(line)) {
+          warnings.push(`Potential injection sink in ${file.path} (line ${index + 1}): ${message}`);
+        }
+      }
+    });
+
+    return { warnings };
+  }
+
+  /**
+   * Validate file permissions are secure
+   * @param {Object} file - File object with a numeric mode or octal permissions string
+   * @returns {Object} Permission check results
+   */
+  async validateFilePermissions(file) {
+    const validation = { valid: true, warnings: [] };
+    const mode = typeof file.mode === 'number'
+      ? file.mode
+      : (file.permissions ? parseInt(file.permissions, 8) : undefined);
+
+    if (mode === undefined || Number.isNaN(mode) || process.platform === 'win32') {
+      return validation;
+    }
+
+    const octal = (mode & 0o7777).toString(8).padStart(4, '0');
+
+    if (mode & 0o002) {
+      validation.valid = false;
+      validation.warnings.push(`${file.path} is world-writable (${octal})`);
+    }
+
+    if (mode & 0o6000) {
+      validation.valid = false;
+      validation.warnings.push(`${file.path} has setuid/setgid bits set (${octal})`);
+    }
+
+    if ((mode & 0o111) && !this.isScriptFile(file.path)) {
+      validation.warnings.push(`${file.path} is executable but is not a script (${octal})`);
+    }
+
+    return validation;
+  }
+
+  /**
+   * Validate cyclomatic complexity of each function against the configured limit
+   * @param {Object} file - File object
+   * @returns {Object} Complexity validation results
+   */
+  async validateComplexity(file) {
+    const limit = this.performanceRules.get('complexity-check')?.limits.cyclomaticComplexity ?? 10;
+    const functions = this.calculateComplexity(file.content || '');
+    const warnings = functions
+      .filter(fn => fn.complexity > limit)
+      .map(fn => `Function ${fn.name} in ${file.path} (line ${fn.line}) has cyclomatic complexity ${fn.complexity} (limit ${limit})`);
+
+    return { valid: warnings.length === 0, warnings, metrics: { functions } };
+  }
+
+  /**
+   * Calculate cyclomatic complexity for every function in JavaScript/TypeScript source
+   * @param {string} content - Source code
+   * @returns {Array} Functions with name, line and complexity
+   */
+  calculateComplexity(content) {
+    const code = this.stripCommentsAndStrings(content);
+    const functions = this.findFunctions(code);
+
+    return functions.map(fn => {
+      const nested = functions.filter(other => other !== fn && other.start > fn.start && other.end <= fn.end);
+      let decisions = 0;
+
+      for (const match of code.slice(fn.start, fn.end + 1).matchAll(DECISION_PATTERN)) {
+        const position = fn.start + match.index;
+        if (!nested.some(other => position >= other.start && position <= other.end)) {
+          decisions++;
+        }
+      }
+
+      return { name: fn.name, line: fn.line, complexity: decisions + 1 };
+    });
+  }
+
+  /**
+   * Locate function bodies in comment- and string-free source
+   * @param {string} code - Sanitized source code
+   * @returns {Array} Functions with name, line and body range
+   */
+  findFunctions(code) {
+    const heads = [
+      /\bfunction\b\s*\*?\s*([A-Za-z_$][\w$]*)?\s*\([^)]*\)\s*\{/g,
+      /(?:([A-Za-z_$][\w$]*)\s*[=:]\s*)?(?:async\s+)?(?:\([^()]*\)|[A-Za-z_$][\w$]*)\s*=>\s*\{/g,
+      /^[ \t]*(?:(?:static|async|get|set|public|private|protected)\s+)*([A-Za-z_$][\w$]*)\s*\([^()]*\)\s*\{/gm
+    ];
+    const keywords = ['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'with'];
+    const functions = new Map();
+
+    for (const head of heads) {
+      for (const match of code.matchAll(head)) {
+        const name = match[1];
+        const start = match.index + match[0].length - 1;
+
+        if (keywords.includes(name) || functions.has(start)) {
+          continue;
+        }
+
+        functions.set(start, {
+          name: name || '<anonymous>',
+          line: code.slice(0, match.index + match[0].search(/\S/)).split('\n').length,
+          start,
+          end: this.findClosingBrace(code, start)
+        });
+      }
+    }
+
+    return [...functions.values()].sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find the brace that closes the block opened at a position
+   * @param {string} code - Sanitized source code
+   * @param {number} open - Index of the opening brace
+   * @returns {number} Index of the closing brace
+   */
+  findClosingBrace(code, open) {
+    let depth = 0;
+
+    for (let i = open; i < code.length; i++) {
+      if (code[i] === '{') {
+        depth++;
+      } else if (code[i] === '}' && --depth === 0) {
+        return i;
+      }
+    }
+
+    return code.length - 1;
+  }
+
+  /**
+   * Blank out comments and string literals, preserving offsets and line breaks
+   * @param {string} content - Source code
+   * @returns {string} Sanitized source code
+   */
+  stripCommentsAndStrings(content) {
+    const blank = (text) => text.replace(/[^\n]/g, ' ');
+    let result = '';
+    let i = 0;
+
+    while (i < content.length) {
+      const char = content[i];
+      const next = content[i + 1];
+      let stop = i + 1;
+
+      if (char === '/' && next === '/') {
+        stop = content.indexOf('\n', i);
+        stop = stop === -1 ? content.length : stop;
+      } else if (char === '/' && next === '*') {
+        stop = content.indexOf('*/', i + 2);
+        stop = stop === -1 ? content.length : stop + 2;
+      } else if (char === '"' || char === '\'' || char === '`') {
+        stop = i + 1;
+        while (stop < content.length && content[stop] !== char && (char === '`' || content[stop] !== '\n')) {
+          stop += content[stop] === '\\' ? 2 : 1;
+        }
+        stop = Math.min(stop + 1, content.length);
+      } else {
+        result += char;
+        i++;
+        continue;
+      }
+
+      result += blank(content.slice(i, stop));
+      i = stop;
+    }
+
+    return result;
+  }
+
+  /**
+   * Estimate memory usage of generated code
+   * @param {Array|Object} files - Generated files (or a single file)
+   * @returns {Object} Memory estimation results
+   */
+  async estimateMemoryUsage(files) {
+    const limit = this.performanceRules.get('memory-usage')?.limits.maxEstimatedUsage ?? 104857600;
+    const list = (Array.isArray(files) ? files : [files]).filter(file => file && typeof file.content === 'string');
+    let estimatedBytes = 0;
+
+    for (const file of list) {
+      if (this.isCodeFile(file.path)) {
+        estimatedBytes += Buffer.byteLength(file.content, 'utf8') * CODE_MEMORY_FACTOR;
+        estimatedBytes += this.estimateStaticAllocations(file.content);
+      }
+    }
+
+    const validation = { valid: estimatedBytes <= limit, warnings: [], estimatedBytes };
+
+    if (!validation.valid) {
+      validation.warnings.push(`Estimated memory usage ${estimatedBytes} bytes exceeds limit (${limit} bytes)`);
+    }
+
+    return validation;
+  }
+
+  /**
+   * Sum fixed-size buffer and array allocations with literal sizes
+   * @param {string} content - Source code
+   * @returns {number} Estimated bytes
+   */
+  estimateStaticAllocations(content) {
+    const size = (expression) => expression
+      .split('*')
+      .reduce((product, factor) => product * Number(factor.replace(/[_\s]/g, '')), 1);
+    let bytes = 0;
+
+    for (const match of content.matchAll(/\bnew\s+([A-Za-z0-9]+)\s*\(\s*(\d[\d_]*(?:\s*\*\s*\d[\d_]*)*)\s*\)/g)) {
+      if (TYPED_ARRAY_BYTES[match[1]]) {
+        bytes += size(match[2]) * TYPED_ARRAY_BYTES[match[1]];
+      }
+    }
+
+    for (const match of content.matchAll(/\bBuffer\.alloc(?:Unsafe)?\s*\(\s*(\d[\d_]*(?:\s*\*\s*\d[\d_]*)*)/g)) {
+      bytes += size(match[1]);
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Check if file is expected to be executable
+   * @param {string} filePath - File path
+   * @returns {boolean} Whether file is a script
+   */
+  isScriptFile(filePath) {
+    const scriptExtensions = ['.sh', '.bash', '.zsh', '.py', '.pl', '.rb'];
+    return scriptExtensions.includes(path.extname(filePath)) || filePath.split('/').includes('bin');
   }
 }
\ No newline at end of file
@@ -0,0 +1,239 @@
+/**
+ * Validation Reporter
+ * Converts suite validation results into machine-readable reports (JSON, SARIF, JUnit XML)
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit'];
+
+// GitHub code scanning reads numeric security severities from rule properties
+const SECURITY_SEVERITY = {
+  critical: '9.0',
+  high: '7.0',
+  medium: '5.0',
+  low: '3.0'
+};
+
+// Pseudo-rules for findings that do not come from a registered rule
+const BUILT_IN_RULES = {
+  'manifest': {
+    name: 'Manifest Check',
+    description: 'Compares the suite on disk with qoder-manifest.json'
+  },
+  'file-limits': {
+    name: 'File Limits',
+    description: 'Checks file count and file types against validation.maxFileCount and validation.allowedFileExtensions'
+  },
+  'signature': {
+    name: 'Suite Signature',
+    description: 'Checks the Ed25519 signature in qoder-manifest.sig against a trusted public key'
+  }
+};
+
+export class ValidationReporter {
+  constructor(options = {}) {
+    this.options = {
+      toolName: 'qoder-prompt',
+      toolVersion: '1.0.0',
+      informationUri: 'https://github.com/Kabi10/Qoder-Ai',
+      ...options
+    };
+  }
+
+  /**
+   * Format validation results
+   * @param {Object} result - Result of ValidationEngine.validateGeneratedFiles
+   * @param {string} format - 'json', 'sarif' or 'junit'
+   * @param {Object} rules - Rule catalog keyed by rule ID ({ name, description, severity })
+   * @returns {string} Report content
+   */
+  format(result, format, rules = {}) {
+    switch (format) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'sarif':
+      return JSON.stringify(this.toSarif(result, rules), null, 2);
+    case 'junit':
+      return this.toJUnit(result);
+    default:
+      throw new Error(`Unsupported report format: ${format}. Use one of: ${REPORT_FORMATS.filter(f => f !== 'text').join(', ')}`);
+    }
+  }
+
+  /**
+   * Build a SARIF 2.1.0 log
+   * @param {Object} result - Validation results
+   * @param {Object} rules - Rule catalog
+   * @returns {Object} SARIF log
+   */
+  toSarif(result, rules = {}) {
+    const findings = result.findings || [];
+    const ruleIds = [...new Set(findings.map(finding => finding.ruleId))].sort();
+    const ruleIndex = new Map(ruleIds.map((id, index) => [id, index]));
+
+    const run = {
+      tool: {
+        driver: {
+          name: this.options.toolName,
+          version: this.options.toolVersion,
+          informationUri: this.options.informationUri,
+          rules: ruleIds.map(id => this.describeSarifRule(id, rules[id] || BUILT_IN_RULES[id]))
+        }
+      },
+      results: findings.map(finding => this.toSarifResult(finding, ruleIndex.get(finding.ruleId)))
+    };
+
+    if (result.outputPath) {
+      const root = pathToFileURL(path.resolve(result.outputPath)).href;
+      run.originalUriBaseIds = { SUITEROOT: { uri: root.endsWith('/') ? root : `${root}/` } };
+    }
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [run]
+    };
+  }
+
+  /**
+   * Describe a rule for the SARIF tool driver
+   * @param {string} id - Rule ID
+   * @param {Object} [rule] - Rule metadata
+   * @returns {Object} SARIF reportingDescriptor
+   */
+  describeSarifRule(id, rule = {}) {
+    const descriptor = {
+      id,
+      name: rule.name || id,
+      shortDescription: { text: rule.name || id }
+    };
+
+    if (rule.description) {
+      descriptor.fullDescription = { text: rule.description };
+    }
+
+    if (SECURITY_SEVERITY[rule.severity]) {
+      descriptor.properties = {
+        'security-severity': SECURITY_SEVERITY[rule.severity],
+        tags: ['security']
+      };
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Convert a finding to a SARIF result
+   * @param {Object} finding - Finding
+   * @param {number} ruleIndex - Index of the rule in the driver rules
+   * @returns {Object} SARIF result
+   */
+  toSarifResult(finding, ruleIndex) {
+    const sarifResult = {
+      ruleId: finding.ruleId,
+      ruleIndex,
+      level: finding.severity === 'error' ? 'error' : 'warning',
+      message: { text: finding.message }
+    };
+
+    if (finding.path) {
+      const physicalLocation = {
+        artifactLocation: { uri: finding.path, uriBaseId: 'SUITEROOT' }
+      };
+
+      if (finding.line) {
+        physicalLocation.region = { startLine: finding.line };
+        if (finding.column) {
+          physicalLocation.region.startColumn = finding.column;
+        }
+      }
+
+      sarifResult.locations = [{ physicalLocation }];
+    }
+
+    return sarifResult;
+  }
+
+  /**
+   * Build a JUnit XML report with one test case per file
+   * Errors become failures; warnings are attached as system-out.
+   * @param {Object} result - Validation results
+   * @returns {string} JUnit XML
+   */
+  toJUnit(result) {
+    const cases = new Map();
+    const caseFor = (name) => {
+      if (!cases.has(name)) {
+        cases.set(name, { errors: [], warnings: [] });
+      }
+      return cases.get(name);
+    };
+
+    for (const file of result.files || []) {
+      caseFor(file.path);
+    }
+
+    for (const finding of result.findings || []) {
+      const testCase = caseFor(finding.path || '(suite)');
+      (finding.severity === 'error' ? testCase.errors : testCase.warnings).push(finding);
+    }
+
+    const failures = [...cases.values()].filter(testCase => testCase.errors.length > 0).length;
+    const suiteName = `${this.options.toolName} validate`;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${this.escapeXml(suiteName)}" tests="${cases.size}" failures="${failures}" errors="0">`,
+      `  <testsuite name="${this.escapeXml(result.outputPath || suiteName)}" tests="${cases.size}" failures="${failures}" errors="0" skipped="0">`
+    ];
+
+    for (const [name, testCase] of cases) {
+      lines.push(`    <testcase classname="${this.escapeXml(suiteName)}" name="${this.escapeXml(name)}">`);
+
+      if (testCase.errors.length > 0) {
+        const summary = `${testCase.errors.length} validation error(s)`;
+        lines.push(`      <failure message="${this.escapeXml(summary)}" type="validation">${this.escapeXml(this.describeFindings(testCase.errors))}</failure>`);
+      }
+
+      if (testCase.warnings.length > 0) {
+        lines.push(`      <system-out>${this.escapeXml(this.describeFindings(testCase.warnings))}</system-out>`);
+      }
+
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>', '</testsuites>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render findings as plain text lines
+   * @param {Array} findings - Findings
+   * @returns {string} Text
+   */
+  describeFindings(findings) {
+    return findings
+      .map(finding => {
+        const location = finding.line ? `:${finding.line}${finding.column ? `:${finding.column}` : ''}` : '';
+        return `[${finding.ruleId}] ${finding.path || ''}${location} ${finding.message}`.replace(/\s+/g, ' ').trim();
+      })
+      .join('\n');
+  }
+
+  /**
+   * Escape text for XML attributes and content
+   * @param {string} value - Text
+   * @returns {string} Escaped text
+   */
+  escapeXml(value) {
+    return String(value)
+      // Control characters other than tab and newlines are not valid XML
+      .replace(/[^\t\n\r\x20-\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
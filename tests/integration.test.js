@@ -86,6 +86,14 @@ describe('Universal Prompt Generator Integration Tests', () => {
       // Check that files were organized properly
       expect(promptSuite.files).toBeDefined();
       expect(typeof promptSuite.files).toBe('object');
+
+      // Check that the suite was written to the output path
+      expect(promptSuite.output.success).toBe(true);
+      expect(await fs.pathExists(path.join(testOutputDir, 'qoder-manifest.json'))).toBe(true);
+      expect(await fs.pathExists(path.join(testOutputDir, 'USAGE.md'))).toBe(true);
+      for (const file of promptSuite.output.generatedFiles) {
+        expect(await fs.pathExists(file)).toBe(true);
+      }
     });
 
     test('should include required files for web app', async () => {
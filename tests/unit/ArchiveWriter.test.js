@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for ArchiveWriter
+ * Tests zip and tar.gz archives by reading them back
+ */
+
+import { ArchiveWriter } from '../../src/output/ArchiveWriter.js';
+import zlib from 'zlib';
+
+// Read entries back from the zip central directory
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+
+  const entries = [];
+  let offset = archive.readUInt32LE(end + 16);
+  for (let i = 0; i < archive.readUInt16LE(end + 10); i++) {
+    const method = archive.readUInt16LE(offset + 10);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const body = archive.subarray(dataStart, dataStart + compressedSize);
+
+    entries.push({
+      path: name,
+      content: (method === 8 ? zlib.inflateRawSync(body) : body).toString('utf8'),
+      crc: archive.readUInt32LE(offset + 16),
+      mode: archive.readUInt32LE(offset + 38) >>> 16
+    });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+// Read entries back from ustar headers
+const readTar = (archive) => {
+  const tar = zlib.gunzipSync(archive);
+  const entries = [];
+  let offset = 0;
+
+  while (tar[offset] !== 0) {
+    const field = (start, length) => tar.toString('utf8', offset + start, offset + start + length).replace(/\0.*$/s, '');
+    const prefix = field(345, 155);
+    const size = parseInt(field(124, 12), 8);
+
+    entries.push({
+      path: prefix ? `${prefix}/${field(0, 100)}` : field(0, 100),
+      content: tar.toString('utf8', offset + 512, offset + 512 + size),
+      mode: parseInt(field(100, 8), 8)
+    });
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+
+  return entries;
+};
+
+describe('ArchiveWriter', () => {
+  let writer;
+
+  const entries = [
+    { path: 'suite/prompts/app.md', content: `# App\n\n${'Repeated line\n'.repeat(50)}` },
+    { path: 'suite/notes/日本語.md', content: 'x', mode: 0o600 },
+    { path: 'suite/empty.txt', content: '' }
+  ];
+
+  beforeEach(() => {
+    writer = new ArchiveWriter();
+  });
+
+  test('should write zip entries that read back with their content, checksum and mode', () => {
+    const zip = readZip(writer.createZip(entries));
+
+    expect(zip.map(entry => entry.path)).toEqual(entries.map(entry => entry.path));
+    expect(zip.map(entry => entry.content)).toEqual(entries.map(entry => entry.content));
+    expect(zip[0].crc).toBe(writer.crc32(Buffer.from(entries[0].content)));
+    expect(zip[1].mode & 0o777).toBe(0o600);
+    expect(zip[2].mode & 0o777).toBe(0o644);
+  });
+
+  test('should write tar.gz entries, splitting long paths into the ustar prefix', () => {
+    const longPath = `suite/${'nested/'.repeat(20)}prompt.md`;
+    const tar = readTar(writer.createTarGz([...entries, { path: longPath, content: 'deep' }]));
+
+    expect(tar.map(entry => entry.path)).toEqual([...entries.map(entry => entry.path), longPath]);
+    expect(tar.map(entry => entry.content)).toEqual([...entries.map(entry => entry.content), 'deep']);
+    expect(tar[1].mode).toBe(0o600);
+  });
+
+  test('should compute the standard CRC-32', () => {
+    expect(writer.crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+});
@@ -3,8 +3,11 @@
  * Tests category loading, configuration, and retrieval functionality
  */
 
-import { CategoryRegistry } from '../src/core/CategoryRegistry.js';
+import { CategoryRegistry } from '../../src/core/CategoryRegistry.js';
 import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
 
 describe('CategoryRegistry', () => {
   let categoryRegistry;
@@ -70,6 +73,32 @@ describe('CategoryRegistry', () => {
     });
   });
 
+  describe('Advertised Subcategories', () => {
+    const advertised = [
+      'web-app', 'mobile-app', 'desktop-app', 'cli-tool', 'browser-extension', 'pwa',
+      'landing-page', 'portfolio-site', 'blog-platform', 'e-commerce', 'documentation-site', 'corporate-website',
+      'rest-api', 'graphql-api', 'websocket-service', 'webhook-handler', 'auth-service', 'data-pipeline',
+      'web-game', 'mobile-game', 'interactive-story', 'simulation', 'ar-vr-experience',
+      'chatbot', 'ml-model', 'computer-vision', 'nlp-service', 'recommendation-engine', 'data-analysis-tool'
+    ];
+
+    beforeEach(async () => {
+      await categoryRegistry.loadCategories();
+    });
+
+    test.each(advertised)('should define %s with existing templates', async (id) => {
+      const config = await categoryRegistry.getCategoryConfig(id);
+      expect(config).toBeDefined();
+      expect(config.parentCategory).toBeDefined();
+      expect(config.templates.length).toBeGreaterThan(0);
+
+      for (const templateId of config.templates) {
+        const templatePath = path.join(process.cwd(), 'templates', `${templateId}.md`);
+        expect(await fs.pathExists(templatePath)).toBe(true);
+      }
+    });
+  });
+
   describe('Category Retrieval', () => {
     beforeEach(async () => {
       await categoryRegistry.loadCategories();
@@ -142,6 +171,15 @@ describe('CategoryRegistry', () => {
       expect(categoryRegistry.isValidCategory('')).toBe(false);
       expect(categoryRegistry.isValidCategory(null)).toBe(false);
     });
+
+    test('should disable categories and their subcategories from configuration', () => {
+      categoryRegistry.configure({ applications: { enabled: false }, websites: { enabled: true } });
+
+      expect(categoryRegistry.isValidCategory('applications')).toBe(false);
+      expect(categoryRegistry.isValidCategory('web-app')).toBe(false);
+      expect(categoryRegistry.isValidCategory('landing-page')).toBe(true);
+      expect(categoryRegistry.getAllCategories().map(cat => cat.id)).not.toContain('applications');
+    });
   });
 
   describe('Category Search', () => {
@@ -235,4 +273,103 @@ describe('CategoryRegistry', () => {
       await expect(registry.loadCategories()).rejects.toThrow('Test error');
     });
   });
-});
\ No newline at end of file
+
+  describe('File-based Definitions', () => {
+    let tempDir;
+    let configDir;
+    let projectDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qoder-categories-'));
+      configDir = path.join(tempDir, 'config');
+      projectDir = path.join(tempDir, 'project');
+      await fs.ensureDir(configDir);
+      await fs.ensureDir(projectDir);
+    });
+
+    afterEach(async () => {
+      await fs.remove(tempDir);
+    });
+
+    const createRegistry = () => new CategoryRegistry({
+      configPath: configDir,
+      projectConfigPath: projectDir
+    });
+
+    test('should add new categories and subcategories from YAML files', async () => {
+      await fs.writeFile(path.join(configDir, 'devops.yaml'), [
+        'categories:',
+        '  - id: devops',
+        '    name: DevOps & Infrastructure',
+        '    description: Pipelines and tooling',
+        'subcategories:',
+        '  ci-cd-pipeline:',
+        '    category: devops',
+        '    name: CI/CD Pipeline',
+        '    description: Build and release automation',
+        '    templates: [prompts/cicd-pipeline]'
+      ].join('\n'));
+
+      const registry = createRegistry();
+      await registry.loadCategories();
+
+      expect(registry.getCategoryInfo('devops').enabled).toBe(true);
+      expect(registry.getCategoryInfo('devops').subcategories).toContain('ci-cd-pipeline');
+
+      const config = await registry.getCategoryConfig('ci-cd-pipeline');
+      expect(config.templates).toEqual(['prompts/cicd-pipeline']);
+      expect(config.parentCategory.id).toBe('devops');
+      expect(config.source).toBe(path.join(configDir, 'devops.yaml'));
+    });
+
+    test('should merge partial overrides into built-in subcategories', async () => {
+      await fs.writeJson(path.join(configDir, 'web-app.json'), {
+        subcategories: {
+          'web-app': { templates: ['prompts/nextjs-app'] }
+        }
+      });
+
+      const registry = createRegistry();
+      await registry.loadCategories();
+
+      const webApp = registry.getSubcategoryConfig('web-app');
+      expect(webApp.templates).toEqual(['prompts/nextjs-app']);
+      expect(webApp.name).toBe('Web Application');
+      expect(webApp.transformations.length).toBeGreaterThan(0);
+    });
+
+    test('should let the project-local directory override shipped files', async () => {
+      await fs.writeFile(path.join(configDir, 'apis.yaml'), 'subcategories:\n  rest-api:\n    description: Shipped\n');
+      await fs.writeFile(path.join(projectDir, 'apis.yaml'), 'subcategories:\n  rest-api:\n    description: Project\n');
+
+      const registry = createRegistry();
+      await registry.loadCategories();
+
+      expect(registry.getSubcategoryConfig('rest-api').description).toBe('Project');
+    });
+
+    test('should skip definitions that fail schema validation', async () => {
+      await fs.writeFile(path.join(configDir, 'broken.yaml'), [
+        'categories:',
+        '  - id: incomplete',
+        'subcategories:',
+        '  rest-api:',
+        '    templates: not-a-list'
+      ].join('\n'));
+
+      const registry = createRegistry();
+      await registry.loadCategories();
+
+      expect(registry.isValidCategory('incomplete')).toBe(false);
+      expect(registry.getSubcategoryConfig('rest-api').templates).toContain('prompts/express-api');
+    });
+
+    test('should ignore files that cannot be parsed', async () => {
+      await fs.writeFile(path.join(configDir, 'invalid.json'), '{ not json');
+
+      const registry = createRegistry();
+      await registry.loadCategories();
+      expect(registry.getCategoryCount()).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for ConfigLoader
+ * Tests layering of defaults, config files, environment variables and CLI overrides
+ */
+
+import { ConfigLoader, DEFAULT_CONFIG } from '../../src/config/ConfigLoader.js';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('ConfigLoader', () => {
+  let configDir;
+  let configPath;
+  let projectConfigPath;
+
+  const createLoader = (env = {}) => new ConfigLoader({ configPath, projectConfigPath, env });
+
+  beforeEach(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qoder-config-'));
+    configPath = path.join(configDir, 'config.yaml');
+    projectConfigPath = path.join(configDir, '.qoderrc.yaml');
+
+    await fs.writeFile(configPath, [
+      'templateEngine:',
+      '  strict: true',
+      'fileGeneration:',
+      '  overwriteFiles: false',
+      'validation:',
+      '  maxFileCount: 100',
+      'categories:',
+      '  ai-ml:',
+      '    enabled: true',
+      'techStacks:',
+      '  frontend:',
+      '    react: ["React"]'
+    ].join('\n'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(configDir);
+  });
+
+  describe('Layering', () => {
+    test('should fall back to built-in defaults', async () => {
+      const loader = new ConfigLoader({
+        configPath: path.join(configDir, 'missing.yaml'),
+        projectConfigPath: path.join(configDir, 'missing-rc.yaml'),
+        env: {}
+      });
+
+      const { config, sources } = await loader.load();
+
+      expect(config).toEqual(DEFAULT_CONFIG);
+      expect(sources).toEqual(['defaults']);
+    });
+
+    test('should apply config.yaml, .qoderrc.yaml, environment and overrides in order', async () => {
+      await fs.writeFile(projectConfigPath, 'fileGeneration:\n  overwriteFiles: true\nvalidation:\n  maxFileCount: 50\n');
+
+      const loader = createLoader({
+        QODER_VALIDATION__MAX_FILE_COUNT: '20',
+        QODER_CATEGORIES__AI_ML__ENABLED: 'false',
+        QODER_SYSTEM__OUTPUT_ENCODING: 'latin1',
+        PATH: '/usr/bin'
+      });
+      const { config, sources } = await loader.load({ validation: { maxFileCount: 10 } });
+
+      expect(sources).toEqual(['defaults', configPath, projectConfigPath, 'environment', 'cli']);
+      expect(config.templateEngine.strict).toBe(true);
+      expect(config.fileGeneration).toMatchObject({ overwriteFiles: true, backupExisting: true });
+      expect(config.validation.maxFileCount).toBe(10);
+      expect(config.categories['ai-ml'].enabled).toBe(false);
+      expect(config.system.outputEncoding).toBe('latin1');
+      expect(config.techStacks.frontend.react).toEqual(['React']);
+    });
+  });
+
+  describe('Overrides', () => {
+    test('should parse --set assignments using the type of the value they replace', () => {
+      const overrides = createLoader().parseAssignments([
+        'fileGeneration.defaultPermissions=0600',
+        'validation.enableSecurityScan=false',
+        'validation.allowedFileExtensions=[".md", ".json"]',
+        'categories.games.enabled=false'
+      ]);
+
+      expect(overrides).toEqual({
+        fileGeneration: { defaultPermissions: '0600' },
+        validation: { enableSecurityScan: false, allowedFileExtensions: ['.md', '.json'] },
+        categories: { games: { enabled: false } }
+      });
+    });
+
+    test('should reject assignments without a key', () => {
+      expect(() => createLoader().parseAssignments(['=true'])).toThrow('expected key.path=value');
+      expect(() => createLoader().parseAssignments(['strict'])).toThrow('expected key.path=value');
+    });
+
+    test('should reject keys that reach Object.prototype', async () => {
+      expect(() => createLoader().parseAssignments(['__proto__.polluted=1']))
+        .toThrow('Invalid config key "__proto__.polluted": "__proto__" is not allowed');
+      expect(() => createLoader().parseAssignments(['system.constructor.prototype.polluted=1']))
+        .toThrow('"constructor" is not allowed');
+
+      await expect(createLoader({ QODER_CONSTRUCTOR__PROTOTYPE__POLLUTED: '1' }).load())
+        .rejects.toThrow('Invalid config key "constructor.prototype.polluted"');
+
+      await fs.writeFile(projectConfigPath, '__proto__:\n  polluted: 1\n');
+      await expect(createLoader().load()).rejects.toThrow('Invalid config key "__proto__"');
+
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject invalid values with their config path', async () => {
+      await expect(createLoader({ QODER_VALIDATION__MAX_FILE_COUNT: 'many' }).load())
+        .rejects.toThrow('Invalid configuration: "validation.maxFileCount" must be a number');
+      await expect(createLoader().load({ templateEngine: { delimiter: '<%' } }))
+        .rejects.toThrow('must be an opening and closing tag separated by "|"');
+    });
+
+    test('should report unreadable config files', async () => {
+      await fs.writeFile(projectConfigPath, '- just\n- a list\n');
+
+      await expect(createLoader().load()).rejects.toThrow(`Invalid configuration in ${projectConfigPath}`);
+    });
+  });
+});
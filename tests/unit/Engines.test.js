@@ -0,0 +1,211 @@
+/**
+ * Unit Tests for Template Engines
+ * Tests the engine adapters and how TemplateEngine picks one per template
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import Mustache from 'mustache';
+import { BaseEngine, ENGINE_EXTENSIONS, TEMPLATE_HELPERS } from '../../src/engines/BaseEngine.js';
+import MustacheEngine from '../../src/engines/mustacheEngine.js';
+import HandlebarsEngine from '../../src/engines/handlebarsEngine.js';
+import EjsEngine from '../../src/engines/ejsEngine.js';
+import NunjucksEngine from '../../src/engines/nunjucksEngine.js';
+import { TemplateEngine } from '../../src/core/TemplateEngine.js';
+
+// Renders "<engine>:<content>" so tests can tell which adapter rendered a template
+class EchoEngine extends BaseEngine {
+  getType() {
+    return 'echo';
+  }
+
+  getPackageName() {
+    return 'echo';
+  }
+
+  render(content, context, options) {
+    this.lastOptions = options;
+    return `echo:${content.trim()}:${context.projectName}`;
+  }
+}
+
+describe('Template Engines', () => {
+  describe('BaseEngine', () => {
+    test('should map file extensions to engines', () => {
+      expect(ENGINE_EXTENSIONS).toMatchObject({
+        '.md': 'mustache',
+        '.hbs': 'handlebars',
+        '.ejs': 'ejs',
+        '.njk': 'nunjucks'
+      });
+    });
+
+    test('should provide includes and comparison helpers', () => {
+      expect(TEMPLATE_HELPERS.includes(['React', 'Node.js'], 'react')).toBe(true);
+      expect(TEMPLATE_HELPERS.includes(['JavaScript'], 'Java')).toBe(false);
+      expect(TEMPLATE_HELPERS.includes(undefined, 'React')).toBe(false);
+      expect(TEMPLATE_HELPERS.eq('SSR', 'SSR')).toBe(true);
+      expect(TEMPLATE_HELPERS.and(true, 'yes', false)).toBe(false);
+      expect(TEMPLATE_HELPERS.or(false, 1)).toBe(true);
+    });
+
+    test('should name the package to install when an engine cannot load', async () => {
+      class MissingEngine extends EchoEngine {
+        getPackageName() {
+          return 'qoder-engine-that-does-not-exist';
+        }
+      }
+
+      await expect(new MissingEngine().load()).rejects.toThrow(
+        'Template engine echo needs the qoder-engine-that-does-not-exist package: npm install qoder-engine-that-does-not-exist'
+      );
+    });
+  });
+
+  describe('MustacheEngine', () => {
+    test('should render like Mustache with partials, tags and escaping', async () => {
+      const engine = new MustacheEngine();
+      await engine.load();
+
+      const content = '<% name %> <%> greeting %> <%& raw %>';
+      const context = { name: 'a & b', raw: '<b>' };
+      const options = {
+        partials: { greeting: 'Hello <% name %>' },
+        tags: ['<%', '%>'],
+        escape: text => String(text).toUpperCase()
+      };
+
+      expect(engine.render(content, context, options)).toBe('A & B Hello A & B <b>');
+      expect(engine.render(content, context, options)).toBe(
+        Mustache.render(content, context, options.partials, { tags: options.tags, escape: options.escape })
+      );
+    });
+  });
+
+  // Each adapter renders "RS Hi Demo" from its helpers and a greeting partial
+  const ADAPTER_CASES = [
+    {
+      Engine: HandlebarsEngine,
+      template: '{{#if (includes techStack "react")}}R{{/if}}{{#if (eq mode "SSR")}}S{{/if}} {{> greet}}',
+      partials: { greet: 'Hi {{projectName}}' },
+      missingPartial: ['{{> nope}}', 'The partial nope could not be found'],
+      undefinedVariable: ['{{missing}}', '"missing" not defined']
+    },
+    {
+      Engine: EjsEngine,
+      template: "<% if (includes(techStack, 'react')) { %>R<% } %><% if (eq(mode, 'SSR')) { %>S<% } %> <%- include('greet') %>",
+      partials: { greet: 'Hi <%= projectName %>' },
+      missingPartial: ["<%- include('nope') %>", 'Unknown ejs partial: nope'],
+      undefinedVariable: ['<%= missing %>', 'missing is not defined']
+    },
+    {
+      Engine: NunjucksEngine,
+      template: '{% if includes(techStack, "react") %}R{% endif %}{% if eq(mode, "SSR") %}S{% endif %} {% include "greet" %}',
+      partials: { greet: 'Hi {{ projectName }}' },
+      missingPartial: ['{% include "nope" %}', 'Unknown nunjucks partial: nope'],
+      undefinedVariable: ['{{ missing }}', 'attempted to output null or undefined value']
+    }
+  ];
+
+  describe.each(ADAPTER_CASES)('$Engine.name', ({ Engine, template, partials, missingPartial, undefinedVariable }) => {
+    const context = { techStack: ['React', 'Node.js'], mode: 'SSR', projectName: 'Demo' };
+    let engine;
+
+    beforeAll(async () => {
+      engine = new Engine();
+      await engine.load();
+    });
+
+    test('should render the includes and eq helpers and include partials', () => {
+      expect(engine.render(template, context, { partials })).toBe('RS Hi Demo');
+      expect(engine.render(template, { ...context, techStack: ['Vue'], mode: 'SPA' }, { partials })).toBe(' Hi Demo');
+    });
+
+    test('should fail on a partial it was not given', () => {
+      expect(() => engine.render(missingPartial[0], context, { partials })).toThrow(missingPartial[1]);
+    });
+
+    test('should fail on undefined variables in strict mode', () => {
+      expect(() => engine.render(undefinedVariable[0], context, { strict: true })).toThrow(undefinedVariable[1]);
+    });
+
+    test('should render undefined variables as empty unless strict, except in EJS', () => {
+      if (Engine === EjsEngine) {
+        expect(() => engine.render(undefinedVariable[0], context, { strict: false })).toThrow(undefinedVariable[1]);
+      } else {
+        expect(engine.render(undefinedVariable[0], context, { strict: false })).toBe('');
+      }
+    });
+  });
+
+  describe('TemplateEngine', () => {
+    let templateEngine;
+    let templateDir;
+
+    beforeAll(async () => {
+      templateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qoder-engines-'));
+      await fs.outputFile(path.join(templateDir, 'prompts/plain.md'), '# {{projectName}}\n');
+      await fs.outputFile(path.join(templateDir, 'prompts/helpers.hbs'), '{{#if (includes techStack "React")}}React{{/if}}\n');
+      await fs.outputFile(path.join(templateDir, 'prompts/echo.md'), '---\nengine: echo\n---\nBody\n');
+      await fs.outputFile(path.join(templateDir, 'prompts/unknown.md'), '---\nengine: unknown\n---\nBody\n');
+      await fs.outputFile(path.join(templateDir, 'prompts/greet-hbs.hbs'), '{{> greet}}\n');
+      await fs.outputFile(path.join(templateDir, 'prompts/greet-ejs.ejs'), "<%- include('greet') %>\n");
+      await fs.outputFile(path.join(templateDir, 'prompts/greet-njk.njk'), '{% include "greet" %}\n');
+      await fs.outputFile(path.join(templateDir, 'prompts/sign-ejs.ejs'), "<%- include('sign') %>\n");
+      await fs.outputFile(path.join(templateDir, 'partials/greet.md'), 'Mustache {{projectName}}');
+      await fs.outputFile(path.join(templateDir, 'partials/greet.hbs'), 'Handlebars {{projectName}}');
+      await fs.outputFile(path.join(templateDir, 'partials/greet.ejs'), 'EJS <%= projectName %>');
+      await fs.outputFile(path.join(templateDir, 'partials/greet.njk'), 'Nunjucks {{ projectName }}');
+      await fs.outputFile(path.join(templateDir, 'partials/sign.md'), 'Signed {{projectName}}');
+
+      templateEngine = new TemplateEngine();
+      templateEngine.templatePath = templateDir;
+      templateEngine.registerEngine(new EchoEngine());
+      await templateEngine.loadTemplates();
+    });
+
+    afterAll(async () => {
+      await fs.remove(templateDir);
+    });
+
+    test('should pick the engine from front matter, then the file extension', () => {
+      expect(templateEngine.getTemplate('prompts/plain').engine).toBe('mustache');
+      expect(templateEngine.getTemplate('prompts/helpers').engine).toBe('handlebars');
+      expect(templateEngine.getTemplate('prompts/echo').engine).toBe('echo');
+    });
+
+    test('should render each template with its engine', async () => {
+      const rendered = await templateEngine.renderTemplates(
+        [templateEngine.getTemplate('prompts/plain'), templateEngine.getTemplate('prompts/echo')],
+        { projectName: 'Demo' }
+      );
+
+      expect(rendered.map(file => [file.path, file.content])).toEqual([
+        ['prompts/plain.md', '# Demo\n'],
+        ['prompts/echo.md', 'echo:Body:Demo']
+      ]);
+      expect(templateEngine.engines.get('echo').lastOptions).toMatchObject({ escapeHtml: false, strict: false, partials: {} });
+    });
+
+    test('should include the partial written for the template engine', async () => {
+      const rendered = await templateEngine.renderTemplates(
+        ['prompts/greet-hbs', 'prompts/greet-ejs', 'prompts/greet-njk'].map(id => templateEngine.getTemplate(id)),
+        { projectName: 'Demo' }
+      );
+
+      expect(rendered.map(file => file.content.trim())).toEqual(['Handlebars Demo', 'EJS Demo', 'Nunjucks Demo']);
+      expect(templateEngine.getPartials('mustache')).toEqual({ greet: 'Mustache {{projectName}}', sign: 'Signed {{projectName}}' });
+    });
+
+    test('should not include a partial written for another engine', async () => {
+      await expect(templateEngine.renderTemplate(templateEngine.getTemplate('prompts/sign-ejs'), { projectName: 'Demo' }))
+        .rejects.toThrow('Unknown ejs partial: sign');
+    });
+
+    test('should fail templates written for an unknown engine', async () => {
+      await expect(templateEngine.renderTemplate(templateEngine.getTemplate('prompts/unknown'), { projectName: 'Demo' }))
+        .rejects.toThrow('Unknown template engine: unknown');
+    });
+  });
+});
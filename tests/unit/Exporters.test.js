@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Exporters
+ * Tests exporting prompt suites to AGENTS.md, .cursorrules, Copilot instructions and chat messages
+ */
+
+import { BaseExporter, EXPORT_FORMATS } from '../../src/exporters/BaseExporter.js';
+import AgentsExporter from '../../src/exporters/agentsExporter.js';
+import CursorExporter from '../../src/exporters/cursorExporter.js';
+import CopilotExporter from '../../src/exporters/copilotExporter.js';
+import ChatExporter from '../../src/exporters/chatExporter.js';
+import { PromptGenerator } from '../../src/core/PromptGenerator.js';
+
+describe('Exporters', () => {
+  const context = { projectName: 'Demo', category: 'web-app', techStack: ['React'] };
+
+  const createPrompt = (name, overview) => ({
+    path: `prompts/${name}.md`,
+    templateId: name,
+    content: [
+      `# ${name} - AI Generation Prompt`,
+      '',
+      '## Project Overview',
+      overview,
+      '',
+      'Shared paragraph.',
+      '',
+      '## Technical Requirements',
+      '- React',
+      '',
+      '## Detailed Implementation Instructions',
+      '```',
+      '## not a heading',
+      '```',
+      '',
+      '## Success Criteria',
+      '- Tests pass',
+      '',
+      '## Additional Notes',
+      'Keep it simple.'
+    ].join('\n')
+  });
+
+  const files = [
+    createPrompt('app', 'Build the app.'),
+    createPrompt('api', 'Build the API.'),
+    { path: 'package.json', content: '{}', templateId: 'package' }
+  ];
+
+  describe('BaseExporter', () => {
+    test('should map prompt sections and keep repeated paragraphs once', () => {
+      const exporter = new AgentsExporter();
+      const sections = exporter.mapSections(files.slice(0, 2).flatMap(file => exporter.extractSections(file)));
+
+      expect(sections.map(section => section.title)).toEqual([
+        'Project Overview', 'Tech Stack', 'Implementation Guidelines', 'Definition of Done', 'Additional Notes'
+      ]);
+      expect(sections[0].body).toBe('Build the app.\n\nShared paragraph.\n\nBuild the API.');
+      expect(sections[0].sources).toEqual(['prompts/app.md', 'prompts/api.md']);
+      expect(sections[2].body).toBe('```\n## not a heading\n```');
+    });
+
+    test('should drop low-priority sections, then truncate, to stay within the limits', () => {
+      const exporter = new AgentsExporter({ limits: { maxBytes: 200, maxSectionBytes: null } });
+      const result = exporter.export(files, context);
+
+      expect(result.size).toBeLessThanOrEqual(200);
+      expect(result.omittedSections).toEqual(['Implementation Guidelines', 'Definition of Done', 'Additional Notes']);
+      expect(result.content).toContain('## Project Overview');
+      expect(result.content).toContain('## Tech Stack');
+
+      const tiny = new AgentsExporter({ limits: { maxBytes: 135 } }).export(files, context);
+      expect(tiny.size).toBeLessThanOrEqual(135);
+      expect(tiny.truncated).toBe(true);
+      expect(tiny.content).toContain('## Project Overview\n\nBuild the app.\n\n[truncated]');
+    });
+
+    test('should close code fences cut by truncation', () => {
+      const exporter = new AgentsExporter();
+
+      expect(exporter.truncate('intro\n```js\nconst a = 1;\nconst b = 2;\n```', 30, null)).toBe('intro\n```js\nconst a = 1;\n```\n\n[truncated]');
+    });
+
+    test('should require subclasses to define their format', () => {
+      expect(() => new BaseExporter().export(files, context)).toThrow('getSectionMap method must be implemented');
+      expect(EXPORT_FORMATS).toEqual(['agents', 'cursor', 'copilot', 'chat']);
+    });
+  });
+
+  describe('Formats', () => {
+    test('should export AGENTS.md from the markdown prompts only', () => {
+      const result = new AgentsExporter().export(files, context);
+
+      expect(result).toMatchObject({ path: 'AGENTS.md', exporter: 'agents', templateId: null, sources: ['prompts/app.md', 'prompts/api.md'] });
+      expect(result.content.startsWith('# AGENTS.md\n\nInstructions for coding agents working on Demo (web-app).\n')).toBe(true);
+      expect(result.size).toBe(Buffer.byteLength(result.content));
+    });
+
+    test('should export .cursorrules and Copilot instructions with their own sections and limits', () => {
+      const cursor = new CursorExporter();
+      const copilot = new CopilotExporter();
+
+      const rules = cursor.export(files, context);
+      expect(rules.path).toBe('.cursorrules');
+      expect(rules.content).toContain('You are an expert developer working on Demo using React.');
+      expect(rules.content).toContain('# Quality Bar');
+      expect(rules.content).not.toContain('Keep it simple.');
+      expect(cursor.limits.maxLines).toBe(500);
+
+      const instructions = copilot.export(files, context);
+      expect(instructions.path).toBe('.github/copilot-instructions.md');
+      expect(instructions.content).toContain('## Coding Standards');
+      expect(instructions.content).not.toContain('Tests pass');
+      expect(copilot.limits.maxBytes).toBe(4000);
+    });
+
+    test('should export chat messages with a system and a user turn', () => {
+      const result = new ChatExporter().export(files, context);
+      const chat = JSON.parse(result.content);
+
+      expect(result.path).toBe('qoder-chat.json');
+      expect(chat.format).toBe('qoder-chat/v1');
+      expect(chat.messages.map(message => message.role)).toEqual(['system', 'user']);
+      expect(chat.messages[0].content).toMatch(/^You are an expert software engineer building Demo, a web-app project\.\n\n## Project Overview/);
+      expect(chat.messages[1].content).toContain('## Success Criteria\n\n- Tests pass');
+    });
+  });
+
+  describe('PromptGenerator', () => {
+    test('should export the requested formats and skip ones that fail to load', async () => {
+      const generator = new PromptGenerator();
+      const exported = await generator.exportFiles(files, ['agents', 'missing', 'chat'], context);
+
+      expect(exported.map(file => file.path)).toEqual(['AGENTS.md', 'qoder-chat.json']);
+    });
+  });
+});
@@ -0,0 +1,381 @@
+/**
+ * Unit Tests for FileGenerator
+ * Tests writing organized suites, manifests and usage instructions to disk
+ */
+
+import { FileGenerator } from '../../src/output/FileGenerator.js';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { PassThrough } from 'stream';
+
+describe('FileGenerator', () => {
+  let fileGenerator;
+  let tempDir;
+  let outputDir;
+
+  const createFile = (filePath, content) => ({
+    path: filePath,
+    content,
+    size: Buffer.byteLength(content, 'utf8'),
+    templateId: filePath
+  });
+
+  const createSuite = (files) => ({
+    fileCount: files.length,
+    files: {
+      prompts: { description: 'Prompts', files: files.filter(file => file.path.includes('/')) },
+      root: { description: 'Root files', files: files.filter(file => !file.path.includes('/')) },
+      docs: { description: 'Documentation', files: [] }
+    },
+    manifest: { version: '1.0.0', structure: {} },
+    usageInstructions: { quickStart: ['1. Read the prompts'] }
+  });
+
+  beforeEach(async () => {
+    fileGenerator = new FileGenerator();
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qoder-files-'));
+    outputDir = path.join(tempDir, 'suite');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('Suite Output', () => {
+    test('should write files relative to the suite root with manifest and usage instructions', async () => {
+      const results = await fileGenerator.generateFiles(createSuite([
+        createFile('prompts/app.md', '# App'),
+        createFile('package.json', '{}')
+      ]), outputDir);
+
+      expect(results.success).toBe(true);
+      expect(results.filesGenerated).toBe(4);
+      expect(results.outputPath).toBe(path.resolve(outputDir));
+      expect(await fs.readFile(path.join(outputDir, 'prompts', 'app.md'), 'utf8')).toBe('# App');
+      expect(await fs.pathExists(path.join(outputDir, 'package.json'))).toBe(true);
+      expect(await fs.pathExists(path.join(outputDir, 'prompts', 'prompts'))).toBe(false);
+      expect(await fs.pathExists(path.join(outputDir, 'root'))).toBe(false);
+      expect(results.generatedFiles).toEqual(expect.arrayContaining([
+        path.join(outputDir, 'qoder-manifest.json'),
+        path.join(outputDir, 'USAGE.md')
+      ]));
+    });
+
+    test('should report skipped files when overwriting and backups are disabled', async () => {
+      await fs.outputFile(path.join(outputDir, 'prompts', 'app.md'), 'existing');
+      fileGenerator.setOutputOptions({ overwriteFiles: false, backupExisting: false });
+
+      const results = await fileGenerator.generateFiles(createSuite([createFile('prompts/app.md', '# App')]), outputDir);
+
+      expect(results.filesSkipped).toBe(1);
+      expect(results.skippedFiles).toEqual([path.join(outputDir, 'prompts', 'app.md')]);
+      expect(await fs.readFile(path.join(outputDir, 'prompts', 'app.md'), 'utf8')).toBe('existing');
+    });
+
+    test('should refuse paths outside the output directory', async () => {
+      const results = await fileGenerator.generateFiles(createSuite([
+        createFile('prompts/../../escape.md', '# Escape'),
+        createFile('prompts/app.md', '# App')
+      ]), outputDir);
+
+      expect(results.success).toBe(false);
+      expect(results.errors).toEqual([{
+        file: 'prompts/../../escape.md',
+        error: 'File path escapes the output directory: prompts/../../escape.md'
+      }]);
+      expect(await fs.pathExists(path.join(outputDir, '..', 'escape.md'))).toBe(false);
+    });
+  });
+
+  describe('Transactions', () => {
+    test('should leave the previous output untouched when any file fails', async () => {
+      await fileGenerator.generateFiles(createSuite([createFile('prompts/app.md', '# App v1')]), outputDir);
+      fileGenerator.setOutputOptions({ overwriteFiles: true });
+
+      const results = await fileGenerator.generateFiles(createSuite([
+        createFile('prompts/app.md', '# App v2'),
+        createFile('prompts/../../escape.md', '# Escape')
+      ]), outputDir);
+
+      expect(results).toMatchObject({ success: false, rolledBack: true, filesGenerated: 0, generatedFiles: [] });
+      expect(await fs.readFile(path.join(outputDir, 'prompts', 'app.md'), 'utf8')).toBe('# App v1');
+      expect(await fs.readdir(tempDir)).toEqual(['suite']);
+      expect((await fs.readdir(path.join(outputDir, '.qoder'))).sort()).toEqual(['pristine', 'rollback']);
+    });
+
+    test('should leave no output directory when the first generation fails', async () => {
+      const results = await fileGenerator.generateFiles(createSuite([createFile('prompts/../../escape.md', '# Escape')]), outputDir);
+
+      expect(results.success).toBe(false);
+      expect(await fs.readdir(tempDir)).toEqual([]);
+    });
+
+    test('should stage and replace only the paths the suite writes', async () => {
+      await fs.outputFile(path.join(outputDir, '.git', 'HEAD'), 'ref: refs/heads/main');
+      await fs.outputFile(path.join(outputDir, 'notes.txt'), 'kept');
+      const { ino } = await fs.stat(outputDir);
+
+      await fileGenerator.generateFiles(createSuite([createFile('prompts/app.md', '# App')]), outputDir);
+
+      expect((await fs.stat(outputDir)).ino).toBe(ino);
+      expect(await fs.readdir(tempDir)).toEqual(['suite']);
+      expect((await fs.readdir(path.join(outputDir, '.qoder'))).sort()).toEqual(['pristine', 'rollback']);
+      expect(await fs.pathExists(path.join(outputDir, '.qoder', 'rollback', 'files', '.git'))).toBe(false);
+      expect(await fs.pathExists(path.join(outputDir, '.qoder', 'rollback', 'files', 'notes.txt'))).toBe(false);
+    });
+
+    test('should report paths in the output directory rather than the staging directory', async () => {
+      const results = await fileGenerator.generateFiles(createSuite([createFile('prompts/app.md', '# App')]), outputDir);
+
+      expect(results.generatedFiles).toContain(path.join(outputDir, 'prompts', 'app.md'));
+      expect(results.outputPath).toBe(path.resolve(outputDir));
+      expect(await fs.readdir(tempDir)).toEqual(['suite']);
+    });
+
+    test('should roll back to the output before the last generation', async () => {
+      await fs.outputFile(path.join(outputDir, 'notes.txt'), 'kept');
+      await fileGenerator.generateFiles(createSuite([createFile('prompts/app.md', '# App v1')]), outputDir);
+      fileGenerator.setOutputOptions({ overwriteFiles: true });
+      await fileGenerator.generateFiles(createSuite([createFile('prompts/app.md', '# App v2')]), outputDir);
+
+      expect(await fs.readFile(path.join(outputDir, 'notes.txt'), 'utf8')).toBe('kept');
+
+      const restored = await fileGenerator.rollback(outputDir);
+
+      expect(restored).toEqual({ outputPath: path.resolve(outputDir), restoredFrom: path.join(path.resolve(outputDir), '.qoder', 'rollback') });
+      expect(await fs.readFile(path.join(outputDir, 'prompts', 'app.md'), 'utf8')).toBe('# App v1');
+      expect(await fs.readFile(path.join(outputDir, 'notes.txt'), 'utf8')).toBe('kept');
+      await expect(fileGenerator.rollback(outputDir)).rejects.toThrow('No pre-generation snapshot found');
+    });
+
+    test('should remove the files of a first generation on rollback', async () => {
+      await fs.outputFile(path.join(outputDir, 'notes.txt'), 'kept');
+      await fileGenerator.generateFiles(createSuite([createFile('prompts/app.md', '# App')]), outputDir);
+
+      await fileGenerator.rollback(outputDir);
+
+      expect(await fs.readdir(outputDir)).toEqual(['notes.txt']);
+    });
+  });
+
+  describe('Regeneration', () => {
+    const original = '# App\n\nIntro\n\n## Setup\n\nInstall\n\nGenerated on Monday\n';
+
+    // Manifests carry the hash of each file as generated, like OutputFormatter.generateManifest()
+    const createTrackedSuite = (files) => ({
+      ...createSuite(files),
+      manifest: {
+        version: '1.0.0',
+        structure: {
+          prompts: {
+            files: files.map(file => ({ path: file.path, size: file.size, sha256: fileGenerator.hashContent(file.content) }))
+          }
+        }
+      }
+    });
+
+    beforeEach(async () => {
+      await fileGenerator.generateFiles(createTrackedSuite([createFile('prompts/app.md', original)]), outputDir);
+    });
+
+    test('should keep hand edits when regenerating', async () => {
+      const filePath = path.join(outputDir, 'prompts', 'app.md');
+      await fs.writeFile(filePath, original.replace('Intro\n', 'Intro\n\nRun npm ci first\n'));
+
+      const results = await fileGenerator.generateFiles(createTrackedSuite([
+        createFile('prompts/app.md', original.replace('Monday', 'Tuesday'))
+      ]), outputDir);
+
+      expect(results.mergedFiles).toEqual([filePath]);
+      expect(results.conflictedFiles).toEqual([]);
+      expect(await fs.readFile(filePath, 'utf8')).toBe('# App\n\nIntro\n\nRun npm ci first\n\n## Setup\n\nInstall\n\nGenerated on Tuesday\n');
+
+      // The manifest keeps the generated checksum as the next merge base and records the merged one
+      const manifest = await fs.readJson(path.join(outputDir, 'qoder-manifest.json'));
+      expect(manifest.structure.prompts.files[0]).toMatchObject({
+        sha256: fileGenerator.hashContent(original.replace('Monday', 'Tuesday')),
+        mergedSha256: fileGenerator.hashContent(await fs.readFile(filePath, 'utf8'))
+      });
+      expect((await fs.readdir(path.join(outputDir, 'prompts'))).filter(file => file.includes('.backup.'))).toEqual([]);
+    });
+
+    test('should write conflict markers when both sides change the same lines', async () => {
+      const filePath = path.join(outputDir, 'prompts', 'app.md');
+      await fs.writeFile(filePath, original.replace('Intro', 'My intro'));
+
+      const results = await fileGenerator.generateFiles(createTrackedSuite([
+        createFile('prompts/app.md', original.replace('Intro', 'New intro'))
+      ]), outputDir);
+
+      expect(results.success).toBe(true);
+      expect(results.conflictedFiles).toEqual([filePath]);
+      expect(await fs.readFile(filePath, 'utf8')).toContain('<<<<<<< edited\nMy intro\n=======\nNew intro\n>>>>>>> regenerated\n');
+    });
+
+    test('should fall back to backups when the pristine copy does not match the manifest', async () => {
+      await fs.writeFile(path.join(outputDir, '.qoder', 'pristine', 'prompts', 'app.md'), 'tampered');
+      await fs.writeFile(path.join(outputDir, 'prompts', 'app.md'), 'edited');
+
+      const results = await fileGenerator.generateFiles(createTrackedSuite([createFile('prompts/app.md', original)]), outputDir);
+
+      expect(results.mergedFiles).toEqual([]);
+      expect((await fs.readdir(path.join(outputDir, 'prompts'))).some(file => file.includes('.backup.'))).toBe(true);
+    });
+
+    test('should plan merges and their conflicts', async () => {
+      await fs.writeFile(path.join(outputDir, 'prompts', 'app.md'), original.replace('Intro', 'My intro'));
+
+      const plan = await fileGenerator.planFiles(createTrackedSuite([
+        createFile('prompts/app.md', original.replace('Intro', 'New intro'))
+      ]), outputDir);
+
+      expect(plan.files[0]).toMatchObject({ path: 'prompts/app.md', action: 'merge', conflicts: 1 });
+      expect(plan.summary.merge).toBe(1);
+    });
+  });
+
+  describe('Dry Run', () => {
+    test('should plan every write without touching disk', async () => {
+      const target = path.join(outputDir, 'new-suite');
+
+      const plan = await fileGenerator.planFiles(createSuite([
+        createFile('prompts/app.md', '# App'),
+        createFile('prompts/../../escape.md', '# Escape')
+      ]), target);
+
+      expect(plan.files.map(entry => [entry.path, entry.action])).toEqual([
+        ['prompts/app.md', 'create'],
+        ['qoder-manifest.json', 'create'],
+        ['USAGE.md', 'create']
+      ]);
+      expect(plan.summary).toEqual({ create: 3, overwrite: 0, merge: 0, backup: 0, skip: 0 });
+      expect(plan.errors).toEqual([{
+        file: 'prompts/../../escape.md',
+        error: 'File path escapes the output directory: prompts/../../escape.md'
+      }]);
+      expect(await fs.pathExists(target)).toBe(false);
+    });
+
+    test('should follow the overwrite and backup options for existing files', async () => {
+      await fs.outputFile(path.join(outputDir, 'prompts', 'app.md'), '# App');
+      await fs.outputFile(path.join(outputDir, 'package.json'), '{"name": "old"}');
+      const suite = createSuite([createFile('prompts/app.md', '# App'), createFile('package.json', '{}')]);
+
+      const backupPlan = await fileGenerator.planFiles(suite, outputDir);
+      expect(backupPlan.files[0]).toMatchObject({ path: 'prompts/app.md', action: 'backup', exists: true, changed: false });
+      expect(backupPlan.files[1]).toMatchObject({ path: 'package.json', action: 'backup', changed: true });
+
+      fileGenerator.setOutputOptions({ backupExisting: false });
+      expect((await fileGenerator.planFiles(suite, outputDir)).summary).toMatchObject({ skip: 2, create: 2 });
+
+      fileGenerator.setOutputOptions({ overwriteFiles: true });
+      expect((await fileGenerator.planFiles(suite, outputDir)).summary).toMatchObject({ overwrite: 2, create: 2 });
+      expect(await fs.readdir(outputDir)).toEqual(['package.json', 'prompts']);
+    });
+
+    test('should include unified diffs against existing files', async () => {
+      await fs.outputFile(path.join(outputDir, 'prompts', 'app.md'), '# App\n\nOld intro\n\n## Setup\n');
+
+      const plan = await fileGenerator.planFiles(createSuite([
+        createFile('prompts/app.md', '# App\n\nNew intro\n\n## Setup\n'),
+        createFile('prompts/new.md', 'line one\nline two\n')
+      ]), outputDir, { diff: true });
+
+      expect(plan.files[0].diff).toBe([
+        '--- a/prompts/app.md',
+        '+++ b/prompts/app.md',
+        '@@ -1,5 +1,5 @@',
+        ' # App',
+        ' ',
+        '-Old intro',
+        '+New intro',
+        ' ',
+        ' ## Setup',
+        ''
+      ].join('\n'));
+      expect(plan.files[1].diff).toBe('--- /dev/null\n+++ b/prompts/new.md\n@@ -0,0 +1,2 @@\n+line one\n+line two\n');
+    });
+  });
+
+  describe('Output Formats', () => {
+    test('should write a tar.gz archive with the suite under a folder named after it', async () => {
+      const results = await fileGenerator.generateArchive(createSuite([
+        createFile('prompts/app.md', '# App'),
+        createFile('package.json', '{}')
+      ]), outputDir, 'tar.gz');
+
+      const archivePath = `${path.resolve(outputDir)}.tar.gz`;
+      expect(results).toMatchObject({ success: true, format: 'tar.gz', outputPath: archivePath, filesGenerated: 4 });
+      expect(results.generatedFiles).toEqual([archivePath]);
+      expect(await fs.readdir(tempDir)).toEqual(['suite.tar.gz']);
+
+      const tar = zlib.gunzipSync(await fs.readFile(archivePath));
+      const names = [];
+      for (let offset = 0; tar[offset] !== 0; offset += 512 + Math.ceil(parseInt(tar.toString('ascii', offset + 124, offset + 135), 8) / 512) * 512) {
+        names.push(tar.toString('utf8', offset, offset + 100).replace(/\0.*$/s, ''));
+      }
+      expect(names).toEqual(['suite/prompts/app.md', 'suite/package.json', 'suite/qoder-manifest.json', 'suite/USAGE.md']);
+    });
+
+    test('should write nothing when a file escapes the suite root', async () => {
+      const results = await fileGenerator.generateArchive(createSuite([
+        createFile('prompts/../../escape.md', '# Escape')
+      ]), path.join(tempDir, 'suite.zip'), 'zip');
+
+      expect(results).toMatchObject({ success: false, rolledBack: true, filesGenerated: 0 });
+      expect(results.outputPath).toBe(path.join(tempDir, 'suite.zip'));
+      expect(await fs.readdir(tempDir)).toEqual([]);
+    });
+
+    test('should bundle every file in suite order with a table of contents and usage instructions', async () => {
+      const suite = createSuite([
+        createFile('prompts/app.md', '# App\n\nBuild it.\n'),
+        createFile('prompts/api.md', '# API'),
+        createFile('package.json', '{\n  "script": "```"\n}')
+      ]);
+      suite.metadata = { projectName: 'Demo', category: 'web-app' };
+
+      const results = await fileGenerator.generateBundle(suite, outputDir);
+      const bundle = await fs.readFile(`${path.resolve(outputDir)}.md`, 'utf8');
+
+      expect(results).toMatchObject({ success: true, format: 'bundle', filesGenerated: 3 });
+      expect(bundle.startsWith('# Demo Prompt Suite\n\n**Category:** web-app')).toBe(true);
+      expect(bundle).toContain([
+        '## Table of Contents',
+        '',
+        '- [prompts/app.md](#promptsappmd)',
+        '- [prompts/api.md](#promptsapimd)',
+        '- [package.json](#packagejson)',
+        '- [Usage Instructions](#usage-instructions)'
+      ].join('\n'));
+      expect(bundle.indexOf('## prompts/app.md\n\n# App\n\nBuild it.\n')).toBeLessThan(bundle.indexOf('## prompts/api.md'));
+      expect(bundle).toContain('## package.json\n\n````json\n{\n  "script": "```"\n}\n````\n');
+      expect(bundle).toContain('\n---\n\n## Usage Instructions\n\n### Quick Start\n\n1. Read the prompts\n');
+      expect(bundle.indexOf('## Usage Instructions')).toBeGreaterThan(bundle.indexOf('## package.json'));
+    });
+
+    test('should stream one JSON line per file with its manifest metadata', async () => {
+      const suite = createSuite([createFile('prompts/app.md', '# App\n'), createFile('package.json', '{}')]);
+      suite.metadata = { category: 'web-app', projectName: 'Demo', inputHash: 'abc' };
+      suite.manifest.structure = {
+        prompts: { files: [{ path: 'prompts/app.md', size: 6, sha256: 'hash', template: 'prompts/app', transformers: ['formatting'] }] }
+      };
+      const stream = new PassThrough();
+      let output = '';
+      stream.on('data', chunk => { output += chunk; });
+
+      expect(await fileGenerator.writeJsonLines(suite, stream)).toBe(2);
+
+      const lines = output.trimEnd().split('\n').map(line => JSON.parse(line));
+      expect(lines[0]).toEqual({
+        path: 'prompts/app.md',
+        content: '# App\n',
+        metadata: { size: 6, sha256: 'hash', template: 'prompts/app', transformers: ['formatting'], category: 'web-app', projectName: 'Demo', generatedAt: null }
+      });
+      expect(lines[1]).toMatchObject({ path: 'package.json', content: '{}', metadata: { template: 'package.json', inputHash: 'abc', size: 2 } });
+      expect(lines[1].metadata.sha256).toBe(fileGenerator.hashContent('{}'));
+    });
+  });
+});
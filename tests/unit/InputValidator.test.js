@@ -0,0 +1,30 @@
+/**
+ * Unit Tests for InputValidator
+ * Tests input hashing used for manifest provenance
+ */
+
+import { InputValidator } from '../../src/core/InputValidator.js';
+
+describe('InputValidator', () => {
+  let inputValidator;
+
+  beforeEach(() => {
+    inputValidator = new InputValidator();
+  });
+
+  describe('Input Hashing', () => {
+    test('should hash content inputs independently of key order and write options', () => {
+      const inputs = { category: 'web-app', projectName: 'Shop', techStack: ['React'], stylePreferences: { a: 1, b: 2 } };
+
+      expect(inputValidator.hashInputs(inputs)).toBe(inputValidator.hashInputs({
+        stylePreferences: { b: 2, a: 1 },
+        techStack: ['React'],
+        projectName: 'Shop',
+        category: 'web-app',
+        outputPath: './elsewhere',
+        dryRun: true
+      }));
+      expect(inputValidator.hashInputs(inputs)).not.toBe(inputValidator.hashInputs({ ...inputs, techStack: ['Vue'] }));
+    });
+  });
+});
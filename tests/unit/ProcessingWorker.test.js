@@ -0,0 +1,115 @@
+/**
+ * Conformance Tests for ProcessingWorker
+ * Renders every library template serially and in the worker pool and compares the output
+ */
+
+import { TemplateEngine } from '../../src/core/TemplateEngine.js';
+import { PromptGenerator } from '../../src/core/PromptGenerator.js';
+import { TemplateComposer } from '../../src/composition/TemplateComposer.js';
+import { ParallelProcessor } from '../../src/parallel/ParallelProcessor.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templateDir = path.join(__dirname, '../../templates');
+
+describe('ProcessingWorker', () => {
+  const templateEngine = new TemplateEngine();
+  const templateComposer = new TemplateComposer({
+    templateDir,
+    compositionDir: path.join(templateDir, 'compositions')
+  });
+  const generator = new PromptGenerator({ templateEngine, templateComposer });
+  const contexts = {
+    'web-app': generator.createGenerationContext({
+      category: 'web-app',
+      projectName: 'Conformance App',
+      techStack: ['React', 'TypeScript', 'Node.js', 'GitHub Actions'],
+      featureFlags: ['auth', 'routing', 'ci-cd', 'pwa'],
+      targetAudience: 'Developers'
+    }, { id: 'web-app', context: { architecture: 'SPA' } }),
+    'rest-api': generator.createGenerationContext({
+      category: 'rest-api',
+      projectName: 'Conformance API',
+      techStack: ['Express', 'PostgreSQL', 'Docker'],
+      featureFlags: ['validation', 'caching'],
+      constraints: ['GDPR']
+    }, { id: 'rest-api' })
+  };
+
+  let parallelProcessor;
+  let templates;
+
+  beforeAll(async () => {
+    await templateEngine.loadTemplates();
+    await templateComposer.initialize();
+
+    // Base templates, mixins and fragments only render as part of a composition
+    templates = [...templateEngine.templates.values()]
+      .filter(template => !/^(base|mixins|fragments)\//.test(template.id));
+
+    // One worker and one batch, so the pool never waits for a busy worker
+    parallelProcessor = new ParallelProcessor({ maxWorkers: 1, batchSize: 100 });
+  });
+
+  afterAll(async () => {
+    await parallelProcessor.shutdown();
+  });
+
+  const renderBothWays = async (renderedTemplates, context) => {
+    const serial = [];
+    for (const template of renderedTemplates) {
+      serial.push(await templateEngine.renderTemplate(template, context));
+    }
+    const parallel = await parallelProcessor.processTemplates(
+      renderedTemplates.map(template => ({ template, context }))
+    );
+
+    expect(parallel.filter(result => !result.success)).toEqual([]);
+
+    return {
+      serial: serial.map(file => ({ template: file.templateId, path: file.path, content: file.content })),
+      parallel: parallel.map(({ data }) => ({ template: data.template, path: data.path, content: data.content }))
+    };
+  };
+
+  test.each(Object.keys(contexts))('should render every template byte for byte like TemplateEngine (%s)', async (name) => {
+    const { serial, parallel } = await renderBothWays(templates, contexts[name]);
+
+    expect(parallel).toHaveLength(templates.length);
+    expect(parallel).toEqual(serial);
+  });
+
+  test.each(Object.keys(contexts))('should render every composition byte for byte like TemplateEngine (%s)', async (name) => {
+    const composed = [];
+    for (const compositionId of templateComposer.compositions.keys()) {
+      // Compositions whose base template is missing from the library cannot be composed
+      const template = await generator.composeTemplate(compositionId, contexts[name]).catch(() => null);
+      if (template) {
+        composed.push(template);
+      }
+    }
+    const { serial, parallel } = await renderBothWays(composed, contexts[name]);
+
+    expect(composed.length).toBeGreaterThan(0);
+    expect(parallel).toEqual(serial);
+  });
+
+  test('should render with the configured engine options', async () => {
+    const template = {
+      id: 'prompts/inline',
+      path: 'prompts/inline.md',
+      content: '<% projectName %>\n<%#techStack%>- <%.%>\n<%/techStack%>',
+      metadata: { variables: {} }
+    };
+    const context = { ...contexts['web-app'], projectName: 'A & B <App>' };
+    const options = { delimiter: '<%|%>', escapeHtml: true };
+
+    templateEngine.setOptions(options);
+    parallelProcessor.setTemplateEngineOptions(options);
+    const { serial, parallel } = await renderBothWays([template], context);
+
+    expect(parallel).toEqual(serial);
+    expect(parallel[0].content).toBe('A &amp; B &lt;App&gt;\n- React\n- TypeScript\n- Node.js\n- GitHub Actions\n');
+  });
+});
@@ -3,10 +3,10 @@
  * Tests the core generation workflow and component orchestration
  */
 
-import { PromptGenerator } from '../src/core/PromptGenerator.js';
-import { CategoryRegistry } from '../src/core/CategoryRegistry.js';
-import { TemplateEngine } from '../src/core/TemplateEngine.js';
-import { ValidationEngine } from '../src/validation/ValidationEngine.js';
+import { PromptGenerator } from '../../src/core/PromptGenerator.js';
+import { CategoryRegistry } from '../../src/core/CategoryRegistry.js';
+import { TemplateEngine } from '../../src/core/TemplateEngine.js';
+import { ValidationEngine } from '../../src/validation/ValidationEngine.js';
 import { jest } from '@jest/globals';
 
 describe('PromptGenerator', () => {
@@ -168,6 +168,30 @@ describe('PromptGenerator', () => {
       expect(context.hasVercel).toBe(true);
     });
 
+    test('should derive platform and feature flags from category options', () => {
+      const mobile = promptGenerator.createGenerationContext({
+        category: 'mobile-app',
+        projectName: 'App',
+        framework: 'React Native',
+        navigation: 'Tab',
+        authentication: true,
+        featureFlags: ['camera']
+      }, {});
+
+      expect(mobile).toMatchObject({
+        hasReactNative: true,
+        hasNative: false,
+        hasTabNavigation: true,
+        hasDrawerNavigation: false,
+        hasAuthentication: true,
+        hasCamera: true,
+        hasLocation: false
+      });
+
+      const api = promptGenerator.createGenerationContext({ category: 'rest-api', projectName: 'API', authentication: 'None' }, {});
+      expect(api).toMatchObject({ hasAuthentication: false, hasJWT: false, hasOAuth: false });
+    });
+
     test('should handle missing optional fields', () => {
       const inputs = {
         category: 'web-app',
@@ -180,6 +204,22 @@ describe('PromptGenerator', () => {
       expect(context.constraints).toEqual([]);
       expect(context.featureFlags).toEqual([]);
     });
+
+    test('should expose category-specific options to templates', () => {
+      const inputs = {
+        category: 'cli-tool',
+        projectName: 'Tool',
+        language: 'Go',
+        distribution: 'Homebrew',
+        manifestVersion: 3
+      };
+
+      const context = promptGenerator.createGenerationContext(inputs, {});
+
+      expect(context.language).toBe('Go');
+      expect(context.distribution).toBe('Homebrew');
+      expect(context.manifestVersion).toBeUndefined();
+    });
   });
 
   describe('Template Processing', () => {
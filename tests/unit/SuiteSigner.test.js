@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for SuiteSigner
+ * Tests Ed25519 signing of generated suites and signature checks during validation
+ */
+
+import { SuiteSigner, SIGNATURE_FILE } from '../../src/validation/SuiteSigner.js';
+import { ValidationEngine } from '../../src/validation/ValidationEngine.js';
+import { FileGenerator } from '../../src/output/FileGenerator.js';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+describe('SuiteSigner', () => {
+  let signer;
+  let tempDir;
+  let outputDir;
+
+  const createKeys = () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  };
+  const keys = createKeys();
+
+  const writeSuite = () => new FileGenerator().generateFiles({
+    files: {
+      prompts: { description: 'Prompts', files: [{ path: 'prompts/app.md', content: '# App', size: 5 }] }
+    },
+    manifest: {
+      version: '1.0.0',
+      structure: { prompts: { fileCount: 1, files: [{ path: 'prompts/app.md', size: 5 }] } }
+    },
+    usageInstructions: {}
+  }, outputDir);
+
+  beforeEach(async () => {
+    signer = new SuiteSigner();
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qoder-sign-'));
+    outputDir = path.join(tempDir, 'suite');
+    await writeSuite();
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('Signing', () => {
+    test('should sign the manifest and every file, and verify with the public key', async () => {
+      const signed = await signer.signSuite(outputDir, keys.privateKey);
+
+      expect(signed.fileCount).toBe(2);
+      expect(signed.signaturePath).toBe(path.join(outputDir, SIGNATURE_FILE));
+
+      const result = await signer.verifySuite(outputDir, keys.publicKey);
+      expect(result).toMatchObject({ signed: true, valid: true, keyFingerprint: signed.keyFingerprint, error: null });
+    });
+
+    test('should detect changed files and a changed manifest', async () => {
+      await signer.signSuite(outputDir, keys.privateKey);
+      await fs.appendFile(path.join(outputDir, 'prompts', 'app.md'), '\nedited');
+
+      expect((await signer.verifySuite(outputDir, keys.publicKey)).error).toBe('Signature does not match the suite contents');
+
+      await writeSuite();
+      await signer.signSuite(outputDir, keys.privateKey);
+      const manifestPath = path.join(outputDir, 'qoder-manifest.json');
+      await fs.writeFile(manifestPath, (await fs.readFile(manifestPath, 'utf8')).replace('"size": 5', '"size": 6'));
+
+      expect((await signer.verifySuite(outputDir, keys.publicKey)).valid).toBe(false);
+    });
+
+    test('should reject other keys, unsigned suites and non-Ed25519 keys', async () => {
+      expect((await signer.verifySuite(outputDir, keys.publicKey)).error).toContain('Suite is not signed');
+
+      await signer.signSuite(outputDir, keys.privateKey);
+      expect((await signer.verifySuite(outputDir, createKeys().publicKey)).error).toContain('signed with a different key');
+
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      await expect(signer.signSuite(outputDir, privateKey.export({ type: 'pkcs8', format: 'pem' })))
+        .rejects.toThrow('Expected an Ed25519 private key, got ec');
+    });
+
+    test('should drop the signature when the suite is regenerated', async () => {
+      await signer.signSuite(outputDir, keys.privateKey);
+      await writeSuite();
+
+      expect(await fs.pathExists(path.join(outputDir, SIGNATURE_FILE))).toBe(false);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should refuse unsigned suites when a public key is required', async () => {
+      const validationEngine = new ValidationEngine();
+      await validationEngine.loadValidationRules();
+
+      const unsigned = await validationEngine.validateGeneratedFiles(outputDir, { publicKey: keys.publicKey });
+      expect(unsigned.valid).toBe(false);
+      expect(unsigned.findings).toEqual(expect.arrayContaining([
+        expect.objectContaining({ ruleId: 'signature', severity: 'error', path: SIGNATURE_FILE })
+      ]));
+
+      await signer.signSuite(outputDir, keys.privateKey);
+      const signed = await validationEngine.validateGeneratedFiles(outputDir, { publicKey: keys.publicKey });
+      expect(signed.valid).toBe(true);
+      expect(signed.extra).toEqual([]);
+    });
+  });
+});
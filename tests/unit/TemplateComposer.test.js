@@ -0,0 +1,228 @@
+/**
+ * Unit Tests for TemplateComposer
+ * Tests inheritance, mixins and compositions, and their use in PromptGenerator
+ */
+
+import { TemplateComposer } from '../../src/composition/TemplateComposer.js';
+import { PromptGenerator } from '../../src/core/PromptGenerator.js';
+import { TemplateEngine } from '../../src/core/TemplateEngine.js';
+import { CategoryRegistry } from '../../src/core/CategoryRegistry.js';
+import { ValidationEngine } from '../../src/validation/ValidationEngine.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templateDir = path.join(__dirname, '../../templates');
+
+describe('TemplateComposer', () => {
+  let templateComposer;
+
+  beforeAll(async () => {
+    templateComposer = new TemplateComposer({
+      templateDir,
+      compositionDir: path.join(templateDir, 'compositions')
+    });
+    await templateComposer.initialize();
+  });
+
+  describe('Inheritance', () => {
+    test('should render child blocks in place and parent blocks at placeholders', () => {
+      const blocks = new Map([
+        ['header', 'PARENT HEADER'],
+        ['main', 'CHILD MAIN']
+      ]);
+      const content = '{{> header}}\n{{#block main}}CHILD MAIN{{/block}}\n{{> missing}}';
+
+      expect(templateComposer.replaceBlocks(content, blocks, {})).toBe('PARENT HEADER\nCHILD MAIN\n{{> missing}}');
+    });
+
+    test('should not repeat a block that is also placed explicitly', () => {
+      const blocks = new Map([['main', 'MAIN']]);
+      const content = 'before\n{{> main}}\n{{#block main}}MAIN{{/block}}\nafter';
+
+      expect(templateComposer.replaceBlocks(content, blocks, {})).toBe('before\nMAIN\n\nafter');
+    });
+  });
+
+  describe('Conditions', () => {
+    const context = {
+      techStack: ['TypeScript', 'Express'],
+      deploymentTarget: 'Kubernetes',
+      featureFlags: [],
+      performanceTargets: { responseTime: '200' },
+      team: { size: 4 }
+    };
+    const evaluate = (condition) => templateComposer.evaluateCondition(condition, context);
+
+    test('should support comparison operators', () => {
+      expect(evaluate({ property: 'deploymentTarget', value: 'Kubernetes' })).toBe(true);
+      expect(evaluate({ property: 'deploymentTarget', operator: 'notEquals', value: 'Vercel' })).toBe(true);
+      expect(evaluate({ property: 'deploymentTarget', operator: 'in', value: ['AWS', 'Kubernetes'] })).toBe(true);
+      expect(evaluate({ property: 'deploymentTarget', operator: 'matches', value: '^kube', flags: 'i' })).toBe(true);
+      expect(evaluate({ property: 'team.size', operator: 'gte', value: 4 })).toBe(true);
+      expect(evaluate({ property: 'performanceTargets.responseTime', operator: 'lt', value: 100 })).toBe(false);
+      expect(evaluate({ property: 'deploymentTarget', operator: 'gt', value: 1 })).toBe(false);
+      expect(evaluate({ property: 'region', operator: 'exists' })).toBe(false);
+      expect(evaluate('team.size')).toBe(true);
+    });
+
+    test('should match falsy values', () => {
+      expect(templateComposer.evaluateCondition({ property: 'enabled', value: false }, { enabled: false })).toBe(true);
+      expect(templateComposer.evaluateCondition({ property: 'count', operator: 'equals', value: 0 }, { count: 0 })).toBe(true);
+    });
+
+    test('should compare techStack entries case-insensitively', () => {
+      expect(evaluate({ property: 'techStack', operator: 'contains', value: 'typescript' })).toBe(true);
+      expect(evaluate({ property: 'deploymentTarget', operator: 'contains', value: 'KUBER' })).toBe(true);
+      expect(evaluate({ property: 'techStack', operator: 'contains', value: 'Fastify' })).toBe(false);
+    });
+
+    test('should combine conditions with and, or and not', () => {
+      const typedServer = {
+        and: [
+          { property: 'techStack', operator: 'contains', value: 'TypeScript' },
+          {
+            or: [
+              { property: 'techStack', operator: 'contains', value: 'Express' },
+              { property: 'techStack', operator: 'contains', value: 'Fastify' }
+            ]
+          }
+        ]
+      };
+
+      expect(evaluate(typedServer)).toBe(true);
+      expect(evaluate({ not: typedServer })).toBe(false);
+      expect(evaluate({ or: [{ not: 'featureFlags' }, 'missing'] })).toBe(false);
+    });
+
+    test('should reject malformed conditions', () => {
+      expect(() => evaluate({ property: 'techStack', operator: 'startsWith', value: 'T' }))
+        .toThrow('Unknown condition operator: startsWith');
+      expect(() => evaluate({ property: 'techStack', operator: 'contains' }))
+        .toThrow('Condition operator "contains" requires a value');
+      expect(() => evaluate({ property: 'deploymentTarget', operator: 'in', value: 'AWS' }))
+        .toThrow('requires a list value');
+      expect(() => evaluate({ and: [] })).toThrow('Condition "and" requires a non-empty list');
+      expect(() => evaluate({ operator: 'exists' })).toThrow('Condition requires a property');
+    });
+
+    test('should report condition errors when validating compositions', () => {
+      const result = templateComposer.validateComposition({
+        base: 'application-base',
+        transformations: [{
+          type: 'conditional',
+          condition: { or: [{ property: 'techStack', operator: 'includes', value: 'Go' }] },
+          transformations: []
+        }]
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Unknown condition operator: includes');
+    });
+  });
+
+  describe('Compositions', () => {
+    test('should compose a composition with inheritance, mixins and transformations', async () => {
+      const content = await templateComposer.composeTemplate('web-application', {
+        techStack: ['React', 'TypeScript'],
+        featureFlags: []
+      });
+
+      expect(content).not.toMatch(/\{\{#block|\{\{\/block\}\}|\{\{>/);
+      expect(content).toMatch(/^# \{\{projectName\}\} - Web Application\n/);
+      expect(content).toContain('## TypeScript Configuration');
+      expect(content).toContain('## Getting Started');
+      expect(content).toContain('## Web Application Implementation Guide');
+      expect(content).toContain('## Responsive Design');
+      expect(content).toContain('## Authentication & Authorization');
+    });
+
+    test('should apply replace and conditional transformations', async () => {
+      const content = await templateComposer.composeTemplate('advanced-api', {
+        techStack: [],
+        featureFlags: ['graphql']
+      });
+
+      expect(content).toContain('/api/v2');
+      expect(content).toContain('## Testing Strategy');
+      expect(content).toContain('## GraphQL Integration');
+      expect(content).not.toContain('## Typed Request Handling');
+
+      const typed = await templateComposer.composeTemplate('advanced-api', {
+        techStack: ['typescript', 'Fastify'],
+        featureFlags: []
+      });
+      expect(typed).toContain('## Typed Request Handling');
+    });
+
+    test('should know compositions and base templates', () => {
+      expect(templateComposer.hasComposition('advanced-api')).toBe(true);
+      expect(templateComposer.hasComposition('web-app-base')).toBe(true);
+      expect(templateComposer.hasComposition('unknown-composition')).toBe(false);
+    });
+  });
+
+  describe('Generation Pipeline', () => {
+    let promptGenerator;
+    let templateEngine;
+
+    beforeAll(() => {
+      templateEngine = new TemplateEngine();
+      promptGenerator = new PromptGenerator({ templateEngine, templateComposer });
+    });
+
+    test('should build a renderable template from a composition', async () => {
+      const context = promptGenerator.createGenerationContext({
+        category: 'web-app',
+        projectName: 'shop',
+        techStack: ['React', 'Redux'],
+        featureFlags: ['auth']
+      }, {});
+
+      const template = await promptGenerator.composeTemplate('web-application', context);
+      expect(template).toMatchObject({
+        id: 'compositions/web-application',
+        metadata: { composition: 'web-application' }
+      });
+
+      const rendered = await templateEngine.renderTemplate(template, context);
+      expect(rendered.path).toBe('prompts/web-application.md');
+      expect(rendered.content).toContain('#### React Components');
+      expect(rendered.content).toContain('#### Redux Toolkit');
+      expect(rendered.content).not.toContain('#### Vue Components');
+    });
+
+    test('should replace the selected templates with the composition', async () => {
+      const categoryRegistry = new CategoryRegistry();
+      await categoryRegistry.loadCategories();
+      const loadedEngine = new TemplateEngine();
+      await loadedEngine.loadTemplates();
+      const validationEngine = new ValidationEngine();
+      await validationEngine.loadValidationRules();
+      const generator = new PromptGenerator({
+        categoryRegistry,
+        templateEngine: loadedEngine,
+        templateComposer,
+        validationEngine
+      });
+
+      const suite = await generator.generate({
+        category: 'web-app',
+        projectName: 'Shop',
+        techStack: ['React'],
+        composition: 'web-application'
+      });
+      const prompts = Object.values(suite.files)
+        .flatMap(directory => directory.files)
+        .filter(file => file.path.startsWith('prompts/'));
+
+      expect(prompts.map(file => file.path)).toEqual(['prompts/web-application.md']);
+      expect(prompts[0].content).toMatch(/^# Shop - Web Application\n/);
+    });
+
+    test('should reject unknown compositions', async () => {
+      await expect(promptGenerator.composeTemplate('unknown-composition', {}))
+        .rejects.toThrow('Composition not found: unknown-composition');
+    });
+  });
+});
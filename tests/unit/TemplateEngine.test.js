@@ -3,7 +3,7 @@
  * Tests template loading, selection, and rendering functionality
  */
 
-import { TemplateEngine } from '../src/core/TemplateEngine.js';
+import { TemplateEngine } from '../../src/core/TemplateEngine.js';
 import { jest } from '@jest/globals';
 import fs from 'fs-extra';
 import path from 'path';
@@ -111,6 +111,52 @@ No metadata here.
       expect(metadata.dependencies).toEqual(['react', 'webpack', 'babel']);
       expect(metadata.techStack).toEqual(['React', 'TypeScript']);
     });
+
+    test('should parse YAML front matter with declared variables', () => {
+      const templateContent = [
+        '---',
+        'title: Next.js Application',
+        'category: applications',
+        'subcategories: [web-app]',
+        'techStack: [Next.js]',
+        'version: 1.2',
+        'extends: application-base',
+        'variables:',
+        '  renderingStrategy:',
+        '    enum: [SSR, SSG]',
+        '    default: SSR',
+        '    description: How pages are rendered',
+        '---',
+        '# {{projectName}}'
+      ].join('\n');
+
+      const metadata = templateEngine.parseTemplateMetadata(templateContent);
+      expect(metadata).toMatchObject({
+        title: 'Next.js Application',
+        category: 'applications',
+        subcategories: ['web-app'],
+        techStack: ['Next.js'],
+        version: '1.2',
+        extends: 'application-base',
+        variables: {
+          renderingStrategy: { type: 'string', required: false, enum: ['SSR', 'SSG'], default: 'SSR' }
+        }
+      });
+      expect(templateEngine.splitFrontMatter(templateContent)).toEqual({
+        frontMatter: expect.stringContaining('title: Next.js Application'),
+        body: '# {{projectName}}',
+        lineOffset: 13
+      });
+    });
+
+    test('should ignore invalid front matter with a warning', () => {
+      const warn = jest.spyOn(templateEngine.logger, 'warn').mockImplementation(() => {});
+      const templateContent = '---\nvariables:\n  mode:\n    type: number\n    default: fast\n---\n# Title';
+
+      const metadata = templateEngine.parseTemplateMetadata(templateContent, 'prompts/test');
+      expect(metadata.variables).toEqual({});
+      expect(warn).toHaveBeenCalledWith('Ignoring front matter of prompts/test: default of "mode" must be a number');
+    });
   });
 
   describe('Template Selection', () => {
@@ -389,4 +435,117 @@ No metadata here.
       expect(isValid).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Template Variables', () => {
+    const template = {
+      id: 'prompts/next',
+      path: 'prompts/next.md',
+      lineOffset: 10,
+      content: '**Rendering:** {{renderingStrategy}}\n{{#hasISR}}ISR{{/hasISR}}{{#port}}:{{port}}{{/port}}',
+      metadata: {
+        variables: {
+          renderingStrategy: { type: 'string', enum: ['SSR', 'SSG'], default: 'SSR' },
+          hasISR: { type: 'boolean' },
+          port: { type: 'number', required: true }
+        }
+      }
+    };
+
+    test('should apply defaults and render declared variables without a value as defined', async () => {
+      const rendered = await templateEngine.renderTemplate(template, { port: '3000' });
+
+      expect(rendered.content).toBe('**Rendering:** SSR\n:3000');
+      expect(templateEngine.applyTemplateVariables(template, { port: 80, renderingStrategy: 'SSG' }))
+        .toEqual({ port: 80, renderingStrategy: 'SSG', hasISR: undefined });
+    });
+
+    test('should reject values that do not match their declaration', async () => {
+      await expect(templateEngine.renderTemplate(template, { renderingStrategy: 'CSR' }))
+        .rejects.toThrow('Template prompts/next variables are invalid: "renderingStrategy" must be one of [SSR, SSG], "port" is required');
+    });
+
+    test('should count front matter in reported line numbers', () => {
+      const undeclared = { ...template, content: `${template.content}\n{{missing}}` };
+
+      expect(templateEngine.findUndefinedVariables(undeclared, templateEngine.applyTemplateVariables(template, { port: 1 })))
+        .toEqual([{ name: 'missing', type: 'variable', line: 13 }]);
+    });
+
+    test('should load templates without their front matter', async () => {
+      await templateEngine.loadTemplates();
+      const template = templateEngine.getTemplate('prompts/nextjs-app');
+
+      expect(template.content.startsWith('# Next.js Full-Stack Application')).toBe(true);
+      expect(template.source.startsWith('---\n')).toBe(true);
+      expect(template.metadata.variables.renderingStrategy.default).toBe('Hybrid');
+    });
+  });
+
+  describe('Undefined Variables', () => {
+    const template = {
+      id: 'prompts/test',
+      path: 'prompts/test.md',
+      content: [
+        '# {{projectName}}',
+        '**Rendering:** {{renderingStrategy}}',
+        '{{#techStack}}',
+        '- {{.}} for {{projectName}}',
+        '{{/techStack}}',
+        '{{#features}}',
+        '- {{name}}: {{summary}}',
+        '{{/features}}',
+        '{{#hasAuth}}{{authProvider}}{{/hasAuth}}',
+        '{{^hasSSR}}Client only{{/hasSSR}}',
+        '{{> footer}}',
+        '{{=<% %>=}}',
+        'value={{ user }}',
+        '<%={{ }}=%>'
+      ].join('\n')
+    };
+    const context = {
+      projectName: 'Demo',
+      techStack: ['React'],
+      features: [{ name: 'Search', summary: 'Full text' }, { name: 'Login' }],
+      hasAuth: false,
+      targetAudience: undefined
+    };
+
+    test('should report undefined variables, sections and partials with their line', () => {
+      templateEngine.partials.set('footer', 'Made for {{targetAudience}} by {{author}}');
+
+      expect(templateEngine.findUndefinedVariables(template, context)).toEqual([
+        { name: 'renderingStrategy', type: 'variable', line: 2 },
+        { name: 'hasSSR', type: 'section', line: 10 },
+        { name: 'author', type: 'variable', line: 11 }
+      ]);
+
+      templateEngine.partials.clear();
+      expect(templateEngine.findUndefinedVariables(template, context)).toContainEqual({ name: 'footer', type: 'partial', line: 11 });
+    });
+
+    test('should resolve dotted names and names of enclosing sections', () => {
+      const nested = { id: 'nested', content: '{{#git}}{{branch}} {{date.year}} {{git.tag}}{{/git}} {{git.missing}}' };
+
+      expect(templateEngine.findUndefinedVariables(nested, { git: { branch: 'main' }, date: { year: 2026 } })).toEqual([
+        { name: 'git.tag', type: 'variable', line: 1 },
+        { name: 'git.missing', type: 'variable', line: 1 }
+      ]);
+    });
+
+    test('should fail in strict mode and warn otherwise', async () => {
+      const warn = jest.spyOn(templateEngine.logger, 'warn').mockImplementation(() => {});
+
+      const rendered = await templateEngine.renderTemplate(template, context);
+      expect(rendered.content).toContain('**Rendering:** \n');
+      expect(rendered.content).toContain('value={{ user }}');
+      expect(warn).toHaveBeenCalledWith(
+        'Template prompts/test uses undefined variables: {{renderingStrategy}} (line 2), {{#hasSSR}} (line 10), {{>footer}} (line 11)'
+      );
+
+      templateEngine.setOptions({ strict: true });
+      await expect(templateEngine.renderTemplate(template, context))
+        .rejects.toThrow('Template prompts/test uses undefined variables: {{renderingStrategy}} (line 2)');
+      await expect(templateEngine.renderTemplates([template], context)).rejects.toThrow('{{#hasSSR}} (line 10)');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for TemplateSelector
+ * Tests scoring, threshold, cap and explanations of template selection
+ */
+
+import { TemplateSelector, SELECTION_WEIGHTS } from '../../src/core/TemplateSelector.js';
+import { TemplateEngine } from '../../src/core/TemplateEngine.js';
+
+describe('TemplateSelector', () => {
+  const createTemplate = (id, metadata = {}) => ({ id, metadata: { techStack: [], features: [], ...metadata } });
+
+  const templates = [
+    createTemplate('prompts/react-web-app'),
+    createTemplate('prompts/web-app'),
+    createTemplate('prompts/nextjs-app', {
+      category: 'applications',
+      subcategories: ['web-app'],
+      techStack: ['Next.js'],
+      features: ['routing']
+    }),
+    createTemplate('prompts/vue-enterprise', {
+      category: 'applications',
+      subcategories: ['web-app'],
+      techStack: ['Vue'],
+      features: ['routing']
+    }),
+    createTemplate('prompts/java-service', { techStack: ['Java'] }),
+    createTemplate('prompts/cicd-pipeline', { techStack: ['GitHub Actions'], features: ['ci-cd'] }),
+    createTemplate('base/web-app-base', { subcategories: ['web-app'] })
+  ];
+
+  const categoryConfig = {
+    id: 'web-app',
+    parentCategory: { id: 'applications' },
+    templates: ['prompts/react-web-app', 'prompts/missing']
+  };
+
+  test('should score templates by category, subcategory, tech stack and feature flags', () => {
+    const selector = new TemplateSelector();
+    const entry = selector.scoreTemplate(templates[2], categoryConfig, {
+      techStack: ['nextjs', 'React'],
+      featureFlags: ['routing', 'auth']
+    });
+
+    expect(entry.reasons).toEqual([
+      { signal: 'subcategory', match: 'web-app', points: SELECTION_WEIGHTS.subcategory },
+      { signal: 'category', match: 'applications', points: SELECTION_WEIGHTS.category },
+      { signal: 'techStack', match: 'nextjs', points: SELECTION_WEIGHTS.techStack },
+      { signal: 'feature', match: 'routing', points: SELECTION_WEIGHTS.feature }
+    ]);
+    expect(entry.score).toBe(7);
+  });
+
+  test('should match whole tech-stack tokens only', () => {
+    const selector = new TemplateSelector();
+
+    expect(selector.matchTokens(['Java'], ['JavaScript', 'TypeScript'])).toEqual([]);
+    expect(selector.matchTokens(['Next.js', 'Node.js'], ['next-js', 'NODE', 'Nuxt'])).toEqual(['next-js', 'NODE']);
+  });
+
+  test('should select listed templates first, then the best scores above the threshold', () => {
+    const selection = new TemplateSelector().select(templates, categoryConfig, {
+      techStack: ['Next.js', 'JavaScript', 'GitHub Actions'],
+      featureFlags: ['routing']
+    });
+
+    expect(selection.selected.map(entry => entry.id)).toEqual([
+      'prompts/react-web-app', 'prompts/nextjs-app', 'prompts/web-app'
+    ]);
+    expect(selection.rejected.map(({ id, score, because }) => ({ id, score, because }))).toEqual([
+      { id: 'prompts/vue-enterprise', score: 4, because: 'written for Vue' },
+      { id: 'prompts/cicd-pipeline', score: 3, because: 'below the threshold of 4' }
+    ]);
+    expect(selection.missing).toEqual(['prompts/missing']);
+  });
+
+  test('should cap the number of templates', () => {
+    const selector = new TemplateSelector({ maxTemplates: 2 });
+    const selection = selector.select(templates, categoryConfig, { techStack: ['Next.js'] });
+
+    expect(selection.selected.map(entry => entry.id)).toEqual(['prompts/react-web-app', 'prompts/nextjs-app']);
+    expect(selection.rejected).toContainEqual(expect.objectContaining({
+      id: 'prompts/web-app',
+      because: 'over the cap of 2 templates'
+    }));
+  });
+
+  describe('TemplateEngine', () => {
+    let templateEngine;
+
+    beforeAll(async () => {
+      templateEngine = new TemplateEngine({ selection: { threshold: 4 } });
+      await templateEngine.loadTemplates();
+    });
+
+    test('should not add framework templates to unrelated categories', async () => {
+      const selected = await templateEngine.selectTemplates({ id: 'graphql-api', templates: [] }, {
+        category: 'graphql-api',
+        techStack: ['Next.js', 'Vue']
+      });
+
+      expect(selected.map(template => template.id)).toEqual(['prompts/graphql-api']);
+      expect(templateEngine.findBaseTemplates('web-app')).toEqual([]);
+      expect(templateEngine.findTemplatesByTechStack(['Java'])).toEqual([]);
+    });
+
+    test('should explain the selection', () => {
+      const selection = templateEngine.explainSelection(
+        { id: 'web-app', parentCategory: { id: 'applications' }, templates: ['prompts/react-web-app'] },
+        { category: 'web-app', techStack: ['Next.js'] }
+      );
+
+      expect(selection.selected.map(entry => [entry.id, entry.score])).toEqual([
+        ['prompts/react-web-app', 10],
+        ['prompts/nextjs-app', 6]
+      ]);
+      expect(selection.rejected.find(entry => entry.id === 'prompts/vue-enterprise').because).toBe('written for Vue');
+    });
+  });
+});
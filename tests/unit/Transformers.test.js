@@ -3,12 +3,23 @@
  * Tests the BaseTransformer and specific transformer implementations
  */
 
-import { BaseTransformer } from '../src/transformers/BaseTransformer.js';
-import FormattingTransformer from '../src/transformers/formattingTransformer.js';
-import OpenAPITransformer from '../src/transformers/openApiTransformer.js';
-import TestingTransformer from '../src/transformers/testingTransformer.js';
-import SeoTransformer from '../src/transformers/seoTransformer.js';
+import { BaseTransformer } from '../../src/transformers/BaseTransformer.js';
+import FormattingTransformer from '../../src/transformers/formattingTransformer.js';
+import OpenAPITransformer from '../../src/transformers/openapiTransformer.js';
+import TestingTransformer from '../../src/transformers/testingTransformer.js';
+import SeoTransformer from '../../src/transformers/seoTransformer.js';
+import DependencyTransformer from '../../src/transformers/dependencyTransformer.js';
+import PlatformTransformer from '../../src/transformers/platformTransformer.js';
+import AssetsTransformer from '../../src/transformers/assetsTransformer.js';
+import { PromptGenerator } from '../../src/core/PromptGenerator.js';
+import { InputValidator } from '../../src/core/InputValidator.js';
 import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'yaml';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 describe('Transformer System', () => {
   
@@ -392,11 +403,176 @@ describe('Transformer System', () => {
     });
   });
 
+  describe('DependencyTransformer', () => {
+    let dependencyTransformer;
+
+    beforeEach(() => {
+      dependencyTransformer = new DependencyTransformer();
+    });
+
+    test('should generate package.json for Node.js stacks', async () => {
+      const techStack = new InputValidator().normalizeTechStack(['reactjs', 'typescript', 'expressjs', 'vue', 'nodejs']);
+      const context = { projectName: 'Task Master', techStack };
+
+      const result = await dependencyTransformer.doTransform([], {}, context);
+
+      const packageFile = result.find(f => f.path === 'package.json');
+      expect(packageFile).toBeDefined();
+
+      const manifest = JSON.parse(packageFile.content);
+      expect(manifest.name).toBe('task-master');
+      expect(manifest.dependencies).toHaveProperty('react');
+      expect(manifest.dependencies).toHaveProperty('express');
+      expect(manifest.dependencies).toHaveProperty('vue');
+      expect(manifest.devDependencies).toHaveProperty('typescript');
+      expect(result.find(f => f.path === 'requirements.txt')).toBeUndefined();
+    });
+
+    test('should generate requirements.txt for Python stacks', async () => {
+      const context = { projectName: 'Vision', techStack: ['Python', 'FastAPI', 'PyTorch'] };
+
+      const result = await dependencyTransformer.doTransform([], {}, context);
+
+      const requirements = result.find(f => f.path === 'requirements.txt');
+      expect(requirements.content).toContain('fastapi~=');
+      expect(requirements.content).toContain('torch~=');
+      expect(result.find(f => f.path === 'package.json')).toBeUndefined();
+    });
+
+    test('should add database clients only to the ecosystems the stack picks', async () => {
+      const javascript = await dependencyTransformer.doTransform([], {}, {
+        projectName: 'Shop',
+        techStack: ['React', 'Node.js', 'MongoDB', 'Redis']
+      });
+      const python = await dependencyTransformer.doTransform([], {}, {
+        projectName: 'Api',
+        techStack: ['Django', 'PostgreSQL']
+      });
+
+      expect(javascript.find(f => f.path === 'requirements.txt')).toBeUndefined();
+      expect(JSON.parse(javascript.find(f => f.path === 'package.json').content).dependencies)
+        .toMatchObject({ mongoose: '^8.0.0', ioredis: '^5.3.0' });
+      expect(python.find(f => f.path === 'package.json')).toBeUndefined();
+      expect(python.find(f => f.path === 'requirements.txt').content).toContain('psycopg[binary]~=3.1');
+      expect(await dependencyTransformer.doTransform([], {}, { techStack: ['PostgreSQL'] })).toEqual([]);
+    });
+
+    test('should not overwrite existing manifests or run when disabled', async () => {
+      const files = [{ path: 'package.json', content: '{}' }];
+      const context = { techStack: ['React'] };
+
+      expect(await dependencyTransformer.doTransform(files, {}, context)).toEqual(files);
+      expect(await dependencyTransformer.doTransform([], { manifests: false }, context)).toEqual([]);
+    });
+  });
+
+  describe('PlatformTransformer', () => {
+    let platformTransformer;
+    const prompt = [
+      '# Mobile App',
+      '## Deployment',
+      '### iOS Deployment',
+      '- Configure signing',
+      '### Android Deployment',
+      '- Configure Gradle',
+      '## Shared',
+      '- Works on iOS and Android',
+      '',
+      '---',
+      '*footer*'
+    ].join('\n');
+
+    beforeEach(() => {
+      platformTransformer = new PlatformTransformer();
+    });
+
+    test('should split platform sections into separate prompt files', async () => {
+      const files = [{ path: 'prompts/mobile-app.md', content: prompt, templateId: 'prompts/mobile-app' }];
+
+      const result = await platformTransformer.doTransform(files, { ios: true, android: true }, { projectName: 'App' });
+
+      const main = result.find(f => f.path === 'prompts/mobile-app.md');
+      const ios = result.find(f => f.path === 'prompts/mobile-app-ios.md');
+      const android = result.find(f => f.path === 'prompts/mobile-app-android.md');
+
+      expect(ios.content).toContain('- Configure signing');
+      expect(android.content).toContain('- Configure Gradle');
+      expect(main.content).not.toContain('Configure signing');
+      expect(main.content).not.toContain('## Deployment');
+      expect(main.content).toContain('Works on iOS and Android');
+      expect(main.content).toContain('mobile-app-ios.md');
+      expect(main.content.trimEnd().endsWith('*footer*')).toBe(true);
+    });
+
+    test('should drop sections for disabled platforms', async () => {
+      const files = [{ path: 'prompts/mobile-app.md', content: prompt }];
+
+      const result = await platformTransformer.doTransform(files, { ios: true, android: false }, {});
+
+      expect(result.map(f => f.path)).toEqual(['prompts/mobile-app.md', 'prompts/mobile-app-ios.md']);
+      expect(result[0].content).not.toContain('Configure Gradle');
+    });
+
+    test('should leave files without platform sections untouched', async () => {
+      const files = [
+        { path: 'prompts/web.md', content: '# Web\n## Setup\n- Install' },
+        { path: 'src/ios.js', content: '// iOS helpers' }
+      ];
+
+      expect(await platformTransformer.doTransform(files, {}, {})).toEqual(files);
+    });
+  });
+
+  describe('AssetsTransformer', () => {
+    let assetsTransformer;
+
+    beforeEach(() => {
+      assetsTransformer = new AssetsTransformer();
+    });
+
+    test('should generate icon and splash specs for mobile platforms', async () => {
+      const config = { generateIcons: true, splash: true };
+      const context = { category: 'mobile-app', themeColor: '#123456' };
+
+      const result = await assetsTransformer.doTransform([], config, context);
+
+      const icons = JSON.parse(result.find(f => f.path === 'assets/icons.json').content);
+      const splash = JSON.parse(result.find(f => f.path === 'assets/splash.json').content);
+
+      expect(Object.keys(icons.platforms)).toEqual(['ios', 'android']);
+      expect(icons.backgroundColor).toBe('#123456');
+      expect(icons.platforms.ios.find(icon => icon.name === 'AppStore').pixels).toBe(1024);
+      expect(icons.platforms.ios.some(icon => icon.file === 'iPhone-60@3x.png' && icon.pixels === 180)).toBe(true);
+      expect(splash.platforms.android).toBeDefined();
+    });
+
+    test('should target web icons outside mobile and desktop categories', async () => {
+      const result = await assetsTransformer.doTransform([], { generateIcons: true }, { category: 'pwa' });
+
+      const icons = JSON.parse(result[0].content);
+      expect(Object.keys(icons.platforms)).toEqual(['web']);
+      expect(result.find(f => f.path === 'assets/splash.json')).toBeUndefined();
+    });
+
+    test('should respect the mobile platform option', () => {
+      expect(assetsTransformer.resolvePlatforms({}, { category: 'mobile-game', platform: 'Android' })).toEqual(['android']);
+      expect(assetsTransformer.resolvePlatforms({ platforms: ['desktop'] }, { category: 'mobile-game' })).toEqual(['desktop']);
+    });
+
+    test('should describe image optimization and sprite generation', async () => {
+      const result = await assetsTransformer.doTransform([], { optimizeImages: true, generateSprites: true }, {});
+
+      const pipeline = JSON.parse(result.find(f => f.path === 'assets/pipeline.json').content);
+      expect(pipeline.optimization.formats).toContain('webp');
+      expect(pipeline.sprites.output).toBe('assets/sprites/atlas.png');
+    });
+  });
+
   describe('Transformer Integration', () => {
     test('should load transformers dynamically', async () => {
       // Test that we can import transformers as expected by PromptGenerator
-      const FormattingTransformerClass = (await import('../src/transformers/formattingTransformer.js')).default;
-      const OpenAPITransformerClass = (await import('../src/transformers/openApiTransformer.js')).default;
+      const FormattingTransformerClass = (await import('../../src/transformers/formattingTransformer.js')).default;
+      const OpenAPITransformerClass = (await import('../../src/transformers/openapiTransformer.js')).default;
       
       expect(FormattingTransformerClass).toBeDefined();
       expect(OpenAPITransformerClass).toBeDefined();
@@ -408,6 +584,33 @@ describe('Transformer System', () => {
       expect(openApiTransformer).toBeInstanceOf(BaseTransformer);
     });
 
+    test('should load every transformer type the category configs name', async () => {
+      const categoryDir = path.join(__dirname, '../../config/categories');
+      const types = new Set();
+      const collectTypes = (value) => {
+        if (Array.isArray(value)) {
+          value.forEach(collectTypes);
+        } else if (value && typeof value === 'object') {
+          for (const transformation of value.transformations || []) {
+            types.add(transformation.type);
+          }
+          Object.values(value).forEach(collectTypes);
+        }
+      };
+
+      for (const file of await fs.readdir(categoryDir)) {
+        if (file.endsWith('.yaml')) {
+          collectTypes(yaml.parse(await fs.readFile(path.join(categoryDir, file), 'utf8')));
+        }
+      }
+
+      const generator = new PromptGenerator();
+      expect(types).toContain('openapi');
+      for (const type of types) {
+        await expect(generator.loadTransformer(type)).resolves.toBeInstanceOf(BaseTransformer);
+      }
+    });
+
     test('should handle transformer chain execution', async () => {
       const files = [
         { path: 'test.js', content: 'function test() { return "hello"; }' }
@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for ValidationReporter
+ * Tests JSON, SARIF and JUnit XML report generation
+ */
+
+import { ValidationReporter, REPORT_FORMATS } from '../../src/validation/ValidationReporter.js';
+
+describe('ValidationReporter', () => {
+  let reporter;
+
+  const result = {
+    valid: false,
+    outputPath: '/tmp/suite',
+    fileCount: 2,
+    errors: ['[syntax-check] prompts/config.json: Syntax error'],
+    warnings: ['[secret-scan] Potential secret detected in prompts/app.md (line 4)'],
+    files: [{ path: 'prompts/app.md' }, { path: 'prompts/config.json' }],
+    findings: [
+      {
+        ruleId: 'secret-scan',
+        severity: 'warning',
+        path: 'prompts/app.md',
+        line: 4,
+        column: null,
+        message: 'Potential secret detected in prompts/app.md (line 4)'
+      },
+      {
+        ruleId: 'syntax-check',
+        severity: 'error',
+        path: 'prompts/config.json',
+        line: 2,
+        column: 7,
+        message: 'Syntax error: <unexpected> "}"'
+      },
+      {
+        ruleId: 'manifest',
+        severity: 'error',
+        path: null,
+        line: null,
+        column: null,
+        message: 'Manifest not found: qoder-manifest.json'
+      }
+    ]
+  };
+
+  const rules = {
+    'secret-scan': { name: 'Secret Scanning', description: 'Scans for exposed secrets and API keys', severity: 'critical' },
+    'syntax-check': { name: 'Syntax Check', description: 'Validates code syntax for common languages' }
+  };
+
+  beforeEach(() => {
+    reporter = new ValidationReporter();
+  });
+
+  test('should list supported formats', () => {
+    expect(REPORT_FORMATS).toEqual(['text', 'json', 'sarif', 'junit']);
+  });
+
+  test('should output raw results as JSON', () => {
+    expect(JSON.parse(reporter.format(result, 'json'))).toEqual(result);
+  });
+
+  test('should reject unsupported formats', () => {
+    expect(() => reporter.format(result, 'xml')).toThrow('Unsupported report format: xml');
+  });
+
+  describe('SARIF', () => {
+    test('should describe every reported rule', () => {
+      const sarif = JSON.parse(reporter.format(result, 'sarif', rules));
+      const driver = sarif.runs[0].tool.driver;
+
+      expect(sarif.version).toBe('2.1.0');
+      expect(driver.name).toBe('qoder-prompt');
+      expect(driver.rules.map(rule => rule.id)).toEqual(['manifest', 'secret-scan', 'syntax-check']);
+      expect(driver.rules[1].properties).toEqual({ 'security-severity': '9.0', tags: ['security'] });
+      expect(driver.rules[2].properties).toBeUndefined();
+    });
+
+    test('should map findings to results with locations', () => {
+      const run = reporter.toSarif(result, rules).runs[0];
+      const [secret, syntax, manifest] = run.results;
+
+      expect(run.originalUriBaseIds.SUITEROOT.uri).toBe('file:///tmp/suite/');
+      expect(secret).toMatchObject({ ruleId: 'secret-scan', ruleIndex: 1, level: 'warning' });
+      expect(secret.locations[0].physicalLocation).toEqual({
+        artifactLocation: { uri: 'prompts/app.md', uriBaseId: 'SUITEROOT' },
+        region: { startLine: 4 }
+      });
+      expect(syntax.level).toBe('error');
+      expect(syntax.locations[0].physicalLocation.region).toEqual({ startLine: 2, startColumn: 7 });
+      expect(manifest.locations).toBeUndefined();
+    });
+  });
+
+  describe('JUnit', () => {
+    test('should emit a test case per file with failures for errors', () => {
+      const xml = reporter.format(result, 'junit');
+
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+      expect(xml).toContain('<testsuites name="qoder-prompt validate" tests="3" failures="2" errors="0">');
+      expect(xml).toContain('<testcase classname="qoder-prompt validate" name="prompts/app.md">');
+      expect(xml).toContain('<system-out>[secret-scan] prompts/app.md:4 Potential secret detected');
+      expect(xml).toContain('<testcase classname="qoder-prompt validate" name="(suite)">');
+    });
+
+    test('should escape XML special characters', () => {
+      const xml = reporter.toJUnit(result);
+
+      expect(xml).toContain('[syntax-check] prompts/config.json:2:7 Syntax error: &lt;unexpected&gt; &quot;}&quot;');
+      expect(xml).not.toContain('<unexpected>');
+    });
+
+    test('should pass suites without findings', () => {
+      const xml = reporter.toJUnit({ outputPath: 'out', files: [{ path: 'prompts/app.md' }], findings: [] });
+
+      expect(xml).toContain('tests="1" failures="0"');
+      expect(xml).not.toContain('<failure');
+    });
+  });
+});